@@ -7,14 +7,20 @@ import VectorUser from './vectorModels/VectorUser.js';
 import authRoutes from './routes/auth.js';
 import adminRoutes from './routes/admin.js';
 import adminUsersRoutes from './routes/adminUsers.js';
+import adminQuotaPoolRoutes from './routes/adminQuotaPools.js';
+import adminQuotaLedgerRoutes from './routes/adminQuotaLedger.js';
 import docsRoutes from './routes/docs.js';
 import securityRoutes from './routes/security.js';
 import vectorRoutes from './routes/vectorRoutes.js';
 import vectorJobRoutes from './routes/vectorJobRoutes.js';
 import printRoutes from './routes/printRoutes.js';
+import verifyRoutes from './routes/verifyRoutes.js';
+import deviceRoutes from './routes/deviceRoutes.js';
 import { ipSecurity, checkLoginAttempts, checkIPWhitelist } from './middleware/ipSecurity.js';
 import { startVectorPdfWorkers } from './workers/vectorPdfWorker.js';
 import { startJobCleanupLoop } from './services/jobCleanup.js';
+import { startQuotaReconciliationLoop } from './services/quotaReconciliation.js';
+import { dropLegacyLedgerIndex } from './services/quotaLedger.js';
 import { getVectorFlowProducer } from './workers/vectorPdfWorker.js';
 import { spawn } from 'child_process';
 
@@ -40,10 +46,14 @@ app.use(checkIPWhitelist);
 app.use('/api/security', securityRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/admin', adminUsersRoutes);
+app.use('/api/admin', adminQuotaPoolRoutes);
+app.use('/api/admin', adminQuotaLedgerRoutes);
 app.use('/api/docs', docsRoutes);
 app.use('/api/vector', vectorRoutes);
 app.use('/api/vector', vectorJobRoutes);
 app.use('/api', printRoutes);
+app.use('/api', verifyRoutes);
+app.use('/api', deviceRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -93,6 +103,9 @@ async function start() {
     await mongoose.connect(mongoUri);
     console.log('[MongoDB] Connected successfully');
 
+    // Before any route or worker can write to the quota ledger.
+    await dropLegacyLedgerIndex();
+
     // Test Redis connection
     try {
       const flowProducer = getVectorFlowProducer();
@@ -139,6 +152,7 @@ async function start() {
     if (RUN_WORKERS) {
       startVectorPdfWorkers();
       startJobCleanupLoop();
+      startQuotaReconciliationLoop();
     }
 
     if (!RUN_HTTP) {
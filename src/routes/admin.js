@@ -2,16 +2,27 @@ import express from 'express';
 import multer from 'multer';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import mongoose from 'mongoose';
 import User from '../vectorModels/VectorUser.js';
 import Document from '../vectorModels/VectorDocument.js';
-import DocumentAccess from '../vectorModels/VectorDocumentAccess.js';
+import DocumentAccess, { QUOTA_UNITS } from '../vectorModels/VectorDocumentAccess.js';
 import DocumentJobs from '../vectorModels/VectorDocumentJobs.js';
-import { uploadToS3 } from '../services/s3.js';
+import { uploadToS3, deleteFromS3 } from '../services/s3.js';
 import { getVectorPdfQueue } from '../../queues/vectorQueue.js';
 import { authMiddleware, requireAdmin } from '../middleware/auth.js';
 import { materializeFinalPdfExportKey } from '../services/finalPdfExportService.js';
 import Session from '../vectorModels/VectorSession.js';
 import BlockedIp from '../vectorModels/VectorBlockedIp.js';
+import VectorFont from '../vectorModels/VectorFont.js';
+import VectorSeriesLedger from '../vectorModels/VectorSeriesLedger.js';
+import VectorDevice from '../vectorModels/VectorDevice.js';
+import { releaseSeriesRange, voidSeriesRange } from '../services/seriesRegistry.js';
+import { parseAccessWindowInput } from '../services/accessWindows.js';
+import { invalidatePrintQuotaCache } from '../services/printQuotaServiceV2.js';
+import { recordQuotaReset } from '../services/quotaLedger.js';
+import { addPrintQuota, removePrintQuota, revokePrintAccess, transferPrintQuota } from '../services/quotaAdjustments.js';
+import { REPRINT_STATUSES, decideReprintRequest, listReprintRequests } from '../services/reprintService.js';
+import { getFontErrors, inspectFontFile, normalizeFontFamilyKey, resolveBuiltinFont } from '../services/fontLibrary.js';
 
 const router = express.Router();
 const upload = multer();
@@ -79,6 +90,11 @@ router.post('/assign-job', authMiddleware, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'Invalid vectorMetadata', errors: validation.errors });
     }
 
+    const fontErrors = await getFontErrors(vectorMetadata);
+    if (fontErrors.length) {
+      return res.status(400).json({ message: 'Invalid vectorMetadata', errors: fontErrors });
+    }
+
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
       return res.status(404).json({ message: 'User with this email not found' });
@@ -256,11 +272,209 @@ router.post('/documents/:id/color-mode', authMiddleware, requireAdmin, async (re
   }
 });
 
+// Upload a TTF/OTF font into the font library. Family defaults to the font's own family name.
+router.post('/fonts', authMiddleware, requireAdmin, upload.single('file'), async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+
+    let info;
+    try {
+      info = inspectFontFile(file.buffer);
+    } catch (e) {
+      if (e?.code === 'INVALID_FONT') {
+        return res.status(400).json({ message: e.message });
+      }
+      throw e;
+    }
+
+    const family = String(req.body?.family || info.familyName || '').trim();
+    if (!family) {
+      return res.status(400).json({ message: 'family is required (font has no family name)' });
+    }
+    if (resolveBuiltinFont(family)) {
+      return res.status(400).json({ message: `Font family "${family}" is reserved for a built-in font` });
+    }
+
+    const familyKey = normalizeFontFamilyKey(family);
+    const existing = await VectorFont.findOne({ familyKey }).lean();
+    if (existing) {
+      return res.status(409).json({ message: `Font family "${family}" is already installed` });
+    }
+
+    const contentType = info.format === 'otf' ? 'font/otf' : 'font/ttf';
+    const { key, url } = await uploadToS3(file.buffer, contentType, 'fonts/');
+
+    const font = await VectorFont.create({
+      family,
+      familyKey,
+      fileKey: key,
+      fileUrl: url,
+      format: info.format,
+      originalName: file.originalname || null,
+      postscriptName: info.postscriptName,
+      sizeBytes: file.buffer.length,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      subset: req.body?.subset === undefined ? true : String(req.body.subset) !== 'false',
+      unitsPerEm: info.unitsPerEm,
+      ascent: info.ascent,
+      descent: info.descent,
+      createdBy: req.user._id,
+    });
+
+    return res.status(201).json(font);
+  } catch (err) {
+    console.error('Upload font error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/fonts', authMiddleware, requireAdmin, async (_req, res) => {
+  try {
+    const fonts = await VectorFont.find({}).sort({ family: 1 });
+    return res.json({ fonts });
+  } catch (err) {
+    console.error('List fonts error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/fonts/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const font = await VectorFont.findByIdAndDelete(req.params.id);
+    if (!font) {
+      return res.status(404).json({ message: 'Font not found' });
+    }
+
+    try {
+      await deleteFromS3(font.fileKey);
+    } catch (e) {
+      console.warn('Font file cleanup failed', font.fileKey, e?.message || e);
+    }
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error('Delete font error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Series number ledgers. Without ?prefix= returns a summary per prefix; with it, every range.
+router.get('/series-ranges', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { prefix, status, jobId } = req.query || {};
+
+    if (prefix === undefined) {
+      const ledgers = await VectorSeriesLedger.find({}).sort({ prefix: 1 }).lean();
+      return res.json({
+        ledgers: ledgers.map((l) => ({
+          prefix: l.prefix,
+          ranges: l.ranges.length,
+          reserved: l.ranges.filter((r) => r.status === 'RESERVED').length,
+          voided: l.ranges.filter((r) => r.status === 'VOID').length,
+          highestEnd: l.ranges.reduce((max, r) => (r.status === 'RELEASED' ? max : Math.max(max, r.end)), null),
+          updatedAt: l.updatedAt,
+        })),
+      });
+    }
+
+    const ledger = await VectorSeriesLedger.findOne({ prefix: String(prefix) }).lean();
+    if (!ledger) {
+      return res.status(404).json({ message: 'No ranges issued for this prefix' });
+    }
+
+    const ranges = ledger.ranges
+      .filter((r) => !status || r.status === status)
+      .filter((r) => !jobId || String(r.jobId) === String(jobId))
+      .sort((a, b) => a.start - b.start);
+
+    return res.json({ prefix: ledger.prefix, ranges });
+  } catch (err) {
+    console.error('List series ranges error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Release a reserved range whose numbers were never printed, so they can be issued again.
+router.post('/series-ranges/:rangeId/release', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const result = await releaseSeriesRange(req.params.rangeId, {
+      by: req.user._id,
+      reason: req.body?.reason || null,
+    });
+    if (!result) {
+      return res.status(409).json({ message: 'Range not found or not in RESERVED state' });
+    }
+    return res.json({ success: true, prefix: result.prefix, range: result.range });
+  } catch (err) {
+    console.error('Release series range error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Void a range: its numbers are burned and will never be issued again.
+router.post('/series-ranges/:rangeId/void', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'reason is required' });
+    }
+    const result = await voidSeriesRange(req.params.rangeId, { by: req.user._id, reason });
+    if (!result) {
+      return res.status(409).json({ message: 'Range not found or already void' });
+    }
+    return res.json({ success: true, prefix: result.prefix, range: result.range });
+  } catch (err) {
+    console.error('Void series range error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/reprint-requests', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const status = typeof req.query.status === 'string' ? req.query.status.toUpperCase() : 'PENDING';
+    if (status !== 'ALL' && !REPRINT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${[...REPRINT_STATUSES, 'ALL'].join(', ')}` });
+    }
+    const requests = await listReprintRequests({ status: status === 'ALL' ? null : status });
+    return res.json({ requests });
+  } catch (err) {
+    console.error('List reprint requests error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const REPRINT_ERROR_STATUS = { NOT_FOUND: 404, NOT_PENDING: 409, NO_ACCESS: 409 };
+
+// Approving grants one bonus unit on the print's assignment; usage history is kept.
+const decideReprint = (approve) => async (req, res) => {
+  try {
+    const request = await decideReprintRequest({
+      requestId: req.params.requestId,
+      adminId: req.user._id,
+      approve,
+      note: typeof req.body?.note === 'string' ? req.body.note.trim() : null,
+    });
+    return res.json({ success: true, request });
+  } catch (err) {
+    if (REPRINT_ERROR_STATUS[err?.code]) {
+      return res.status(REPRINT_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Decide reprint request error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+router.post('/reprint-requests/:requestId/approve', authMiddleware, requireAdmin, decideReprint(true));
+router.post('/reprint-requests/:requestId/deny', authMiddleware, requireAdmin, decideReprint(false));
+
 // Assign or update quota for a user on a document (by userId)
 router.post('/documents/:id/assign', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId, assignedQuota } = req.body;
+    const { userId, assignedQuota, quotaUnit, validFrom, validUntil, rateLimits } = req.body;
 
     if (!userId || !assignedQuota) {
       return res.status(400).json({ message: 'userId and assignedQuota are required' });
@@ -271,11 +485,34 @@ router.post('/documents/:id/assign', authMiddleware, requireAdmin, async (req, r
       return res.status(400).json({ message: 'assignedQuota must be a positive number' });
     }
 
+    if (quotaUnit !== undefined && !QUOTA_UNITS.includes(quotaUnit)) {
+      return res.status(400).json({ message: `quotaUnit must be one of: ${QUOTA_UNITS.join(', ')}` });
+    }
+
+    const window = parseAccessWindowInput({ validFrom, validUntil, rateLimits });
+    if (window.errors.length) {
+      return res.status(400).json({ message: 'Invalid assignment window', errors: window.errors });
+    }
+
     const access = await DocumentAccess.findOneAndUpdate(
       { userId, documentId: id },
-      { userId, documentId: id, assignedQuota: parsedQuota, printQuota: parsedQuota, printsUsed: 0, revoked: false },
+      {
+        userId,
+        documentId: id,
+        assignedQuota: parsedQuota,
+        printQuota: parsedQuota,
+        printsUsed: 0,
+        usedPrints: 0,
+        revoked: false,
+        revokedAt: null,
+        revokedBy: null,
+        ...(quotaUnit !== undefined ? { quotaUnit } : {}),
+        ...window.values,
+      },
       { upsert: true, new: true }
     );
+    await recordQuotaReset(id, access.userId, { by: req.user._id, reason: 'Quota reassigned' });
+    await invalidatePrintQuotaCache(id, access.userId);
 
     return res.json(access);
   } catch (err) {
@@ -288,7 +525,7 @@ router.post('/documents/:id/assign', authMiddleware, requireAdmin, async (req, r
 router.post('/documents/:id/assign-by-email', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { email, assignedQuota } = req.body;
+    const { email, assignedQuota, quotaUnit, validFrom, validUntil, rateLimits } = req.body;
 
     if (!email || !assignedQuota) {
       return res.status(400).json({ message: 'email and assignedQuota are required' });
@@ -299,6 +536,15 @@ router.post('/documents/:id/assign-by-email', authMiddleware, requireAdmin, asyn
       return res.status(400).json({ message: 'assignedQuota must be a positive number' });
     }
 
+    if (quotaUnit !== undefined && !QUOTA_UNITS.includes(quotaUnit)) {
+      return res.status(400).json({ message: `quotaUnit must be one of: ${QUOTA_UNITS.join(', ')}` });
+    }
+
+    const window = parseAccessWindowInput({ validFrom, validUntil, rateLimits });
+    if (window.errors.length) {
+      return res.status(400).json({ message: 'Invalid assignment window', errors: window.errors });
+    }
+
     const user = await User.findOne({ email: email.toLowerCase() });
     if (!user) {
       return res.status(404).json({ message: 'User with this email not found' });
@@ -306,9 +552,23 @@ router.post('/documents/:id/assign-by-email', authMiddleware, requireAdmin, asyn
 
     const access = await DocumentAccess.findOneAndUpdate(
       { userId: user._id, documentId: id },
-      { userId: user._id, documentId: id, assignedQuota: parsedQuota, printQuota: parsedQuota, printsUsed: 0, revoked: false },
+      {
+        userId: user._id,
+        documentId: id,
+        assignedQuota: parsedQuota,
+        printQuota: parsedQuota,
+        printsUsed: 0,
+        usedPrints: 0,
+        revoked: false,
+        revokedAt: null,
+        revokedBy: null,
+        ...(quotaUnit !== undefined ? { quotaUnit } : {}),
+        ...window.values,
+      },
       { upsert: true, new: true }
     );
+    await recordQuotaReset(id, access.userId, { by: req.user._id, reason: 'Quota reassigned' });
+    await invalidatePrintQuotaCache(id, access.userId);
 
     if (!access.sessionToken) {
       access.sessionToken = crypto.randomBytes(32).toString('hex');
@@ -322,6 +582,156 @@ router.post('/documents/:id/assign-by-email', authMiddleware, requireAdmin, asyn
   }
 });
 
+// Quota adjustments that keep usage history (the assign endpoints above start over).
+const QUOTA_ADJUST_ERROR_STATUS = {
+  BAD_REQUEST: 400,
+  NO_ACCESS: 404,
+  REVOKED: 409,
+  POOLED: 409,
+  INSUFFICIENT_UNUSED: 409,
+  QUOTA_BUSY: 409,
+};
+
+const sendQuotaAdjustError = (res, err, label) => {
+  if (QUOTA_ADJUST_ERROR_STATUS[err?.code]) {
+    return res.status(QUOTA_ADJUST_ERROR_STATUS[err.code]).json({ message: err.message });
+  }
+  console.error(`${label} error`, err);
+  return res.status(500).json({ message: 'Internal server error' });
+};
+
+// Accepts { userId } or { email } (with an optional key prefix, e.g. fromUserId / fromEmail).
+const resolveTargetUser = async (body, prefix = '') => {
+  const userIdKey = prefix ? `${prefix}UserId` : 'userId';
+  const emailKey = prefix ? `${prefix}Email` : 'email';
+  if (body?.[userIdKey] && mongoose.isValidObjectId(body[userIdKey])) {
+    return User.findById(body[userIdKey]).select('_id email').lean();
+  }
+  if (typeof body?.[emailKey] === 'string' && body[emailKey].trim()) {
+    return User.findOne({ email: body[emailKey].trim().toLowerCase() }).select('_id email').lean();
+  }
+  return null;
+};
+
+const adjustQuotaRoute = (operation, label) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { units, reason } = req.body || {};
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid document id' });
+    }
+    const user = await resolveTargetUser(req.body);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found (send userId or email)' });
+    }
+    const access = await operation({
+      documentId: id,
+      userId: user._id,
+      units,
+      by: req.user._id,
+      reason: typeof reason === 'string' ? reason.trim() : null,
+    });
+    return res.json({ success: true, access });
+  } catch (err) {
+    return sendQuotaAdjustError(res, err, label);
+  }
+};
+
+router.post('/documents/:id/quota/add', authMiddleware, requireAdmin, adjustQuotaRoute(addPrintQuota, 'Add quota'));
+router.post('/documents/:id/quota/remove', authMiddleware, requireAdmin, adjustQuotaRoute(removePrintQuota, 'Remove quota'));
+
+router.post('/documents/:id/quota/transfer', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { units, reason } = req.body || {};
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid document id' });
+    }
+    const [fromUser, toUser] = await Promise.all([resolveTargetUser(req.body, 'from'), resolveTargetUser(req.body, 'to')]);
+    if (!fromUser || !toUser) {
+      return res.status(404).json({ message: 'Both users are required (fromUserId/fromEmail and toUserId/toEmail)' });
+    }
+    const result = await transferPrintQuota({
+      documentId: id,
+      fromUserId: fromUser._id,
+      toUserId: toUser._id,
+      units,
+      by: req.user._id,
+      reason: typeof reason === 'string' ? reason.trim() : null,
+    });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return sendQuotaAdjustError(res, err, 'Transfer quota');
+  }
+});
+
+// Revoke a user's assignment; quota, usage and audit history are kept.
+router.post('/documents/:id/revoke', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid document id' });
+    }
+    const user = await resolveTargetUser(req.body);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found (send userId or email)' });
+    }
+    const access = await revokePrintAccess({
+      documentId: req.params.id,
+      userId: user._id,
+      by: req.user._id,
+      reason: typeof req.body?.reason === 'string' ? req.body.reason.trim() : null,
+    });
+    return res.json({ success: true, access });
+  } catch (err) {
+    return sendQuotaAdjustError(res, err, 'Revoke access');
+  }
+});
+
+// Limit which enrolled devices may print a user's assignment ([] = any approved device).
+router.post('/documents/:id/allowed-devices', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { deviceIds } = req.body || {};
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid document id' });
+    }
+    if (!Array.isArray(deviceIds) || deviceIds.some((d) => typeof d !== 'string' || !d.trim())) {
+      return res.status(400).json({ message: 'deviceIds must be an array of device ids' });
+    }
+
+    const user = await resolveTargetUser(req.body);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found (send userId or email)' });
+    }
+
+    const wanted = [...new Set(deviceIds.map((d) => d.trim()))];
+    const devices = await VectorDevice.find({ deviceId: { $in: wanted }, userId: user._id, status: { $ne: 'REVOKED' } })
+      .select('deviceId')
+      .lean();
+    const unknown = wanted.filter((d) => !devices.some((device) => device.deviceId === d));
+    if (unknown.length) {
+      return res.status(400).json({ message: 'Devices not enrolled by this user or revoked', deviceIds: unknown });
+    }
+
+    const access = await DocumentAccess.findOneAndUpdate(
+      { documentId: id, userId: user._id },
+      {
+        $set: { allowedDeviceIds: wanted },
+        $push: { audit: { at: new Date(), event: 'ALLOWED_DEVICES_SET', by: req.user._id, details: { deviceIds: wanted } } },
+      },
+      { new: true }
+    ).lean();
+    if (!access) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    return res.json({ success: true, accessId: String(access._id), allowedDeviceIds: access.allowedDeviceIds });
+  } catch (err) {
+    console.error('Set allowed devices error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Create a new user (admin only)
 router.post('/users', authMiddleware, requireAdmin, async (req, res) => {
   try {
@@ -0,0 +1,83 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import VectorQuotaReconciliation from '../vectorModels/VectorQuotaReconciliation.js';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { computeLedgerUsage, listLedgerEntries } from '../services/quotaLedger.js';
+import { runQuotaReconciliationOnce } from '../services/quotaReconciliation.js';
+
+const router = express.Router();
+
+const limitFrom = (value, fallback, max) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
+};
+
+const optionalObjectId = (value) => (typeof value === 'string' && mongoose.isValidObjectId(value) ? value : null);
+
+// Ledger entries, newest first; with both documentId and userId also the ledger's printsUsed.
+router.get('/quota-ledger', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const documentId = optionalObjectId(req.query.documentId);
+    const userId = optionalObjectId(req.query.userId);
+    const entries = await listLedgerEntries({ documentId, userId, limit: limitFrom(req.query.limit, 200, 1000) });
+    const usage = documentId && userId ? await computeLedgerUsage(documentId, userId) : null;
+    return res.json({ entries, usage });
+  } catch (err) {
+    console.error('List quota ledger error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/quota-reconciliations', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const runs = await VectorQuotaReconciliation.find({})
+      .sort({ startedAt: -1 })
+      .limit(limitFrom(req.query.limit, 20, 200))
+      .select('-discrepancies')
+      .lean();
+    return res.json({ runs });
+  } catch (err) {
+    console.error('List quota reconciliations error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/quota-reconciliations/:runId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const run = mongoose.isValidObjectId(runId) ? await VectorQuotaReconciliation.findById(runId).lean() : null;
+    if (!run) {
+      return res.status(404).json({ message: 'Reconciliation run not found' });
+    }
+    return res.json({ run });
+  } catch (err) {
+    console.error('Get quota reconciliation error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Run a pass now. dryRun only reports; documentId limits the pass to one document.
+router.post('/quota-reconciliations', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { dryRun = false, documentId } = req.body || {};
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({ message: 'dryRun must be a boolean' });
+    }
+    if (documentId !== undefined && !optionalObjectId(documentId)) {
+      return res.status(400).json({ message: 'documentId must be a valid id' });
+    }
+
+    const run = await runQuotaReconciliationOnce({
+      dryRun,
+      trigger: 'admin',
+      triggeredBy: req.user._id,
+      documentId: documentId || null,
+    });
+    return res.status(201).json({ run: run.toObject() });
+  } catch (err) {
+    console.error('Run quota reconciliation error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,262 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../vectorModels/VectorUser.js';
+import Document from '../vectorModels/VectorDocument.js';
+import DocumentAccess from '../vectorModels/VectorDocumentAccess.js';
+import VectorQuotaPool from '../vectorModels/VectorQuotaPool.js';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { invalidatePoolCache, reconcileQuotaPool } from '../services/quotaPoolService.js';
+import { invalidatePrintQuotaCache } from '../services/printQuotaServiceV2.js';
+
+const router = express.Router();
+
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+const isCap = (v) => v === null || v === undefined || (Number.isInteger(v) && v >= 0);
+
+const resolveMemberUser = async ({ userId, email }) => {
+  if (userId && mongoose.isValidObjectId(userId)) return User.findById(userId).select('email').lean();
+  if (typeof email === 'string' && email.trim()) return User.findOne({ email: email.trim().toLowerCase() }).select('email').lean();
+  return null;
+};
+
+// Point the member's access for the pool document at the pool (creating it if needed).
+const attachAccess = (pool, userId) =>
+  DocumentAccess.findOneAndUpdate(
+    { userId, documentId: pool.documentId },
+    {
+      $set: { poolId: pool._id, revoked: false },
+      $setOnInsert: { userId, documentId: pool.documentId, assignedQuota: 0, printQuota: 0 },
+    },
+    { upsert: true, new: true }
+  );
+
+const serializePool = (pool) => ({
+  id: String(pool._id),
+  name: pool.name,
+  documentId: String(pool.documentId),
+  totalQuota: pool.totalQuota,
+  used: pool.used,
+  remaining: Math.max(0, pool.totalQuota - pool.used),
+  active: pool.active,
+  lastReconciledAt: pool.lastReconciledAt,
+  members: pool.members.map((m) => ({
+    userId: String(m.userId),
+    cap: m.cap,
+    used: m.used,
+    addedAt: m.addedAt,
+    removedAt: m.removedAt,
+  })),
+});
+
+router.get('/quota-pools', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (typeof req.query.documentId === 'string' && mongoose.isValidObjectId(req.query.documentId)) {
+      filter.documentId = req.query.documentId;
+    }
+    const pools = await VectorQuotaPool.find(filter).sort({ createdAt: -1 }).lean();
+    return res.json({ pools: pools.map(serializePool) });
+  } catch (err) {
+    console.error('List quota pools error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/quota-pools', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { documentId, name, totalQuota, members = [] } = req.body || {};
+
+    if (!documentId || !mongoose.isValidObjectId(documentId) || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'documentId and name are required' });
+    }
+    if (!isPositiveInt(totalQuota)) {
+      return res.status(400).json({ message: 'totalQuota must be a positive integer' });
+    }
+    if (!Array.isArray(members) || members.some((m) => !isCap(m?.cap))) {
+      return res.status(400).json({ message: 'members must be an array of { userId | email, cap? } with integer caps' });
+    }
+
+    const doc = await Document.findById(documentId).select('_id').lean();
+    if (!doc) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const resolved = [];
+    for (const m of members) {
+      const user = await resolveMemberUser(m);
+      if (!user) {
+        return res.status(404).json({ message: `User not found: ${m?.email || m?.userId}` });
+      }
+      if (!resolved.some((r) => String(r.userId) === String(user._id))) {
+        resolved.push({ userId: user._id, cap: m.cap ?? null });
+      }
+    }
+
+    const pool = await VectorQuotaPool.create({
+      name: name.trim(),
+      documentId,
+      totalQuota,
+      members: resolved,
+      createdBy: req.user._id,
+    });
+
+    for (const m of resolved) {
+      await attachAccess(pool, m.userId);
+      await invalidatePrintQuotaCache(documentId, m.userId);
+    }
+
+    return res.status(201).json({ pool: serializePool(pool.toObject()) });
+  } catch (err) {
+    console.error('Create quota pool error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/quota-pools/:poolId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const pool = mongoose.isValidObjectId(poolId) ? await VectorQuotaPool.findById(poolId).lean() : null;
+    if (!pool) {
+      return res.status(404).json({ message: 'Quota pool not found' });
+    }
+    return res.json({ pool: serializePool(pool) });
+  } catch (err) {
+    console.error('Get quota pool error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.patch('/quota-pools/:poolId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const { name, totalQuota, active } = req.body || {};
+
+    const pool = mongoose.isValidObjectId(poolId) ? await VectorQuotaPool.findById(poolId).lean() : null;
+    if (!pool) {
+      return res.status(404).json({ message: 'Quota pool not found' });
+    }
+
+    const set = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ message: 'name must be a non-empty string' });
+      set.name = name.trim();
+    }
+    if (totalQuota !== undefined) {
+      if (!isPositiveInt(totalQuota)) return res.status(400).json({ message: 'totalQuota must be a positive integer' });
+      set.totalQuota = totalQuota;
+    }
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') return res.status(400).json({ message: 'active must be a boolean' });
+      set.active = active;
+    }
+
+    // Never let the total drop below what members have already printed.
+    const filter = { _id: pool._id };
+    if (set.totalQuota !== undefined) filter.used = { $lte: set.totalQuota };
+
+    const updated = await VectorQuotaPool.findOneAndUpdate(filter, { $set: set, $inc: { version: 1 } }, { new: true }).lean();
+    if (!updated) {
+      return res.status(409).json({ message: 'totalQuota cannot be lower than units already used' });
+    }
+    await invalidatePoolCache(poolId, updated.members.map((m) => String(m.userId)));
+
+    return res.json({ pool: serializePool(updated) });
+  } catch (err) {
+    console.error('Update quota pool error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Add a member, or change an existing member's cap.
+router.put('/quota-pools/:poolId/members', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const { cap = null } = req.body || {};
+
+    if (!isCap(cap)) {
+      return res.status(400).json({ message: 'cap must be a non-negative integer or null' });
+    }
+
+    const pool = mongoose.isValidObjectId(poolId) ? await VectorQuotaPool.findById(poolId).lean() : null;
+    if (!pool) {
+      return res.status(404).json({ message: 'Quota pool not found' });
+    }
+
+    const user = await resolveMemberUser(req.body || {});
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const existing = pool.members.find((m) => String(m.userId) === String(user._id));
+    const updated = existing
+      ? await VectorQuotaPool.findOneAndUpdate(
+          { _id: pool._id, 'members.userId': user._id },
+          { $set: { 'members.$.cap': cap, 'members.$.removedAt': null }, $inc: { version: 1 } },
+          { new: true }
+        ).lean()
+      : await VectorQuotaPool.findOneAndUpdate(
+          { _id: pool._id, 'members.userId': { $ne: user._id } },
+          { $push: { members: { userId: user._id, cap } }, $inc: { version: 1 } },
+          { new: true }
+        ).lean();
+    if (!updated) {
+      return res.status(409).json({ message: 'Quota pool changed, try again' });
+    }
+
+    await attachAccess(updated, user._id);
+    await invalidatePoolCache(poolId, [String(user._id)]);
+    await invalidatePrintQuotaCache(updated.documentId, user._id);
+
+    return res.json({ pool: serializePool(updated) });
+  } catch (err) {
+    console.error('Upsert quota pool member error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/quota-pools/:poolId/members/:userId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { poolId, userId } = req.params;
+    if (!mongoose.isValidObjectId(poolId) || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid poolId or userId' });
+    }
+
+    const updated = await VectorQuotaPool.findOneAndUpdate(
+      { _id: poolId, members: { $elemMatch: { userId, removedAt: null } } },
+      { $set: { 'members.$.removedAt': new Date() }, $inc: { version: 1 } },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      return res.status(404).json({ message: 'Member not found in quota pool' });
+    }
+
+    // The access falls back to its own (usually empty) quota.
+    await DocumentAccess.updateOne({ userId, documentId: updated.documentId, poolId: updated._id }, { $set: { poolId: null } });
+    await invalidatePoolCache(poolId, [userId]);
+    await invalidatePrintQuotaCache(updated.documentId, userId);
+
+    return res.json({ pool: serializePool(updated) });
+  } catch (err) {
+    console.error('Remove quota pool member error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/quota-pools/:poolId/reconcile', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.params;
+    const result = mongoose.isValidObjectId(poolId) ? await reconcileQuotaPool(poolId) : null;
+    if (!result) {
+      return res.status(404).json({ message: 'Quota pool not found' });
+    }
+    return res.json(result);
+  } catch (err) {
+    if (err?.code === 'QUOTA_BUSY') {
+      return res.status(409).json({ message: err.message });
+    }
+    console.error('Reconcile quota pool error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import VectorDevice, { DEVICE_STATUSES } from '../vectorModels/VectorDevice.js';
+import { DEVICE_ERROR_STATUS, isValidDeviceId, issueDeviceNonce, parseDevicePublicKey } from '../services/deviceAttestation.js';
+
+const router = express.Router();
+
+const serializeDevice = (device) => ({
+  deviceId: device.deviceId,
+  userId: String(device.userId),
+  name: device.name,
+  keyType: device.keyType,
+  keyFingerprint: device.keyFingerprint,
+  status: device.status,
+  approvedAt: device.approvedAt,
+  revokedAt: device.revokedAt,
+  revokeReason: device.revokeReason,
+  lastSeenAt: device.lastSeenAt,
+  createdAt: device.createdAt,
+});
+
+const sendDeviceError = (res, err, label) => {
+  if (DEVICE_ERROR_STATUS[err?.code]) {
+    return res.status(DEVICE_ERROR_STATUS[err.code]).json({ message: err.message, code: err.code });
+  }
+  console.error(`${label} error`, err);
+  return res.status(500).json({ message: 'Internal server error' });
+};
+
+// Enroll a device: it stays PENDING until an admin approves it.
+router.post('/devices', authMiddleware, async (req, res) => {
+  try {
+    const deviceId = req.body?.deviceId === undefined ? crypto.randomUUID() : req.body.deviceId;
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim().slice(0, 120) : '';
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ message: 'deviceId must be 1-128 characters of letters, digits, . _ : -' });
+    }
+
+    const key = parseDevicePublicKey(req.body?.publicKey);
+
+    const existing = await VectorDevice.findOne({ deviceId }).lean();
+    if (existing) {
+      // Retried enrollment of the same device and key is a no-op.
+      if (String(existing.userId) === String(req.user._id) && existing.keyFingerprint === key.keyFingerprint) {
+        return res.json({ device: serializeDevice(existing) });
+      }
+      return res.status(409).json({ message: 'deviceId is already enrolled' });
+    }
+
+    const device = await VectorDevice.create({ deviceId, userId: req.user._id, name, ...key });
+    return res.status(201).json({ device: serializeDevice(device) });
+  } catch (err) {
+    if (err?.code === 11000) {
+      return res.status(409).json({ message: 'deviceId is already enrolled' });
+    }
+    return sendDeviceError(res, err, 'Enroll device');
+  }
+});
+
+router.get('/devices', authMiddleware, async (req, res) => {
+  try {
+    const devices = await VectorDevice.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+    return res.json({ devices: devices.map(serializeDevice) });
+  } catch (err) {
+    console.error('List devices error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Challenge for the next signed /print/request ({ purpose: 'request' }, returns the print id
+// to use) or /print/fetch ({ purpose: 'fetch', printId }).
+router.post('/devices/:deviceId/nonce', authMiddleware, async (req, res) => {
+  try {
+    const printId = typeof req.body?.printId === 'string' ? req.body.printId.trim() : null;
+    const result = await issueDeviceNonce({
+      deviceId: req.params.deviceId,
+      userId: req.user._id,
+      purpose: req.body?.purpose,
+      printId,
+    });
+    return res.json(result);
+  } catch (err) {
+    return sendDeviceError(res, err, 'Issue device nonce');
+  }
+});
+
+router.get('/admin/devices', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (typeof req.query.status === 'string' && DEVICE_STATUSES.includes(req.query.status.toUpperCase())) {
+      filter.status = req.query.status.toUpperCase();
+    }
+    if (typeof req.query.userId === 'string' && mongoose.isValidObjectId(req.query.userId)) {
+      filter.userId = req.query.userId;
+    }
+    const devices = await VectorDevice.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+    return res.json({ devices: devices.map(serializeDevice) });
+  } catch (err) {
+    console.error('List devices error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/admin/devices/:deviceId/approve', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const device = await VectorDevice.findOneAndUpdate(
+      { deviceId: req.params.deviceId, status: 'PENDING' },
+      { $set: { status: 'APPROVED', approvedAt: new Date(), approvedBy: req.user._id } },
+      { new: true }
+    ).lean();
+    if (!device) {
+      return res.status(409).json({ message: 'Device not found or not pending approval' });
+    }
+    return res.json({ success: true, device: serializeDevice(device) });
+  } catch (err) {
+    console.error('Approve device error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Revoked devices can never print again; the client must enroll a new deviceId.
+router.post('/admin/devices/:deviceId/revoke', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : null;
+    const device = await VectorDevice.findOneAndUpdate(
+      { deviceId: req.params.deviceId, status: { $ne: 'REVOKED' } },
+      { $set: { status: 'REVOKED', revokedAt: new Date(), revokedBy: req.user._id, revokeReason: reason } },
+      { new: true }
+    ).lean();
+    if (!device) {
+      return res.status(409).json({ message: 'Device not found or already revoked' });
+    }
+    return res.json({ success: true, device: serializeDevice(device) });
+  } catch (err) {
+    console.error('Revoke device error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+export default router;
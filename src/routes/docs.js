@@ -9,7 +9,8 @@ import { GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { authMiddleware } from '../middleware/auth.js';
 import { svgBytesToPdfBytes } from '../vector/vectorLayoutEngine.js';
-import { assertAndConsumePrintQuota } from '../services/printQuotaService.js';
+import { getPageSizeErrors, resolvePageSize } from '../vector/pageSizes.js';
+import { assertAndConsumePrintQuota, refundPrintQuotaUnits } from '../services/printQuotaServiceV2.js';
 import { resolveFinalPdfKeyForServe } from '../services/finalPdfExportService.js';
 // Legacy merge queue removed (vector pipeline generates final PDF in one pass)
 
@@ -22,7 +23,7 @@ const generateSessionToken = () => crypto.randomBytes(32).toString('hex');
 // Upload document (PDF/SVG) for the logged-in user and create access record
 router.post('/upload', authMiddleware, upload.single('file'), async (req, res) => {
   try {
-    const { title, totalPrints } = req.body;
+    const { title, totalPrints, pageSize } = req.body;
     const file = req.file;
 
     if (!file) {
@@ -38,6 +39,12 @@ router.post('/upload', authMiddleware, upload.single('file'), async (req, res) =
       return res.status(400).json({ message: 'totalPrints must be a positive number' });
     }
 
+    // SVG sources are normalized onto a named sheet (A4 by default) before conversion.
+    const pageSizeErrors = getPageSizeErrors({ pageSize });
+    if (pageSizeErrors.length) {
+      return res.status(400).json({ message: pageSizeErrors[0] });
+    }
+
     const loweredName = title.toLowerCase();
     const isSvg = file.mimetype === 'image/svg+xml' || loweredName.endsWith('.svg');
 
@@ -60,7 +67,7 @@ router.post('/upload', authMiddleware, upload.single('file'), async (req, res) =
       // Keep it separate from the immutable sourceKey.
       const renderKey = `documents/original/${uuid}.pdf`;
 
-      const pdfBytes = await svgBytesToPdfBytes(uploadBytes);
+      const pdfBytes = await svgBytesToPdfBytes(uploadBytes, resolvePageSize({ pageSize }));
       const uploaded = await uploadToS3WithKey(Buffer.from(pdfBytes), 'application/pdf', renderKey);
       key = uploaded.key;
       url = uploaded.url;
@@ -185,7 +192,16 @@ router.get('/:documentId/raw-svg', authMiddleware, async (req, res) => {
 });
 
 // Secure render: stream PDF/SVG bytes based on session token
+// Quota taken by this request, refunded if serving the document fails afterwards.
+const refundConsumed = async (consumed, reason) => {
+  if (!consumed) return;
+  await refundPrintQuotaUnits(consumed.documentId, consumed.userId, consumed.requestId, reason).catch((err) =>
+    console.error('Print quota refund error', err)
+  );
+};
+
 router.post('/secure-render', authMiddleware, async (req, res) => {
+  let consumed = null;
   try {
     const { sessionToken, requestId } = req.body;
 
@@ -221,13 +237,15 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
           ? requestId.trim()
           : crypto.randomUUID();
 
-    await assertAndConsumePrintQuota(doc._id.toString(), req.user._id.toString(), incomingRequestId);
-
     const bucket = process.env.AWS_S3_BUCKET;
     if (!bucket) {
       return res.status(500).json({ message: 'S3 not configured' });
     }
 
+    if (await assertAndConsumePrintQuota(doc._id.toString(), req.user._id.toString(), incomingRequestId)) {
+      consumed = { documentId: doc._id.toString(), userId: req.user._id.toString(), requestId: incomingRequestId };
+    }
+
     const serveKey = await resolveFinalPdfKeyForServe(doc._id.toString());
 
     const command = new GetObjectCommand({
@@ -265,9 +283,16 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
     return res.send(outputBuffer);
   } catch (err) {
     console.error('Secure render error', err);
+    await refundConsumed(consumed, 'Secure render failed');
+    if (err?.code === 'REQUEST_REFUNDED') {
+      return res.status(409).json({ message: err.message });
+    }
     if (err && (err.code === 'LIMIT' || /print limit exceeded/i.test(String(err.message || '')))) {
       return res.status(403).json({ message: 'Print limit exceeded' });
     }
+    if (err?.code === 'ACCESS_WINDOW') {
+      return res.status(403).json({ message: err.message, reason: err.reason, availableAt: err.availableAt });
+    }
     if (err && (err.code === 'REVOKED' || /access revoked/i.test(String(err.message || '')))) {
       return res.status(403).json({ message: 'Access revoked' });
     }
@@ -277,6 +302,7 @@ router.post('/secure-render', authMiddleware, async (req, res) => {
 
 // Secure print: decrement quota and return presigned S3 URL for printing
 router.post('/secure-print', authMiddleware, async (req, res) => {
+  let consumed = null;
   try {
     const { sessionToken, requestId } = req.body;
 
@@ -312,18 +338,20 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
           ? requestId.trim()
           : crypto.randomUUID();
 
-    await assertAndConsumePrintQuota(docId.toString(), req.user._id.toString(), incomingRequestId);
+    const bucket = process.env.AWS_S3_BUCKET;
+    if (!bucket) {
+      return res.status(500).json({ message: 'S3 not configured' });
+    }
+
+    if (await assertAndConsumePrintQuota(docId.toString(), req.user._id.toString(), incomingRequestId)) {
+      consumed = { documentId: docId.toString(), userId: req.user._id.toString(), requestId: incomingRequestId };
+    }
 
     const doc = access.documentId;
     if (!doc) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
-    const bucket = process.env.AWS_S3_BUCKET;
-    if (!bucket) {
-      return res.status(500).json({ message: 'S3 not configured' });
-    }
-
     // Generate a short-lived presigned URL so browser securely fetches from S3 without AccessDenied
     const serveKey = await resolveFinalPdfKeyForServe(docId.toString());
     const command = new GetObjectCommand({
@@ -348,9 +376,16 @@ router.post('/secure-print', authMiddleware, async (req, res) => {
     });
   } catch (err) {
     console.error('Secure print error', err);
+    await refundConsumed(consumed, 'Secure print failed');
+    if (err?.code === 'REQUEST_REFUNDED') {
+      return res.status(409).json({ message: err.message });
+    }
     if (err && (err.code === 'LIMIT' || /print limit exceeded/i.test(String(err.message || '')))) {
       return res.status(403).json({ message: 'Print limit exceeded' });
     }
+    if (err?.code === 'ACCESS_WINDOW') {
+      return res.status(403).json({ message: err.message, reason: err.reason, availableAt: err.availableAt });
+    }
     if (err && /access revoked/i.test(String(err.message || ''))) {
       return res.status(403).json({ message: 'Access revoked' });
     }
@@ -7,10 +7,18 @@ import VectorDocumentAccess from '../vectorModels/VectorDocumentAccess.js';
 import VectorDocument from '../vectorModels/VectorDocument.js';
 import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
 import VectorPrintLog from '../vectorModels/VectorPrintLog.js';
+import VectorQuotaPool from '../vectorModels/VectorQuotaPool.js';
 
-import { assertAndConsumePrintQuota } from '../services/printQuotaService.js';
+import { assertAndConsumePrintQuotaUnits } from '../services/printQuotaServiceV2.js';
 import { resolveFinalPdfKeyForServe } from '../services/finalPdfExportService.js';
 import { downloadFromS3, deleteFromS3 } from '../services/s3.js';
+import { getPrintPayloadSecret } from '../services/hmac.js';
+import { buildStampRecord, stampPrintPdf } from '../services/forensicStamp.js';
+import { checkAccessWindow, normalizeRateLimits } from '../services/accessWindows.js';
+import { getPoolRemaining } from '../services/quotaPoolService.js';
+import { DEVICE_ERROR_STATUS, assertDeviceAttestation, isDeviceAttestationRequired } from '../services/deviceAttestation.js';
+import { createReprintRequest, listReprintRequests, serializeReprintRequest } from '../services/reprintService.js';
+import { countPdfPages, extractPdfPages, formatPageRanges, parsePageRanges } from '../services/pageSelection.js';
 
 const router = express.Router();
 
@@ -19,6 +27,21 @@ const isVirtualPrinter = (name) => {
   return /microsoft print to pdf|save as pdf|pdf|xps|onenote|fax/i.test(n);
 };
 
+const maxCopiesPerRequest = () => Number(process.env.PRINT_MAX_COPIES || 100);
+
+const positiveIntOr = (value, fallback) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+// Copies held by a job; jobs created before multi-copy support hold one.
+const jobCopies = (job) => positiveIntOr(job?.metadata?.copies, 1);
+
+// Quota units one copy costs: 1 per document, or the number of selected pages.
+const jobUnitsPerCopy = (job) => positiveIntOr(job?.metadata?.unitsPerCopy, 1);
+
+const jobUnits = (job) => jobCopies(job) * jobUnitsPerCopy(job);
+
 const computeRemaining = (access) => {
   const quota =
     Number.isFinite(access?.printQuota) && access.printQuota !== null
@@ -31,6 +54,9 @@ const computeRemaining = (access) => {
   return { maxPrints: quota, remainingPrints: Math.max(0, quota - used) };
 };
 
+// Pooled accesses report what the member can still draw from the pool.
+const resolveRemaining = (access, pool) => (access?.poolId ? getPoolRemaining(pool, access.userId) : computeRemaining(access));
+
 router.post('/print/fetch', authMiddleware, async (req, res) => {
   try {
     const printId = typeof req.body?.printId === 'string' ? req.body.printId.trim() : '';
@@ -54,6 +80,10 @@ router.post('/print/fetch', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Device mismatch' });
     }
 
+    // Re-checked at fetch: the device may have been revoked or disallowed since the request.
+    const access = await VectorDocumentAccess.findById(job.metadata?.assignmentId).select('allowedDeviceIds').lean().exec();
+    await assertDeviceAttestation(req, { purpose: 'fetch', printId, access });
+
     if (job.metadata?.fetchToken !== token) {
       return res.status(403).json({ message: 'Invalid token' });
     }
@@ -79,13 +109,41 @@ router.post('/print/fetch', authMiddleware, async (req, res) => {
       return res.status(410).json({ message: 'PDF not available' });
     }
 
-    const bytes = await downloadFromS3(sourceKey);
+    let sourceBytes = await downloadFromS3(sourceKey);
+
+    // Page-range prints only ever deliver the selected pages.
+    let pageNumbers = null;
+    let documentPages = null;
+    if (job.metadata?.pages) {
+      documentPages = await countPdfPages(sourceBytes);
+      const indices = parsePageRanges(job.metadata.pages, documentPages);
+      sourceBytes = await extractPdfPages(sourceBytes, indices);
+      pageNumbers = indices.map((i) => i + 1);
+    }
+
+    // Every copy leaving the server carries a stamp tying it to this print job.
+    const fetchedAt = new Date().toISOString();
+    const stampRecord = buildStampRecord({ job, user: req.user, fetchedAt });
+    const microtext = process.env.PRINT_STAMP_MICROTEXT === '1';
+    let stamped;
+    try {
+      stamped = await stampPrintPdf(sourceBytes, stampRecord, { microtext, pageNumbers, documentPages });
+    } catch (e) {
+      if (e?.code !== 'PDF_UNSTAMPABLE') throw e;
+      // Not fetched: the job stays open so the client can report it through /print/fail.
+      job.audit.push({ event: 'FETCH_DENIED_UNSTAMPABLE', details: { deviceId, error: e.message } });
+      await job.save();
+      return res.status(422).json({ message: 'This document cannot be printed: it could not be stamped', code: e.code });
+    }
+    const { bytes, signature } = stamped;
+
     job.output = { key: null, url: null, expiresAt: null };
-    job.metadata.fetchedAt = new Date().toISOString();
+    job.metadata.fetchedAt = fetchedAt;
+    job.metadata.stamp = { record: stampRecord, signature, microtext };
     job.markModified('metadata');
     job.audit.push({
       event: 'FETCHED_ONCE_AND_OUTPUT_DELETED',
-      details: { deviceId, previousExpiresAt: expiresAt ? expiresAt.toISOString() : null },
+      details: { deviceId, previousExpiresAt: expiresAt ? expiresAt.toISOString() : null, stampSignature: signature },
     });
     await job.save();
 
@@ -100,7 +158,14 @@ router.post('/print/fetch', authMiddleware, async (req, res) => {
     }
     return res.send(bytes);
   } catch (err) {
+    if (DEVICE_ERROR_STATUS[err?.code]) {
+      return res.status(DEVICE_ERROR_STATUS[err.code]).json({ message: err.message, code: err.code });
+    }
     console.error('Print fetch error', err);
+    if (err?.code === 'INVALID_PAGES') {
+      // The stored document no longer has the pages this job selected.
+      return res.status(410).json({ message: err.message });
+    }
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -112,15 +177,32 @@ router.get('/assignments', authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .exec();
 
+    const poolIds = [...new Set(accesses.filter((a) => a.poolId).map((a) => a.poolId.toString()))];
+    const pools = poolIds.length ? await VectorQuotaPool.find({ _id: { $in: poolIds } }).lean().exec() : [];
+    const poolsById = new Map(pools.map((p) => [p._id.toString(), p]));
+
+    const now = Date.now();
     const out = accesses.map((access) => {
       const doc = access.documentId;
-      const { maxPrints, remainingPrints } = computeRemaining(access);
+      const pool = access.poolId ? poolsById.get(access.poolId.toString()) || null : null;
+      const { maxPrints, remainingPrints } = resolveRemaining(access, pool);
+      // nextAvailableAt: null with availableNow=false means printing will not become possible again.
+      const window = remainingPrints > 0 ? checkAccessWindow(access, 1, now) : { ok: false, reason: 'LIMIT', availableAt: null };
       return {
         assignmentId: access._id.toString(),
         documentId: doc?._id?.toString?.() || null,
         title: doc?.title || 'Document',
         remainingPrints,
         maxPrints,
+        quotaUnit: access.quotaUnit || 'document',
+        pool: pool ? { id: pool._id.toString(), name: pool.name } : null,
+        validFrom: access.validFrom ? access.validFrom.toISOString() : null,
+        validUntil: access.validUntil ? access.validUntil.toISOString() : null,
+        rateLimits: normalizeRateLimits(access.rateLimits),
+        allowedDeviceIds: access.allowedDeviceIds || [],
+        availableNow: window.ok,
+        unavailableReason: window.ok ? null : window.reason,
+        nextAvailableAt: window.ok ? new Date(now).toISOString() : window.availableAt ? new Date(window.availableAt).toISOString() : null,
       };
     });
 
@@ -136,61 +218,116 @@ router.post('/print/request', authMiddleware, async (req, res) => {
     const assignmentId = typeof req.body?.assignmentId === 'string' ? req.body.assignmentId.trim() : '';
     const printerName = typeof req.body?.printerName === 'string' ? req.body.printerName.trim() : '';
     const deviceId = typeof req.headers['x-device-id'] === 'string' ? String(req.headers['x-device-id']).trim() : '';
+    const copies = req.body?.copies === undefined ? 1 : req.body.copies;
+    const pagesSpec = req.body?.pages;
 
     if (!assignmentId || !printerName || !deviceId) {
       return res.status(400).json({ message: 'assignmentId, printerName, and X-Device-Id are required' });
     }
 
+    if (!Number.isInteger(copies) || copies < 1 || copies > maxCopiesPerRequest()) {
+      return res.status(400).json({ message: `copies must be an integer between 1 and ${maxCopiesPerRequest()}` });
+    }
+
+    if (pagesSpec !== undefined && pagesSpec !== null && typeof pagesSpec !== 'string') {
+      return res.status(400).json({ message: 'pages must be a string such as "1-3,7"' });
+    }
+
     if (isVirtualPrinter(printerName)) {
       return res.status(400).json({ message: 'Virtual printers are blocked' });
     }
 
     const access = await VectorDocumentAccess.findOne({ _id: assignmentId, userId: req.user._id, revoked: false })
-      .select('documentId printQuota assignedQuota printsUsed usedPrints')
+      .select('userId documentId printQuota assignedQuota printsUsed usedPrints quotaUnit poolId validFrom validUntil rateLimits recentPrints allowedDeviceIds')
       .exec();
 
     if (!access) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
+    // With attestation on, the print id is the one reserved by the device's request nonce.
+    const attestedPrintId = typeof req.body?.printId === 'string' ? req.body.printId.trim() : '';
+    if (isDeviceAttestationRequired() && !mongoose.isValidObjectId(attestedPrintId)) {
+      return res.status(400).json({ message: 'printId from the device request nonce is required' });
+    }
+    const device = await assertDeviceAttestation(req, { purpose: 'request', printId: attestedPrintId, access });
+
     const docId = access.documentId?.toString?.() || '';
     if (!docId) {
       return res.status(404).json({ message: 'Document not found' });
     }
 
-    const { remainingPrints } = computeRemaining(access);
-    if (remainingPrints <= 0) {
-      return res.status(403).json({ message: 'Print limit exceeded' });
+    const pool = access.poolId ? await VectorQuotaPool.findById(access.poolId).lean().exec() : null;
+    const { remainingPrints } = resolveRemaining(access, pool);
+    if (remainingPrints < copies) {
+      return res.status(403).json({ message: 'Print limit exceeded', remainingPrints });
     }
 
-    // Prevent concurrent job spam from bypassing remainingPrints check.
-    const runningCount = await VectorPrintJob.countDocuments({
+    const quotaUnit = access.quotaUnit === 'page' ? 'page' : 'document';
+    const wantsPages = typeof pagesSpec === 'string' && pagesSpec.trim() !== '';
+
+    const sourceKey = await resolveFinalPdfKeyForServe(docId);
+
+    // The page count is only needed to validate a selection or to price pages.
+    let pages = null;
+    let pageCount = null;
+    let selectedPages = null;
+    if (wantsPages || quotaUnit === 'page') {
+      pageCount = await countPdfPages(await downloadFromS3(sourceKey));
+      const indices = wantsPages ? parsePageRanges(pagesSpec, pageCount) : null;
+      selectedPages = indices ? indices.length : pageCount;
+      // A selection of every page is just the whole document.
+      pages = indices && indices.length < pageCount ? formatPageRanges(indices) : null;
+    }
+
+    const unitsPerCopy = quotaUnit === 'page' ? selectedPages : 1;
+    const quotaUnits = unitsPerCopy * copies;
+
+    // Prevent concurrent job spam from bypassing remainingPrints check:
+    // units of unfinished jobs are held against the remaining quota.
+    const running = await VectorPrintJob.find({
       userId: req.user._id,
       status: 'RUNNING',
       'metadata.assignmentId': assignmentId,
-    }).exec();
-    if (runningCount >= remainingPrints) {
-      return res.status(403).json({ message: 'Print limit exceeded' });
+    })
+      .select('metadata.copies metadata.unitsPerCopy')
+      .lean()
+      .exec();
+    const heldUnits = running.reduce((sum, job) => sum + jobUnits(job), 0);
+    if (heldUnits + quotaUnits > remainingPrints) {
+      return res.status(403).json({
+        message: 'Print limit exceeded',
+        remainingPrints: Math.max(0, remainingPrints - heldUnits),
+        requiredUnits: quotaUnits,
+        quotaUnit,
+      });
+    }
+
+    // Held units count against rate limits too: they are consumed on confirmation.
+    const window = checkAccessWindow(access, heldUnits + quotaUnits);
+    if (!window.ok) {
+      return res.status(403).json({
+        message: 'Printing is not available',
+        reason: window.reason,
+        availableAt: window.availableAt ? new Date(window.availableAt).toISOString() : null,
+      });
     }
 
     const requestId = crypto.randomUUID();
 
     const doc = await VectorDocument.findById(docId).select('title').exec();
 
-    const sourceKey = await resolveFinalPdfKeyForServe(docId);
-
     const issuedAtIso = new Date().toISOString();
     const serial = crypto.randomUUID();
 
-    const printId = new mongoose.Types.ObjectId();
+    const printId = device ? new mongoose.Types.ObjectId(attestedPrintId) : new mongoose.Types.ObjectId();
     const printIdStr = printId.toString();
 
     const expiresIn = Number(process.env.PRINT_URL_TTL_SECONDS || 60);
     const expiresAt = new Date(Date.now() + expiresIn * 1000);
 
-    const secret = process.env.PRINT_PAYLOAD_SECRET || process.env.JWT_SECRET || 'dev';
     const payloadHmac = crypto
-      .createHmac('sha256', secret)
+      .createHmac('sha256', getPrintPayloadSecret())
       .update(`${printIdStr}:${docId}:${req.user._id.toString()}`)
       .digest('hex');
 
@@ -204,7 +341,14 @@ router.post('/print/request', authMiddleware, async (req, res) => {
         documentId: docId,
         assignmentId,
         deviceId,
+        deviceKeyFingerprint: device?.keyFingerprint || null,
         printerName,
+        copies,
+        pages,
+        pageCount,
+        selectedPages,
+        quotaUnit,
+        unitsPerCopy,
         issuedAt: issuedAtIso,
         serial,
         title: doc?.title || 'Document',
@@ -222,17 +366,30 @@ router.post('/print/request', authMiddleware, async (req, res) => {
         expiresAt,
       },
       audit: [
-        { event: 'PRINT_REQUESTED', details: { assignmentId, printerName, deviceId, requestId } },
+        {
+          event: 'PRINT_REQUESTED',
+          details: { assignmentId, printerName, deviceId, requestId, copies, pages, quotaUnit, quotaUnits },
+        },
       ],
     });
 
     return res.json({
       printId: printIdStr,
+      copies,
+      pages,
+      quotaUnit,
+      quotaUnits,
       fetchToken,
       expiresAt: expiresAt.toISOString(),
     });
   } catch (err) {
+    if (DEVICE_ERROR_STATUS[err?.code]) {
+      return res.status(DEVICE_ERROR_STATUS[err.code]).json({ message: err.message, code: err.code });
+    }
     console.error('Print request error', err);
+    if (err?.code === 'INVALID_PAGES') {
+      return res.status(400).json({ message: err.message });
+    }
     if (err && (err.code === 'LIMIT' || /print limit exceeded/i.test(String(err.message || '')))) {
       return res.status(403).json({ message: 'Print limit exceeded' });
     }
@@ -240,6 +397,48 @@ router.post('/print/request', authMiddleware, async (req, res) => {
   }
 });
 
+// Charge copies that are already on paper. The access window and rate limits were checked
+// when the print was requested, so they are not re-checked here; only the quota itself
+// can still refuse (e.g. a pool drained by other members). Then the job is closed as
+// FAILED with an audit entry and an UNSETTLED log instead of being left RUNNING.
+const settlePrintedUnits = async (job, userId, units, details) => {
+  const documentId = job.metadata?.documentId;
+  const requestId = job.metadata?.requestId;
+  if (!(units > 0) || !documentId || !requestId) return;
+
+  try {
+    await assertAndConsumePrintQuotaUnits(String(documentId), String(userId), String(requestId), units, { checkWindow: false });
+  } catch (err) {
+    if (err?.code !== 'LIMIT') throw err;
+
+    const key = job.output?.key;
+    if (key) {
+      await deleteFromS3(key).catch(() => null);
+    }
+    job.status = 'FAILED';
+    job.output = { key: null, url: null, expiresAt: null };
+    job.error = { message: 'Printed copies could not be charged: print limit exceeded', stack: null };
+    job.audit.push({ event: 'PRINT_UNSETTLED', details: { ...details, units } });
+    await job.save();
+
+    await VectorPrintLog.create({
+      userId,
+      documentId,
+      count: 0,
+      meta: {
+        printId: String(job._id),
+        deviceId: details.deviceId,
+        printerName: details.printerName,
+        result: 'UNSETTLED',
+        unsettledUnits: units,
+        copies: details.copies,
+        serial: job.metadata?.serial || null,
+      },
+    }).catch(() => null);
+    throw err;
+  }
+};
+
 router.post('/print/confirm', authMiddleware, async (req, res) => {
   try {
     const printId = typeof req.body?.printId === 'string' ? req.body.printId.trim() : '';
@@ -259,12 +458,10 @@ router.post('/print/confirm', authMiddleware, async (req, res) => {
       return res.status(409).json({ message: 'Print job already finalized' });
     }
 
-    // Consume quota ONLY on confirmation (per master prompt).
-    const docIdForQuota = job.metadata?.documentId;
-    const requestIdForQuota = job.metadata?.requestId;
-    if (docIdForQuota && requestIdForQuota) {
-      await assertAndConsumePrintQuota(String(docIdForQuota), req.user._id.toString(), String(requestIdForQuota));
-    }
+    // Consume quota ONLY on confirmation (per master prompt), all copies in one step.
+    const copies = jobCopies(job);
+    const quotaUnits = jobUnits(job);
+    await settlePrintedUnits(job, req.user._id, quotaUnits, { printerName, deviceId, copies });
 
     const key = job.output?.key;
     if (key) {
@@ -273,7 +470,7 @@ router.post('/print/confirm', authMiddleware, async (req, res) => {
 
     job.status = 'DONE';
     job.output = { key: null, url: null, expiresAt: null };
-    job.audit.push({ event: 'PRINT_CONFIRMED_AND_OUTPUT_DELETED', details: { printerName, deviceId } });
+    job.audit.push({ event: 'PRINT_CONFIRMED_AND_OUTPUT_DELETED', details: { printerName, deviceId, copies, quotaUnits } });
     await job.save();
 
     const docId = job.metadata?.documentId;
@@ -281,20 +478,26 @@ router.post('/print/confirm', authMiddleware, async (req, res) => {
       await VectorPrintLog.create({
         userId: req.user._id,
         documentId: docId,
-        count: 1,
+        count: quotaUnits,
         meta: {
           printId,
           deviceId,
           printerName,
           result: 'SUCCESS',
+          copies,
+          pages: job.metadata?.pages || null,
+          quotaUnit: job.metadata?.quotaUnit || 'document',
           serial: job.metadata?.serial || null,
         },
       }).catch(() => null);
     }
 
-    return res.json({ ok: true });
+    return res.json({ ok: true, copies, quotaUnits });
   } catch (err) {
     console.error('Print confirm error', err);
+    if (err?.code === 'LIMIT') {
+      return res.status(403).json({ message: 'Print limit exceeded' });
+    }
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -305,6 +508,8 @@ router.post('/print/fail', authMiddleware, async (req, res) => {
     const printerName = typeof req.body?.printerName === 'string' ? req.body.printerName.trim() : '';
     const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
     const deviceId = typeof req.headers['x-device-id'] === 'string' ? String(req.headers['x-device-id']).trim() : '';
+    // Copies that came out of the printer before it failed; the rest are refunded.
+    const printedCopies = req.body?.printedCopies === undefined ? 0 : req.body.printedCopies;
 
     if (!printId) {
       return res.status(400).json({ message: 'printId is required' });
@@ -319,6 +524,18 @@ router.post('/print/fail', authMiddleware, async (req, res) => {
       return res.status(409).json({ message: 'Print job already finalized' });
     }
 
+    const copies = jobCopies(job);
+    if (!Number.isInteger(printedCopies) || printedCopies < 0 || printedCopies > copies) {
+      return res.status(400).json({ message: `printedCopies must be an integer between 0 and ${copies}` });
+    }
+
+    // Partial failure: commit the copies that were printed in one step; the uncommitted
+    // remainder is never consumed, so it returns to the user's available quota.
+    const printedUnits = printedCopies * jobUnitsPerCopy(job);
+    await settlePrintedUnits(job, req.user._id, printedUnits, { printerName, deviceId, copies, printedCopies, reason });
+    const refundedCopies = copies - printedCopies;
+    const refundedUnits = jobUnits(job) - printedUnits;
+
     const key = job.output?.key;
     if (key) {
       await deleteFromS3(key).catch(() => null);
@@ -327,7 +544,10 @@ router.post('/print/fail', authMiddleware, async (req, res) => {
     job.status = 'FAILED';
     job.output = { key: null, url: null, expiresAt: null };
     job.error = { message: reason || 'Print failed', stack: null };
-    job.audit.push({ event: 'PRINT_FAILED_AND_OUTPUT_DELETED', details: { printerName, deviceId, reason } });
+    job.audit.push({
+      event: 'PRINT_FAILED_AND_OUTPUT_DELETED',
+      details: { printerName, deviceId, reason, copies, printedCopies, refundedCopies, printedUnits, refundedUnits },
+    });
     await job.save();
 
     const docId = job.metadata?.documentId;
@@ -335,21 +555,62 @@ router.post('/print/fail', authMiddleware, async (req, res) => {
       await VectorPrintLog.create({
         userId: req.user._id,
         documentId: docId,
-        count: 0,
+        count: printedUnits,
         meta: {
           printId,
           deviceId,
           printerName,
           result: 'FAILED',
           reason,
+          copies,
+          printedCopies,
+          refundedCopies,
+          pages: job.metadata?.pages || null,
+          quotaUnit: job.metadata?.quotaUnit || 'document',
           serial: job.metadata?.serial || null,
         },
       }).catch(() => null);
     }
 
-    return res.json({ ok: true });
+    return res.json({ ok: true, printedCopies, refundedCopies, printedUnits, refundedUnits });
   } catch (err) {
     console.error('Print fail error', err);
+    if (err?.code === 'LIMIT') {
+      return res.status(403).json({ message: 'Print limit exceeded' });
+    }
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const REPRINT_ERROR_STATUS = { NOT_FOUND: 404, NOT_ELIGIBLE: 409, DUPLICATE: 409 };
+
+// Ask an admin for one bonus unit to reprint a print that jammed or came out damaged.
+router.post('/print/reprint-requests', authMiddleware, async (req, res) => {
+  try {
+    const printId = typeof req.body?.printId === 'string' ? req.body.printId.trim() : '';
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!printId || !reason) {
+      return res.status(400).json({ message: 'printId and reason are required' });
+    }
+
+    const request = await createReprintRequest({ printId, userId: req.user._id, reason });
+    return res.status(201).json({ request: serializeReprintRequest(request) });
+  } catch (err) {
+    if (REPRINT_ERROR_STATUS[err?.code]) {
+      return res.status(REPRINT_ERROR_STATUS[err.code]).json({ message: err.message });
+    }
+    console.error('Reprint request error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/print/reprint-requests', authMiddleware, async (req, res) => {
+  try {
+    const requests = await listReprintRequests({ userId: req.user._id });
+    return res.json({ requests });
+  } catch (err) {
+    console.error('List reprint requests error', err);
     return res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -1,31 +1,58 @@
 import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
 import { authMiddleware, requireAdmin } from '../middleware/auth.js';
-import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
+import VectorPrintJob, { JOB_PRIORITIES } from '../vectorModels/VectorPrintJob.js';
 import { validateVectorMetadata } from '../vector/validation.js';
+import { getFontErrors } from '../services/fontLibrary.js';
 import { assertVectorJobEnqueueable, VectorJobValidationError } from '../vector/hardeningValidation.js';
+import { freezePageSize } from '../vector/pageSizes.js';
 import { signJobPayload } from '../services/hmac.js';
-import { enqueueVectorJobFlow } from '../workers/vectorPdfWorker.js';
+import {
+  cancelVectorJobFlow,
+  enqueueVectorJobFlow,
+  resumeVectorJobFlow,
+  retryVectorJobFlow,
+} from '../workers/vectorPdfWorker.js';
 import { getRedisClient } from '../services/redisClient.js';
+import { publishJobEvent, subscribeJobEvents, TERMINAL_JOB_STATUSES } from '../services/jobEvents.js';
+import { maxDatasetBytes, resolveJobDataset, storeDataset } from '../services/datasetStore.js';
+import { getDatasetErrors } from '../vector/dataset.js';
+import VectorDataset from '../vectorModels/VectorDataset.js';
+import { computeSeriesRanges, reserveJobSeriesRanges, rollbackJobSeriesRanges } from '../services/seriesRegistry.js';
 import { s3 } from '../services/s3.js';
 import { GetObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 
 const router = express.Router();
+// Dataset files are parsed in memory: refuse oversized uploads before they are buffered.
+const datasetUpload = (req, res, next) =>
+  multer({ limits: { fileSize: maxDatasetBytes(), files: 1 } }).single('file')(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Dataset exceeds ${maxDatasetBytes()} bytes` });
+    }
+    if (err) return res.status(400).json({ message: err.message });
+    return next();
+  });
 
 const lockKey = (documentId) => `vector:render:lock:${documentId}`;
 const activeKey = () => 'vector:render:active';
 const memberKey = (jobId) => `vector:render:active:${jobId}`;
+const userActiveKey = (userId) => `vector:render:user-active:${userId}`;
 
 const LOCK_TTL_SECONDS = Math.max(60, Number(process.env.VECTOR_RENDER_LOCK_TTL_SECONDS || 1800));
 const MAX_ACTIVE_JOBS = Math.max(0, Number(process.env.VECTOR_MAX_ACTIVE_JOBS || 0));
+const MAX_ACTIVE_JOBS_PER_USER = Math.max(0, Number(process.env.VECTOR_MAX_ACTIVE_JOBS_PER_USER || 0));
 
 const ACQUIRE_RENDER_LOCK_LUA = `
 -- KEYS[1] = lock key
 -- KEYS[2] = active counter key
 -- KEYS[3] = membership key (per job)
+-- KEYS[4] = per-user active counter key
 -- ARGV[1] = jobId
 -- ARGV[2] = ttlSeconds
 -- ARGV[3] = maxActiveJobs (0 disables)
+-- ARGV[4] = maxActiveJobsPerUser (0 disables)
 
 if redis.call('EXISTS', KEYS[1]) == 1 then
   return {0, redis.call('GET', KEYS[1])}
@@ -38,8 +65,17 @@ if maxActive and maxActive > 0 and active >= maxActive then
   return {-1, tostring(active)}
 end
 
+local userActive = tonumber(redis.call('GET', KEYS[4]) or '0')
+local maxPerUser = tonumber(ARGV[4])
+
+if maxPerUser and maxPerUser > 0 and userActive >= maxPerUser then
+  return {-2, tostring(userActive)}
+end
+
 redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
 redis.call('INCR', KEYS[2])
+redis.call('INCR', KEYS[4])
+redis.call('EXPIRE', KEYS[4], ARGV[2])
 redis.call('SET', KEYS[3], '1', 'EX', ARGV[2])
 return {1, ARGV[1]}
 `;
@@ -48,6 +84,7 @@ const RELEASE_RENDER_LOCK_LUA = `
 -- KEYS[1] = lock key
 -- KEYS[2] = active counter key
 -- KEYS[3] = membership key
+-- KEYS[4] = per-user active counter key
 -- ARGV[1] = jobId
 
 local cur = redis.call('GET', KEYS[1])
@@ -61,20 +98,92 @@ if redis.call('EXISTS', KEYS[3]) == 1 then
   if active and active > 0 then
     redis.call('DECR', KEYS[2])
   end
+  local userActive = tonumber(redis.call('GET', KEYS[4]) or '0')
+  if userActive and userActive > 0 then
+    redis.call('DECR', KEYS[4])
+  end
 end
 
 return 1
 `;
 
+// Returns the Lua reply ({1, jobId} acquired, {0, holderJobId} held, {-1, active} queue busy,
+// {-2, userActive} user at its limit) or null when Redis could not be asked.
+const acquireRenderLock = async (redis, documentId, jobId, userId) => {
+  try {
+    return await redis.eval(
+      ACQUIRE_RENDER_LOCK_LUA,
+      4,
+      lockKey(documentId),
+      activeKey(),
+      memberKey(jobId),
+      userActiveKey(userId),
+      jobId,
+      String(LOCK_TTL_SECONDS),
+      String(MAX_ACTIVE_JOBS),
+      String(MAX_ACTIVE_JOBS_PER_USER)
+    );
+  } catch {
+    return null;
+  }
+};
+
+const releaseRenderLock = async (redis, documentId, jobId, userId) => {
+  try {
+    await redis.eval(
+      RELEASE_RENDER_LOCK_LUA,
+      4,
+      lockKey(documentId),
+      activeKey(),
+      memberKey(jobId),
+      userActiveKey(userId),
+      jobId
+    );
+  } catch {
+    // ignore
+  }
+};
+
+const jobDocumentId = (jobDoc) => String(jobDoc?.metadata?.documentId || jobDoc?.metadata?.sourcePdfKey || '').trim();
+
 router.post('/jobs', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const metadata = req.body;
 
+    // Scheduling only: kept out of the signed render payload.
+    const priority = metadata?.priority === undefined ? 'normal' : metadata.priority;
+    if (!JOB_PRIORITIES.includes(priority)) {
+      const message = `priority must be one of: ${JOB_PRIORITIES.join(', ')}`;
+      return res.status(400).json({ message, errors: [message] });
+    }
+    if (metadata && typeof metadata === 'object') delete metadata.priority;
+
     const validation = validateVectorMetadata(metadata);
     if (!validation.isValid) {
       return res.status(400).json({ message: 'Invalid vector metadata', errors: validation.errors });
     }
 
+    const fontErrors = await getFontErrors(metadata);
+    if (fontErrors.length) {
+      return res.status(400).json({ message: 'Invalid vector metadata', errors: fontErrors });
+    }
+
+    // Expand { datasetId } into the stored chunk list; the chunk hashes are then signed with the job.
+    if (metadata.dataset) {
+      try {
+        metadata.dataset = await resolveJobDataset(metadata);
+      } catch (e) {
+        if (e?.code === 'INVALID_DATASET') {
+          return res.status(400).json({ message: 'Invalid vector metadata', errors: [e.message] });
+        }
+        throw e;
+      }
+      const datasetErrors = getDatasetErrors(metadata);
+      if (datasetErrors.length) {
+        return res.status(400).json({ message: 'Invalid vector metadata', errors: datasetErrors });
+      }
+    }
+
     try {
       assertVectorJobEnqueueable(metadata);
     } catch (e) {
@@ -92,26 +201,16 @@ router.post('/jobs', authMiddleware, requireAdmin, async (req, res) => {
     const redis = getRedisClient();
     if (redis) {
       const newJobId = new VectorPrintJob()._id.toString();
-      let acquireResult = null;
-      try {
-        acquireResult = await redis.eval(
-          ACQUIRE_RENDER_LOCK_LUA,
-          3,
-          lockKey(documentId),
-          activeKey(),
-          memberKey(newJobId),
-          newJobId,
-          String(LOCK_TTL_SECONDS),
-          String(MAX_ACTIVE_JOBS)
-        );
-      } catch {
-        acquireResult = null;
-      }
+      const acquireResult = await acquireRenderLock(redis, documentId, newJobId, String(req.user._id));
 
       if (Array.isArray(acquireResult) && Number(acquireResult[0]) === -1) {
         return res.status(429).json({ message: 'Queue busy. Try again later.' });
       }
 
+      if (Array.isArray(acquireResult) && Number(acquireResult[0]) === -2) {
+        return res.status(429).json({ message: 'Too many active jobs for this user. Try again later.' });
+      }
+
       if (Array.isArray(acquireResult) && Number(acquireResult[0]) === 0) {
         const existingJobId = String(acquireResult[1] || '').trim();
         if (existingJobId) {
@@ -131,11 +230,19 @@ router.post('/jobs', authMiddleware, requireAdmin, async (req, res) => {
       req._vectorPreallocatedJobId = newJobId;
     }
 
+    // Pin the resolved sheet geometry into the signed payload so workers render
+    // exactly the stock that was validated here.
+    metadata.layout = freezePageSize(metadata.layout);
+
     const payloadHmac = signJobPayload(metadata);
 
     const totalPages = Number(metadata?.layout?.totalPages || 1);
 
-    const printJobId = (req._vectorPreallocatedJobId && String(req._vectorPreallocatedJobId)) || undefined;
+    const printJobId = (req._vectorPreallocatedJobId && String(req._vectorPreallocatedJobId)) || new VectorPrintJob()._id.toString();
+
+    // Claim every series range for this job before it exists; a conflict aborts the enqueue.
+    await reserveJobSeriesRanges({ jobId: printJobId, documentId, metadata, userId: req.user._id });
+    req._vectorReservedJobId = printJobId;
 
     const jobDoc = await VectorPrintJob.create({
       _id: printJobId,
@@ -144,13 +251,24 @@ router.post('/jobs', authMiddleware, requireAdmin, async (req, res) => {
       metadata,
       payloadHmac,
       status: 'PENDING',
+      priority,
       progress: 0,
       totalPages,
-      audit: [{ event: 'JOB_CREATED', details: { totalPages } }],
+      audit: [
+        { event: 'JOB_CREATED', details: { totalPages } },
+        { event: 'SERIES_RESERVED', details: { ranges: computeSeriesRanges(metadata) } },
+      ],
     });
+    req._vectorCreatedJob = jobDoc;
 
-    await enqueueVectorJobFlow({ printJobId: jobDoc._id.toString(), totalPages });
+    const flow = await enqueueVectorJobFlow({
+      printJobId: jobDoc._id.toString(),
+      totalPages,
+      userId: req.user._id,
+      priority,
+    });
 
+    jobDoc.flowJobId = flow?.job?.id ? String(flow.job.id) : null;
     jobDoc.audit.push({ event: 'JOB_ENQUEUED', details: null });
     await jobDoc.save();
 
@@ -161,32 +279,106 @@ router.post('/jobs', authMiddleware, requireAdmin, async (req, res) => {
         documentId,
         jobId: jobDoc._id.toString(),
         totalPages,
+        priority,
       })
     );
 
-    return res.status(201).json({ jobId: jobDoc._id, status: jobDoc.status });
+    return res.status(201).json({ jobId: jobDoc._id, status: jobDoc.status, priority });
   } catch (err) {
     const redis = getRedisClient();
     const preId = req._vectorPreallocatedJobId ? String(req._vectorPreallocatedJobId) : '';
     const documentId = String(req.body?.documentId || req.body?.sourcePdfKey || '').trim();
     if (redis && preId && documentId) {
+      await releaseRenderLock(redis, documentId, preId, String(req.user._id));
+    }
+
+    if (err?.code === 'SERIES_CONFLICT') {
+      return res.status(409).json({ message: err.message, conflicts: err.conflicts });
+    }
+
+    const createdJob = req._vectorCreatedJob;
+    if (createdJob) {
+      // The job exists, so its numbers stay reserved to it (a retry reuses them): stop the
+      // flow if it was started and mark the job FAILED.
       try {
-        await redis.eval(
-          RELEASE_RENDER_LOCK_LUA,
-          3,
-          lockKey(documentId),
-          activeKey(),
-          memberKey(preId),
-          preId
-        );
-      } catch {
-        // ignore
+        if (createdJob.flowJobId) await cancelVectorJobFlow(createdJob);
+        await VectorPrintJob.updateOne(
+          { _id: createdJob._id, status: 'PENDING' },
+          {
+            $set: { status: 'FAILED', error: { message: err?.message || 'Failed to enqueue job', stack: err?.stack || null } },
+            $push: { audit: { event: 'JOB_FAILED', details: { phase: 'enqueue' } } },
+          }
+        ).exec();
+        await publishJobEvent(createdJob._id, { type: 'status', status: 'FAILED', error: err?.message || 'Failed to enqueue job' });
+      } catch (e) {
+        console.error('Failed to mark job as failed after enqueue error', String(createdJob._id), e?.message || e);
+      }
+    } else if (req._vectorReservedJobId) {
+      // Job creation failed after the reservation: nothing was issued, give the numbers back.
+      try {
+        await rollbackJobSeriesRanges(req._vectorReservedJobId);
+      } catch (e) {
+        console.error('Series reservation rollback failed', req._vectorReservedJobId, e?.message || e);
       }
     }
+
+    if (err?.code === 'SERIES_LEDGER_BUSY') {
+      return res.status(503).json({ message: err.message });
+    }
+    if (createdJob) {
+      return res.status(500).json({ message: err?.message || 'Failed to create job', jobId: createdJob._id, status: 'FAILED' });
+    }
     return res.status(500).json({ message: err?.message || 'Failed to create job' });
   }
 });
 
+// Upload a CSV (header row) or JSONL dataset for variable-data fields.
+router.post('/datasets', authMiddleware, requireAdmin, datasetUpload, async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+
+    const dataset = await storeDataset({
+      buffer: file.buffer,
+      originalName: file.originalname || null,
+      mimeType: file.mimetype || null,
+      format: req.body?.format || null,
+      userId: req.user._id,
+    });
+
+    return res.status(201).json({
+      datasetId: dataset._id,
+      columns: dataset.columns,
+      rowCount: dataset.rowCount,
+      chunks: dataset.chunks.length,
+    });
+  } catch (err) {
+    if (err?.code === 'INVALID_DATASET') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Dataset upload error', err);
+    return res.status(500).json({ message: err?.message || 'Dataset upload failed' });
+  }
+});
+
+router.get('/datasets/:datasetId', authMiddleware, requireAdmin, async (req, res) => {
+  const dataset = await VectorDataset.findById(req.params.datasetId).lean().catch(() => null);
+  if (!dataset) return res.status(404).json({ message: 'Dataset not found' });
+
+  return res.json({
+    datasetId: dataset._id,
+    originalName: dataset.originalName,
+    sourceFormat: dataset.sourceFormat,
+    columns: dataset.columns,
+    rowCount: dataset.rowCount,
+    chunkRows: dataset.chunkRows,
+    chunks: dataset.chunks.length,
+    createdAt: dataset.createdAt,
+  });
+});
+
 router.get('/jobs/:jobId', authMiddleware, requireAdmin, async (req, res) => {
   const jobDoc = await VectorPrintJob.findById(req.params.jobId).exec().catch(() => null);
   if (!jobDoc) return res.status(404).json({ message: 'Job not found' });
@@ -194,15 +386,270 @@ router.get('/jobs/:jobId', authMiddleware, requireAdmin, async (req, res) => {
   return res.json({
     jobId: jobDoc._id,
     status: jobDoc.status,
+    priority: jobDoc.priority,
     progress: jobDoc.progress,
     totalPages: jobDoc.totalPages,
     createdAt: jobDoc.createdAt,
     updatedAt: jobDoc.updatedAt,
     expiresAt: jobDoc.output?.expiresAt || null,
     error: jobDoc.error?.message || null,
+    checkpoints: (jobDoc.batches || []).map((b) => ({ startPage: b.startPage, endPage: b.endPage, renderedAt: b.renderedAt })),
   });
 });
 
+// Job control. Each transition is a conditional status update; workers pick it up between
+// pages. Pause is only possible before the merge starts (the merge runs as one step).
+const JOB_TRANSITIONS = {
+  cancel: { from: ['PENDING', 'PAUSED', 'RUNNING'], to: 'CANCELLED', event: 'JOB_CANCELLED' },
+  pause: { from: ['PENDING'], to: 'PAUSED', event: 'JOB_PAUSED' },
+  resume: { from: ['PAUSED'], to: 'PENDING', event: 'JOB_RESUMED' },
+};
+
+// A paused job gives up its render lock and active slots, so nothing expires or stays
+// counted while it is parked; resume has to win them back before the job can run again.
+const reacquireForResume = async (renderJob) => {
+  const redis = getRedisClient();
+  const paused = await VectorPrintJob.findOne({ ...renderJob, status: 'PAUSED' })
+    .select('userId metadata.documentId metadata.sourcePdfKey')
+    .lean()
+    .exec();
+  const documentId = jobDocumentId(paused);
+  if (!redis || !paused || !documentId) return { acquired: false };
+
+  const jobId = String(paused._id);
+  const ownerId = String(paused.userId);
+  const acquireResult = await acquireRenderLock(redis, documentId, jobId, ownerId);
+  const code = Array.isArray(acquireResult) ? Number(acquireResult[0]) : null;
+  if (code === -1) return { status: 429, body: { message: 'Queue busy. Try again later.' } };
+  if (code === -2) return { status: 429, body: { message: 'Too many active jobs for this user. Try again later.' } };
+  if (code === 0 && String(acquireResult[1]) !== jobId) {
+    return { status: 409, body: { message: 'Another job is rendering this document', jobId: String(acquireResult[1]) } };
+  }
+  return {
+    acquired: code === 1,
+    release: () => releaseRenderLock(redis, documentId, jobId, ownerId),
+  };
+};
+
+const transitionJob = async (req, res, action) => {
+  const { from, to, event } = JOB_TRANSITIONS[action];
+  try {
+    const { jobId } = req.params;
+    // Print requests share the collection but have no render flow; only layout jobs qualify.
+    const renderJob = { _id: jobId, 'metadata.layout': { $exists: true } };
+
+    let lock = null;
+    if (action === 'resume' && mongoose.isValidObjectId(jobId)) {
+      lock = await reacquireForResume(renderJob);
+      if (lock.status) return res.status(lock.status).json(lock.body);
+    }
+
+    const jobDoc = mongoose.isValidObjectId(jobId)
+      ? await VectorPrintJob.findOneAndUpdate(
+          { ...renderJob, status: { $in: from } },
+          { $set: { status: to }, $push: { audit: { at: new Date(), event, details: { by: String(req.user._id) } } } },
+          { new: true }
+        ).exec()
+      : null;
+
+    if (!jobDoc) {
+      if (lock?.acquired) await lock.release();
+      const current = mongoose.isValidObjectId(jobId)
+        ? await VectorPrintJob.findOne(renderJob).select('status').lean().exec()
+        : null;
+      if (!current) return res.status(404).json({ message: 'Job not found' });
+      return res.status(409).json({ message: `Cannot ${action} a job that is ${current.status}`, status: current.status });
+    }
+
+    console.log(JSON.stringify({ phase: 'control', event: `VECTOR_${event}`, jobId: String(jobDoc._id) }));
+    await publishJobEvent(jobDoc._id, { type: 'status', status: jobDoc.status });
+
+    if (action === 'cancel') {
+      const { flowRemoved } = await cancelVectorJobFlow(jobDoc);
+      return res.json({ jobId: jobDoc._id, status: jobDoc.status, flowRemoved });
+    }
+    if (action === 'resume') {
+      const { promoted } = await resumeVectorJobFlow(jobDoc);
+      return res.json({ jobId: jobDoc._id, status: jobDoc.status, promoted });
+    }
+    if (action === 'pause') {
+      const redis = getRedisClient();
+      const documentId = jobDocumentId(jobDoc);
+      if (redis && documentId) await releaseRenderLock(redis, documentId, String(jobDoc._id), String(jobDoc.userId));
+    }
+    return res.json({ jobId: jobDoc._id, status: jobDoc.status });
+  } catch (err) {
+    console.error(`Vector job ${action} error`, err);
+    return res.status(500).json({ message: err?.message || `Failed to ${action} job` });
+  }
+};
+
+router.post('/jobs/:jobId/cancel', authMiddleware, requireAdmin, (req, res) => transitionJob(req, res, 'cancel'));
+router.post('/jobs/:jobId/pause', authMiddleware, requireAdmin, (req, res) => transitionJob(req, res, 'pause'));
+router.post('/jobs/:jobId/resume', authMiddleware, requireAdmin, (req, res) => transitionJob(req, res, 'resume'));
+
+// Re-run a FAILED job under its own id. Batches with a checkpoint are reused, so only
+// missing page ranges and the merge run again.
+router.post('/jobs/:jobId/retry', authMiddleware, requireAdmin, async (req, res) => {
+  const { jobId } = req.params;
+  const redis = getRedisClient();
+  let documentId = '';
+  let ownerId = '';
+  let lockHeld = false;
+  let transitioned = false;
+
+  try {
+    const existing = mongoose.isValidObjectId(jobId)
+      ? await VectorPrintJob.findOne({ _id: jobId, 'metadata.layout': { $exists: true } }).exec()
+      : null;
+    if (!existing) return res.status(404).json({ message: 'Job not found' });
+    if (existing.status !== 'FAILED') {
+      return res.status(409).json({ message: `Cannot retry a job that is ${existing.status}`, status: existing.status });
+    }
+
+    documentId = jobDocumentId(existing);
+    ownerId = String(existing.userId);
+    if (redis && documentId) {
+      const acquireResult = await acquireRenderLock(redis, documentId, String(existing._id), ownerId);
+      if (Array.isArray(acquireResult) && Number(acquireResult[0]) === -1) {
+        return res.status(429).json({ message: 'Queue busy. Try again later.' });
+      }
+      if (Array.isArray(acquireResult) && Number(acquireResult[0]) === -2) {
+        return res.status(429).json({ message: 'Too many active jobs for this user. Try again later.' });
+      }
+      if (Array.isArray(acquireResult) && Number(acquireResult[0]) === 0 && String(acquireResult[1]) !== String(existing._id)) {
+        return res.status(409).json({ message: 'Another job is rendering this document', jobId: String(acquireResult[1]) });
+      }
+      lockHeld = Array.isArray(acquireResult) && Number(acquireResult[0]) === 1;
+    }
+
+    const jobDoc = await VectorPrintJob.findOneAndUpdate(
+      { _id: existing._id, status: 'FAILED' },
+      {
+        $set: { status: 'PENDING', 'error.message': null, 'error.stack': null },
+        $push: {
+          audit: {
+            at: new Date(),
+            event: 'JOB_RETRY',
+            details: { by: String(req.user._id), checkpoints: existing.batches.length },
+          },
+        },
+      },
+      { new: true }
+    ).exec();
+    if (!jobDoc) {
+      if (lockHeld) await releaseRenderLock(redis, documentId, String(existing._id), ownerId);
+      return res.status(409).json({ message: 'Job changed, try again' });
+    }
+    transitioned = true;
+
+    const flow = await retryVectorJobFlow(jobDoc);
+    jobDoc.flowJobId = flow?.job?.id ? String(flow.job.id) : null;
+    jobDoc.audit.push({ event: 'JOB_ENQUEUED', details: { retry: true } });
+    await jobDoc.save();
+    await publishJobEvent(jobDoc._id, { type: 'status', status: jobDoc.status });
+
+    console.log(
+      JSON.stringify({ phase: 'enqueue', event: 'VECTOR_JOB_RETRY', documentId, jobId: String(jobDoc._id), checkpoints: jobDoc.batches.length })
+    );
+
+    return res.json({ jobId: jobDoc._id, status: jobDoc.status, checkpoints: jobDoc.batches.length });
+  } catch (err) {
+    if (lockHeld) await releaseRenderLock(redis, documentId, String(jobId), ownerId);
+    if (transitioned) {
+      await VectorPrintJob.updateOne(
+        { _id: jobId, status: 'PENDING' },
+        { $set: { status: 'FAILED', 'error.message': err?.message || 'Retry failed' } }
+      ).catch(() => null);
+    }
+    console.error('Vector job retry error', err);
+    return res.status(500).json({ message: err?.message || 'Failed to retry job' });
+  }
+});
+
+// Live job events as Server-Sent Events: a `snapshot` of the job first, then `progress`,
+// `phase` and `status` events as workers publish them (see services/jobEvents). The stream
+// ends after a terminal status; clients may reconnect to get a fresh snapshot.
+router.get('/jobs/:jobId/events', authMiddleware, requireAdmin, async (req, res) => {
+  const { jobId } = req.params;
+  const renderJob = { _id: jobId, 'metadata.layout': { $exists: true } };
+  const exists = mongoose.isValidObjectId(jobId) ? await VectorPrintJob.exists(renderJob).catch(() => null) : null;
+  if (!exists) return res.status(404).json({ message: 'Job not found' });
+
+  let closed = false;
+  let ready = false;
+  let heartbeat = null;
+  let unsubscribe = null;
+  const pending = [];
+
+  const send = (name, data) => {
+    if (!closed) res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  const deliver = (event) => {
+    send(event.type || 'message', event);
+    if (event.type === 'status' && TERMINAL_JOB_STATUSES.includes(event.status)) close();
+  };
+
+  // Registered before subscribing: a client that leaves while the subscription is still
+  // being set up must not leave its listener behind.
+  res.on('close', close);
+
+  // Subscribe before reading the snapshot so nothing published in between is lost.
+  const subscription = await subscribeJobEvents(jobId, (event) => (ready ? deliver(event) : pending.push(event)));
+  if (closed) {
+    if (subscription) subscription();
+    return;
+  }
+  if (!subscription) {
+    return res.status(503).json({ message: 'Live job events are unavailable' });
+  }
+  unsubscribe = subscription;
+
+  try {
+    const jobDoc = await VectorPrintJob.findOne(renderJob).select('status priority progress totalPages batches error').lean().exec();
+    if (closed) return;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    send('snapshot', {
+      jobId,
+      status: jobDoc?.status || null,
+      priority: jobDoc?.priority || null,
+      progress: jobDoc?.progress || 0,
+      totalPages: jobDoc?.totalPages || 0,
+      checkpoints: (jobDoc?.batches || []).length,
+      error: jobDoc?.error?.message || null,
+    });
+    if (!jobDoc || TERMINAL_JOB_STATUSES.includes(jobDoc.status)) return close();
+
+    ready = true;
+    for (const event of pending.splice(0)) deliver(event);
+
+    const heartbeatMs = Math.max(1000, Number(process.env.VECTOR_EVENTS_HEARTBEAT_MS || 15000));
+    heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, heartbeatMs);
+  } catch (err) {
+    console.error('Vector job events error', err);
+    if (res.headersSent) return close();
+    unsubscribe();
+    return res.status(500).json({ message: err?.message || 'Failed to stream job events' });
+  }
+});
+
 router.get('/jobs/:jobId/result', authMiddleware, requireAdmin, async (req, res) => {
   const jobDoc = await VectorPrintJob.findById(req.params.jobId).exec().catch(() => null);
   if (!jobDoc) return res.status(404).json({ message: 'Job not found' });
@@ -1,6 +1,9 @@
 import express from 'express';
 import { authMiddleware, requireAdmin } from '../middleware/auth.js';
 import { validateVectorMetadata } from '../vector/validation.js';
+import { getFontErrors } from '../services/fontLibrary.js';
+import { resolveJobDataset } from '../services/datasetStore.js';
+import { getDatasetErrors } from '../vector/dataset.js';
 import { assertVectorJobEnqueueable, VectorJobValidationError } from '../vector/hardeningValidation.js';
 import { vectorLayoutEngine } from '../vector/vectorLayoutEngine.js';
 import { uploadToS3WithKey } from '../services/s3.js';
@@ -24,6 +27,26 @@ router.post('/generate', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Invalid vector metadata', errors: validation.errors });
     }
 
+    const fontErrors = await getFontErrors(metadata);
+    if (fontErrors.length) {
+      return res.status(400).json({ message: 'Invalid vector metadata', errors: fontErrors });
+    }
+
+    if (metadata.dataset) {
+      try {
+        metadata.dataset = await resolveJobDataset(metadata);
+      } catch (e) {
+        if (e?.code === 'INVALID_DATASET') {
+          return res.status(400).json({ message: 'Invalid vector metadata', errors: [e.message] });
+        }
+        throw e;
+      }
+      const datasetErrors = getDatasetErrors(metadata);
+      if (datasetErrors.length) {
+        return res.status(400).json({ message: 'Invalid vector metadata', errors: datasetErrors });
+      }
+    }
+
     try {
       assertVectorJobEnqueueable(metadata);
     } catch (e) {
@@ -33,7 +56,8 @@ router.post('/generate', authMiddleware, async (req, res) => {
       throw e;
     }
 
-    const pdfDoc = await vectorLayoutEngine.createPage(metadata);
+    const jobId = crypto.randomUUID();
+    const pdfDoc = await vectorLayoutEngine.createPage(metadata, { jobId });
     const pdfBytes = await pdfDoc.save();
 
     // Optional golden snapshot check (dev-only, warning-only; never blocks production)
@@ -67,7 +91,6 @@ router.post('/generate', authMiddleware, async (req, res) => {
     }
 
     const userId = req.user?._id?.toString?.() || 'unknown';
-    const jobId = crypto.randomUUID();
     const key = `documents/generated/${userId}/${jobId}.pdf`;
 
     const uploaded = await uploadToS3WithKey(Buffer.from(pdfBytes), 'application/pdf', key);
@@ -209,10 +232,12 @@ router.post('/validate', authMiddleware, async (req, res) => {
   try {
     const metadata = req.body;
     const validation = validateVectorMetadata(metadata);
+    const fontErrors = await getFontErrors(metadata);
+    const errors = [...validation.errors, ...fontErrors];
     
     return res.json({
-      valid: validation.isValid,
-      errors: validation.errors
+      valid: errors.length === 0,
+      errors
     });
   } catch (error) {
     console.error('Validation error:', error);
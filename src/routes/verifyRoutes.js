@@ -0,0 +1,88 @@
+import express from 'express';
+import multer from 'multer';
+
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { verifySerial, verifyStampedPdf } from '../services/printVerification.js';
+
+const router = express.Router();
+const upload = multer();
+
+// Non-admins only see who/where for their own prints; everyone sees the verdict.
+const redactForUser = (result, user) => {
+  if (!result) return result;
+  if (result.user?.id === user._id.toString()) {
+    const { logs, stampSignature, ...own } = result;
+    return own;
+  }
+  return {
+    serial: result.serial,
+    verdict: result.verdict,
+    flags: result.flags,
+    document: result.document,
+    issuedAt: result.issuedAt,
+    confirmedAt: result.confirmedAt,
+    failedAt: result.failedAt,
+  };
+};
+
+const unknownSerial = (serial) => ({ serial, verdict: 'UNKNOWN' });
+
+const readSerial = (req) => (typeof req.params.serial === 'string' ? req.params.serial.trim() : '');
+
+router.get('/verify/:serial', authMiddleware, async (req, res) => {
+  try {
+    const serial = readSerial(req);
+    const result = await verifySerial(serial);
+    if (!result) return res.status(404).json(unknownSerial(serial));
+    return res.json(redactForUser(result, req.user));
+  } catch (err) {
+    console.error('Verify serial error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/admin/verify/:serial', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const serial = readSerial(req);
+    const result = await verifySerial(serial);
+    if (!result) return res.status(404).json(unknownSerial(serial));
+    return res.json(result);
+  } catch (err) {
+    console.error('Admin verify serial error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const handlePdfVerification = (full) => async (req, res) => {
+  try {
+    if (!req.file?.buffer?.length) {
+      return res.status(400).json({ message: 'A PDF file is required' });
+    }
+
+    const result = await verifyStampedPdf(req.file.buffer);
+    if (full) return res.json(result);
+
+    // The embedded record names the user and device, so only admins and the owner get it back.
+    const ownsPrint = result.print?.user?.id === req.user._id.toString();
+    return res.json({
+      stampFound: result.stampFound,
+      signatureValid: result.signatureValid,
+      metadataConsistent: result.metadataConsistent,
+      matchesJob: result.matchesJob,
+      verdict: result.verdict,
+      record: ownsPrint ? result.record : result.record ? { serial: result.record.serial } : null,
+      print: redactForUser(result.print, req.user),
+    });
+  } catch (err) {
+    if (err?.code === 'INVALID_PDF') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Verify PDF error', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+router.post('/verify/pdf', authMiddleware, upload.single('file'), handlePdfVerification(false));
+router.post('/admin/verify/pdf', authMiddleware, requireAdmin, upload.single('file'), handlePdfVerification(true));
+
+export default router;
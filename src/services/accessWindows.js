@@ -0,0 +1,313 @@
+// Time bounds and rolling-window rate limits on a VectorDocumentAccess:
+//   validFrom / validUntil   - printing is only allowed in [validFrom, validUntil)
+//   rateLimits[]             - at most maxPrints quota units per rolling windowSeconds
+//   recentPrints[]           - { at, units, requestId } consumed within the longest window
+// Shared by the Redis Lua paths (which cache these fields), the DB fallbacks and the
+// assignment listing, so all of them agree on when printing is next possible. Pooled
+// accesses are checked against the same per-access cache as unpooled ones.
+
+export const RATE_LIMIT_WINDOWS = { hour: 3600, day: 86400, week: 604800 };
+const MIN_WINDOW_SECONDS = 60;
+const MAX_WINDOW_SECONDS = 366 * 86400;
+
+const toMs = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+};
+
+export const normalizeRateLimits = (rateLimits) =>
+  (Array.isArray(rateLimits) ? rateLimits : [])
+    .map((l) => ({ windowSeconds: Number(l?.windowSeconds), maxPrints: Number(l?.maxPrints) }))
+    .filter((l) => Number.isInteger(l.windowSeconds) && l.windowSeconds > 0 && Number.isInteger(l.maxPrints) && l.maxPrints > 0);
+
+export const maxWindowMs = (rateLimits) =>
+  normalizeRateLimits(rateLimits).reduce((max, l) => Math.max(max, l.windowSeconds * 1000), 0);
+
+/**
+ * Validate admin input for validFrom/validUntil/rateLimits and return the values to store.
+ * `window: 'day' | 'week' | 'hour'` is accepted as shorthand for windowSeconds.
+ * @returns {{ errors: string[], values: object }}
+ */
+export const parseAccessWindowInput = ({ validFrom, validUntil, rateLimits } = {}) => {
+  const errors = [];
+  const values = {};
+
+  for (const [name, raw] of [['validFrom', validFrom], ['validUntil', validUntil]]) {
+    if (raw === undefined) continue;
+    if (raw === null || raw === '') {
+      values[name] = null;
+    } else if (toMs(raw) === null) {
+      errors.push(`${name} must be a date`);
+    } else {
+      values[name] = new Date(raw);
+    }
+  }
+
+  const from = values.validFrom !== undefined ? values.validFrom : null;
+  const until = values.validUntil !== undefined ? values.validUntil : null;
+  if (from && until && from.getTime() >= until.getTime()) {
+    errors.push('validUntil must be after validFrom');
+  }
+
+  if (rateLimits !== undefined) {
+    if (rateLimits === null) {
+      values.rateLimits = [];
+    } else if (!Array.isArray(rateLimits)) {
+      errors.push('rateLimits must be an array');
+    } else {
+      values.rateLimits = rateLimits.map((limit, i) => {
+        const windowSeconds = limit?.window !== undefined ? RATE_LIMIT_WINDOWS[limit.window] : limit?.windowSeconds;
+        if (!Number.isInteger(windowSeconds) || windowSeconds < MIN_WINDOW_SECONDS || windowSeconds > MAX_WINDOW_SECONDS) {
+          errors.push(
+            `rateLimits[${i}] needs window (${Object.keys(RATE_LIMIT_WINDOWS).join(', ')}) or windowSeconds between ${MIN_WINDOW_SECONDS} and ${MAX_WINDOW_SECONDS}`
+          );
+        }
+        if (!Number.isInteger(limit?.maxPrints) || limit.maxPrints < 1) {
+          errors.push(`rateLimits[${i}].maxPrints must be a positive integer`);
+        }
+        return { windowSeconds, maxPrints: limit?.maxPrints };
+      });
+    }
+  }
+
+  return { errors, values };
+};
+
+// When the oldest in-window prints will have aged out far enough to allow `units` more.
+const rateLimitAvailableAt = (events, limit, units, nowMs) => {
+  const windowMs = limit.windowSeconds * 1000;
+  if (units > limit.maxPrints) return null; // can never fit
+  const inWindow = events.filter((e) => e.at > nowMs - windowMs).sort((a, b) => a.at - b.at);
+  const used = inWindow.reduce((sum, e) => sum + e.units, 0);
+  const excess = used + units - limit.maxPrints;
+  if (excess <= 0) return nowMs;
+
+  let freed = 0;
+  for (const e of inWindow) {
+    freed += e.units;
+    if (freed >= excess) return e.at + windowMs;
+  }
+  return null;
+};
+
+/**
+ * Whether `units` more quota units may be consumed at `nowMs`.
+ * @returns {{ ok: true } | { ok: false, reason: 'NOT_YET_VALID'|'EXPIRED'|'RATE_LIMIT', availableAt: number|null }}
+ */
+export const checkAccessWindow = (access, units = 1, nowMs = Date.now()) => {
+  const from = toMs(access?.validFrom);
+  const until = toMs(access?.validUntil);
+  if (from !== null && nowMs < from) return { ok: false, reason: 'NOT_YET_VALID', availableAt: from };
+  if (until !== null && nowMs >= until) return { ok: false, reason: 'EXPIRED', availableAt: null };
+
+  const events = (Array.isArray(access?.recentPrints) ? access.recentPrints : [])
+    .map((e) => ({ at: toMs(e.at), units: Number(e.units) || 1 }))
+    .filter((e) => e.at !== null);
+
+  let availableAt = nowMs;
+  for (const limit of normalizeRateLimits(access?.rateLimits)) {
+    const at = rateLimitAvailableAt(events, limit, units, nowMs);
+    if (at === null) return { ok: false, reason: 'RATE_LIMIT', availableAt: null };
+    availableAt = Math.max(availableAt, at);
+  }
+  if (availableAt > nowMs) {
+    // Later than validUntil means never.
+    return { ok: false, reason: 'RATE_LIMIT', availableAt: until !== null && availableAt >= until ? null : availableAt };
+  }
+  return { ok: true };
+};
+
+const WINDOW_MESSAGES = {
+  NOT_YET_VALID: 'Assignment is not valid yet',
+  EXPIRED: 'Assignment has expired',
+  RATE_LIMIT: 'Print rate limit reached',
+};
+
+export const accessWindowError = (reason, availableAt = null) => {
+  const err = new Error(WINDOW_MESSAGES[reason] || 'Printing is not available');
+  err.code = 'ACCESS_WINDOW';
+  err.reason = reason;
+  err.availableAt = availableAt ? new Date(availableAt).toISOString() : null;
+  return err;
+};
+
+// Redis hash encoding of the window fields, read by the quota Lua script.
+export const encodeWindowFields = (access) => ({
+  validFrom: toMs(access?.validFrom) ?? '',
+  validUntil: toMs(access?.validUntil) ?? '',
+  limits: normalizeRateLimits(access?.rateLimits)
+    .map((l) => `${l.windowSeconds * 1000}:${l.maxPrints}`)
+    .join(','),
+  maxWindowMs: maxWindowMs(access?.rateLimits),
+});
+
+// Per-access Redis cache: a hash with the encoded window fields (plus `remaining` for
+// unpooled accesses) and a sorted set of window events scored by time, with members
+// "<requestId>:<units>".
+export const accessQuotaKey = (documentId, userId) => `print_quota:${documentId}:${userId}`;
+export const accessWindowKey = (documentId, userId) => `print_quota_window:${documentId}:${userId}`;
+
+// Lua fragments spliced into the consume scripts. They expect locals `units` and `now`,
+// and return {-3, validFrom} not yet valid, {-4, 0} expired, {-5, availableAt} rate limited
+// (availableAt -1: can never fit).
+export const WINDOW_VALIDITY_LUA = (hashKey) => `
+local validFrom = tonumber(redis.call("HGET", ${hashKey}, "validFrom"))
+if validFrom and now < validFrom then
+  return {-3, validFrom}
+end
+
+local validUntil = tonumber(redis.call("HGET", ${hashKey}, "validUntil"))
+if validUntil and now >= validUntil then
+  return {-4, 0}
+end
+`;
+
+export const WINDOW_RATE_LUA = (hashKey, zsetKey) => `
+local limits = redis.call("HGET", ${hashKey}, "limits")
+if limits and limits ~= "" then
+  local availableAt = now
+  for windowStr, maxStr in string.gmatch(limits, "(%d+):(%d+)") do
+    local windowMs = tonumber(windowStr)
+    local maxUnits = tonumber(maxStr)
+    if units > maxUnits then
+      return {-5, -1} -- can never fit
+    end
+    local events = redis.call("ZRANGEBYSCORE", ${zsetKey}, "(" .. (now - windowMs), "+inf", "WITHSCORES")
+    local windowUsed = 0
+    for i = 1, #events, 2 do
+      windowUsed = windowUsed + (tonumber(string.match(events[i], ":(%d+)$")) or 1)
+    end
+    local excess = windowUsed + units - maxUnits
+    if excess > 0 then
+      local freed = 0
+      for i = 1, #events, 2 do
+        freed = freed + (tonumber(string.match(events[i], ":(%d+)$")) or 1)
+        if freed >= excess then
+          local at = tonumber(events[i + 1]) + windowMs
+          if at > availableAt then availableAt = at end
+          break
+        end
+      end
+    end
+  end
+  if availableAt > now then
+    return {-5, availableAt}
+  end
+end
+`;
+
+export const WINDOW_APPEND_LUA = (hashKey, zsetKey, memberArg) => `
+local maxWindow = tonumber(redis.call("HGET", ${hashKey}, "maxWindowMs")) or 0
+if maxWindow > 0 then
+  redis.call("ZADD", ${zsetKey}, now, ${memberArg})
+  redis.call("ZREMRANGEBYSCORE", ${zsetKey}, "-inf", now - maxWindow)
+  redis.call("PEXPIRE", ${zsetKey}, maxWindow)
+end
+`;
+
+// Caches an access's window fields and events unless they are already cached, so a seed
+// racing a consume never wipes the event that consume just appended.
+const SEED_ACCESS_WINDOW = `
+-- KEYS[1] = quota key
+-- KEYS[2] = window key
+-- ARGV[1..4] = validFrom, validUntil, limits, maxWindowMs
+-- ARGV[5..] = score, member pairs
+if redis.call("EXISTS", KEYS[1]) == 1 then
+  return 0
+end
+redis.call("HSET", KEYS[1], "validFrom", ARGV[1], "validUntil", ARGV[2], "limits", ARGV[3], "maxWindowMs", ARGV[4])
+local maxWindow = tonumber(ARGV[4]) or 0
+if maxWindow > 0 and #ARGV > 4 then
+  for i = 5, #ARGV, 2 do
+    redis.call("ZADD", KEYS[2], ARGV[i], ARGV[i + 1])
+  end
+  redis.call("PEXPIRE", KEYS[2], maxWindow)
+end
+return 1
+`;
+
+export const seedAccessWindowCache = async (redis, access) => {
+  const documentId = String(access.documentId);
+  const userId = String(access.userId);
+  const fields = encodeWindowFields(access);
+  await redis.eval(
+    SEED_ACCESS_WINDOW,
+    2,
+    accessQuotaKey(documentId, userId),
+    accessWindowKey(documentId, userId),
+    String(fields.validFrom),
+    String(fields.validUntil),
+    fields.limits,
+    String(fields.maxWindowMs),
+    ...windowEventArgs(access)
+  );
+};
+
+export const REDIS_WINDOW_REASONS = { '-3': 'NOT_YET_VALID', '-4': 'EXPIRED', '-5': 'RATE_LIMIT' };
+
+// Window events of an access in the sorted-set encoding, as [score, member, ...].
+export const windowEventArgs = (access) =>
+  (access?.recentPrints || [])
+    .filter((e) => e?.at)
+    .flatMap((e) => {
+      const at = new Date(e.at).getTime();
+      return [at, `${e.requestId || at}:${Number(e.units) || 1}`];
+    });
+
+// Pipeline update that counts `units` and appends to recentPrints, pruning entries
+// older than the longest rate-limit window.
+export const consumeUpdate = (units, requestId, now, windowMs) => [
+  {
+    $set: {
+      printsUsed: { $add: [{ $ifNull: ['$printsUsed', 0] }, units] },
+      usedPrints: { $add: [{ $ifNull: ['$usedPrints', 0] }, units] },
+      lastPrintAt: now,
+      recentPrints:
+        windowMs > 0
+          ? {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ['$recentPrints', []] },
+                    cond: { $gt: ['$$this.at', new Date(now.getTime() - windowMs)] },
+                  },
+                },
+                [{ $literal: { at: now, units, requestId } }],
+              ],
+            }
+          : [],
+    },
+  },
+];
+
+// Inverse of one consumeUpdate: uncount its units and drop one window event of the
+// request. Only one: when two calls with the same requestId race, the losing call's
+// undo must leave the winning call's event in the window.
+export const releaseUpdate = (units, requestId) => {
+  const prints = { $ifNull: ['$recentPrints', []] };
+  return [
+    {
+      $set: {
+        printsUsed: { $max: [0, { $subtract: [{ $ifNull: ['$printsUsed', 0] }, units] }] },
+        usedPrints: { $max: [0, { $subtract: [{ $ifNull: ['$usedPrints', 0] }, units] }] },
+        recentPrints: {
+          $let: {
+            vars: {
+              prints,
+              drop: { $indexOfArray: [{ $map: { input: prints, in: '$$this.requestId' } }, requestId] },
+            },
+            in: {
+              $map: {
+                input: {
+                  $filter: { input: { $range: [0, { $size: '$$prints' }] }, cond: { $ne: ['$$this', '$$drop'] } },
+                },
+                in: { $arrayElemAt: ['$$prints', '$$this'] },
+              },
+            },
+          },
+        },
+      },
+    },
+  ];
+};
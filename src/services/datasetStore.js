@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import VectorDataset from '../vectorModels/VectorDataset.js';
+import { uploadToS3WithKey } from './s3.js';
+import { MAX_DATASET_ROWS, buildDatasetChunks, parseCsv, parseJsonl } from '../vector/dataset.js';
+
+const datasetError = (message) => {
+  const err = new Error(message);
+  err.code = 'INVALID_DATASET';
+  return err;
+};
+
+// Uploads are held and parsed in memory, so both the size and the line count are capped
+// before parsing starts.
+export const maxDatasetBytes = () => Number(process.env.VECTOR_DATASET_MAX_BYTES || 64 * 1024 * 1024);
+
+const countLines = (buffer) => {
+  let lines = 0;
+  for (let i = buffer.indexOf(10); i !== -1; i = buffer.indexOf(10, i + 1)) lines += 1;
+  return lines + 1;
+};
+
+const detectFormat = (originalName, mimeType, explicit) => {
+  if (explicit === 'csv' || explicit === 'jsonl') return explicit;
+  const name = String(originalName || '').toLowerCase();
+  if (name.endsWith('.jsonl') || name.endsWith('.ndjson') || /json/.test(String(mimeType || ''))) return 'jsonl';
+  return 'csv';
+};
+
+/**
+ * Parse an uploaded CSV/JSONL file, upload it to S3 as JSONL chunks and record it.
+ * Throws err.code === 'INVALID_DATASET' for unparseable or oversized files.
+ */
+export const storeDataset = async ({ buffer, originalName = null, mimeType = null, format = null, userId }) => {
+  const sourceFormat = detectFormat(originalName, mimeType, format);
+
+  if (buffer.length > maxDatasetBytes()) {
+    throw datasetError(`Dataset exceeds ${maxDatasetBytes()} bytes`);
+  }
+  // Header row (CSV) plus blank trailing lines; quoted multi-line fields only add lines,
+  // so a file under this many lines cannot hold more rows than allowed.
+  if (countLines(buffer) > MAX_DATASET_ROWS + 2) {
+    throw datasetError(`Dataset exceeds ${MAX_DATASET_ROWS} rows`);
+  }
+
+  let parsed;
+  try {
+    const text = buffer.toString('utf8');
+    parsed = sourceFormat === 'jsonl' ? parseJsonl(text) : parseCsv(text);
+  } catch (e) {
+    throw datasetError(e?.message || 'Dataset could not be parsed');
+  }
+
+  if (parsed.rows.length > MAX_DATASET_ROWS) {
+    throw datasetError(`Dataset exceeds ${MAX_DATASET_ROWS} rows`);
+  }
+
+  const datasetId = new mongoose.Types.ObjectId();
+  const keyPrefix = `datasets/${datasetId.toString()}/${crypto.randomUUID()}`;
+  const { chunkRows, chunks } = buildDatasetChunks(parsed.rows);
+
+  const stored = [];
+  for (const chunk of chunks) {
+    const key = `${keyPrefix}/chunk-${String(chunk.index).padStart(5, '0')}.jsonl`;
+    await uploadToS3WithKey(chunk.body, 'application/x-ndjson', key);
+    stored.push({ key, sha256: chunk.sha256, firstRow: chunk.firstRow, rows: chunk.rows });
+  }
+
+  return VectorDataset.create({
+    _id: datasetId,
+    originalName,
+    sourceFormat,
+    columns: parsed.columns,
+    rowCount: parsed.rows.length,
+    chunkRows,
+    chunks: stored,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Replace metadata.dataset = { datasetId } with the stored chunk list so the chunk hashes
+ * become part of the HMAC-signed payload. Returns the expanded dataset descriptor.
+ */
+export const resolveJobDataset = async (metadata) => {
+  const datasetId = metadata?.dataset?.datasetId;
+  if (!datasetId) return null;
+
+  const record = mongoose.isValidObjectId(datasetId) ? await VectorDataset.findById(datasetId).lean() : null;
+  if (!record) {
+    throw datasetError('dataset.datasetId does not reference an uploaded dataset');
+  }
+
+  return {
+    datasetId: String(record._id),
+    columns: record.columns,
+    rowCount: record.rowCount,
+    chunkRows: record.chunkRows,
+    chunks: record.chunks.map((c) => ({ key: c.key, sha256: c.sha256, firstRow: c.firstRow, rows: c.rows })),
+  };
+};
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import VectorDevice from '../vectorModels/VectorDevice.js';
+import VectorDeviceNonce from '../vectorModels/VectorDeviceNonce.js';
+
+// Device attestation for print clients. A device enrolls with a public key, an admin
+// approves it, and every /print/request and /print/fetch then carries:
+//   X-Device-Id        - the enrolled deviceId
+//   X-Device-Nonce     - a single-use nonce from POST /api/devices/:deviceId/nonce
+//   X-Device-Signature - base64 signature over attestationMessage(purpose, nonce, printId)
+// Opt-in with PRINT_DEVICE_ATTESTATION=on, so existing print clients keep working until
+// their devices are enrolled. When it is not on, the signature and device status checks
+// are skipped (the per-assignment device allow-list still applies to the claimed X-Device-Id).
+
+const nonceTtlSeconds = () => Number(process.env.PRINT_DEVICE_NONCE_TTL_SECONDS || 120);
+const MAX_DEVICE_ID_LENGTH = 128;
+
+export const ATTESTATION_PURPOSES = ['request', 'fetch'];
+
+export const isDeviceAttestationRequired = () => process.env.PRINT_DEVICE_ATTESTATION === 'on';
+
+const deviceError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+export const isValidDeviceId = (deviceId) =>
+  typeof deviceId === 'string' && deviceId.length > 0 && deviceId.length <= MAX_DEVICE_ID_LENGTH && /^[A-Za-z0-9._:-]+$/.test(deviceId);
+
+/**
+ * Validate an enrollment key: SPKI PEM for Ed25519 or ECDSA P-256.
+ * @returns {{ publicKey: string, keyType: 'ed25519'|'p256', keyFingerprint: string }}
+ */
+export const parseDevicePublicKey = (pem) => {
+  let key;
+  try {
+    key = crypto.createPublicKey({ key: String(pem || ''), format: 'pem' });
+  } catch {
+    throw deviceError('publicKey must be a PEM encoded public key', 'INVALID_KEY');
+  }
+
+  let keyType = null;
+  if (key.asymmetricKeyType === 'ed25519') keyType = 'ed25519';
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') keyType = 'p256';
+  if (!keyType) {
+    throw deviceError('publicKey must be an Ed25519 or ECDSA P-256 key', 'INVALID_KEY');
+  }
+
+  const der = key.export({ type: 'spki', format: 'der' });
+  return {
+    publicKey: key.export({ type: 'spki', format: 'pem' }).toString(),
+    keyType,
+    keyFingerprint: crypto.createHash('sha256').update(der).digest('hex'),
+  };
+};
+
+// The exact bytes a device signs. The purpose keeps a fetch signature from being
+// replayed as a request signature and vice versa.
+export const attestationMessage = (purpose, nonce, printId) =>
+  Buffer.from(`secure-print-hub:device:v1:${purpose}:${nonce}:${printId}`, 'utf8');
+
+export const verifyDeviceSignature = (device, message, signatureB64) => {
+  const signature = Buffer.from(String(signatureB64 || ''), 'base64');
+  if (!signature.length) return false;
+  try {
+    // Ed25519 hashes internally; P-256 signatures are DER-encoded ECDSA over SHA-256.
+    return crypto.verify(device.keyType === 'ed25519' ? null : 'sha256', message, device.publicKey, signature);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Issue a nonce for one of the user's approved devices. A 'request' nonce reserves a new
+ * print id (the job is created with it); a 'fetch' nonce is bound to an existing one.
+ */
+export const issueDeviceNonce = async ({ deviceId, userId, purpose, printId = null }) => {
+  if (!ATTESTATION_PURPOSES.includes(purpose)) {
+    throw deviceError(`purpose must be one of: ${ATTESTATION_PURPOSES.join(', ')}`, 'BAD_REQUEST');
+  }
+  if (purpose === 'fetch' && !printId) {
+    throw deviceError('printId is required for a fetch nonce', 'BAD_REQUEST');
+  }
+
+  const device = await VectorDevice.findOne({ deviceId, userId }).lean().exec();
+  if (!device) throw deviceError('Device not found', 'DEVICE_NOT_FOUND');
+  if (device.status !== 'APPROVED') throw deviceError('Device is not approved', 'DEVICE_NOT_APPROVED');
+
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const boundPrintId = purpose === 'request' ? new mongoose.Types.ObjectId().toString() : String(printId);
+  const expiresAt = new Date(Date.now() + nonceTtlSeconds() * 1000);
+  await VectorDeviceNonce.create({ nonce, deviceId, userId, purpose, printId: boundPrintId, expiresAt });
+
+  return { nonce, printId: boundPrintId, purpose, expiresAt: expiresAt.toISOString() };
+};
+
+const headerValue = (req, name) => (typeof req.headers[name] === 'string' ? String(req.headers[name]).trim() : '');
+
+/**
+ * Check the device headers of a print request/fetch for `printId`, consuming the nonce.
+ * `access` is the assignment being printed (its allowedDeviceIds are enforced).
+ * Throws with err.code DEVICE_* on failure; returns the device (or null when attestation is not enabled).
+ */
+export const assertDeviceAttestation = async (req, { purpose, printId, access }) => {
+  const deviceId = headerValue(req, 'x-device-id');
+  const allowed = Array.isArray(access?.allowedDeviceIds) ? access.allowedDeviceIds : [];
+  if (allowed.length && !allowed.includes(deviceId)) {
+    throw deviceError('Device is not allowed to print this assignment', 'DEVICE_NOT_ALLOWED');
+  }
+  if (!isDeviceAttestationRequired()) return null;
+
+  const nonce = headerValue(req, 'x-device-nonce');
+  const signature = headerValue(req, 'x-device-signature');
+  if (!nonce || !signature) {
+    throw deviceError('X-Device-Nonce and X-Device-Signature are required', 'DEVICE_ATTESTATION_REQUIRED');
+  }
+
+  const device = await VectorDevice.findOne({ deviceId, userId: req.user._id }).lean().exec();
+  if (!device) throw deviceError('Device not enrolled', 'DEVICE_NOT_FOUND');
+  if (device.status !== 'APPROVED') throw deviceError('Device is not approved', 'DEVICE_NOT_APPROVED');
+
+  // Single use: whoever deletes the nonce first owns it.
+  const issued = await VectorDeviceNonce.findOneAndDelete({
+    nonce,
+    deviceId,
+    userId: req.user._id,
+    purpose,
+    printId: String(printId),
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!issued) throw deviceError('Nonce is invalid, expired or already used', 'DEVICE_NONCE_INVALID');
+
+  if (!verifyDeviceSignature(device, attestationMessage(purpose, nonce, String(printId)), signature)) {
+    throw deviceError('Device signature is invalid', 'DEVICE_SIGNATURE_INVALID');
+  }
+
+  await VectorDevice.updateOne({ _id: device._id }, { $set: { lastSeenAt: new Date() } }).exec();
+  return device;
+};
+
+// HTTP status for each attestation failure.
+export const DEVICE_ERROR_STATUS = {
+  BAD_REQUEST: 400,
+  INVALID_KEY: 400,
+  DEVICE_ATTESTATION_REQUIRED: 401,
+  DEVICE_NONCE_INVALID: 401,
+  DEVICE_SIGNATURE_INVALID: 401,
+  DEVICE_NOT_FOUND: 403,
+  DEVICE_NOT_APPROVED: 403,
+  DEVICE_NOT_ALLOWED: 403,
+};
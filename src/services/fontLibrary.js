@@ -0,0 +1,145 @@
+import fontkit from '@pdf-lib/fontkit';
+import PDFLib from 'pdf-lib';
+import VectorFont from '../vectorModels/VectorFont.js';
+import { downloadFromS3 } from './s3.js';
+import { isBarcodeSeries } from '../vector/barcodes.js';
+
+const { StandardFonts } = PDFLib;
+
+// Names that resolve to the PDF standard fonts without a library entry.
+// Kept in line with the engine's historical mapping so existing jobs keep rendering.
+const BUILTIN_FONTS = [
+  { pattern: /times/, font: StandardFonts.TimesRoman },
+  { pattern: /courier/, font: StandardFonts.Courier },
+  { pattern: /helvetica|arial/, font: StandardFonts.Helvetica },
+];
+
+export const DEFAULT_FONT_FAMILY = 'Helvetica';
+
+export const normalizeFontFamilyKey = (family) => String(family || '').trim().toLowerCase();
+
+// StandardFonts name for a built-in family, or null when the family must come from the library.
+export const resolveBuiltinFont = (family) => {
+  const key = normalizeFontFamilyKey(family || DEFAULT_FONT_FAMILY);
+  const match = BUILTIN_FONTS.find((b) => b.pattern.test(key));
+  return match ? match.font : null;
+};
+
+// TrueType (0x00010000 / 'true') or CFF OpenType ('OTTO'); collections and WOFF are rejected.
+export const detectFontFormat = (buffer) => {
+  if (!buffer || buffer.length < 4) return null;
+  const tag = buffer.subarray(0, 4).toString('latin1');
+  if (tag === 'OTTO') return 'otf';
+  if (tag === 'true' || buffer.readUInt32BE(0) === 0x00010000) return 'ttf';
+  return null;
+};
+
+/**
+ * Parse an uploaded font file. Throws with code INVALID_FONT when the bytes are not a
+ * single TTF/OTF face.
+ */
+export const inspectFontFile = (buffer) => {
+  const format = detectFontFormat(buffer);
+  if (!format) {
+    const err = new Error('Font must be a TrueType (.ttf) or OpenType (.otf) file');
+    err.code = 'INVALID_FONT';
+    throw err;
+  }
+
+  let font;
+  try {
+    font = fontkit.create(buffer);
+  } catch (e) {
+    const err = new Error(`Font file could not be parsed: ${e?.message || e}`);
+    err.code = 'INVALID_FONT';
+    throw err;
+  }
+
+  const unitsPerEm = Number(font.unitsPerEm);
+  if (!Number.isFinite(unitsPerEm) || unitsPerEm <= 0) {
+    const err = new Error('Font file has no valid unitsPerEm');
+    err.code = 'INVALID_FONT';
+    throw err;
+  }
+
+  return {
+    format,
+    familyName: font.familyName || null,
+    postscriptName: font.postscriptName || null,
+    unitsPerEm,
+    ascent: Number(font.ascent) || 0,
+    descent: Number(font.descent) || 0,
+  };
+};
+
+// Every font family a job references (series, data fields, text watermarks, front and back).
+export const collectFontFamilies = (metadata) => {
+  const families = new Set();
+  const add = (name) => {
+    if (typeof name === 'string' && name.trim()) families.add(name.trim());
+  };
+
+  const series = Array.isArray(metadata?.series) ? metadata.series : [];
+  const backSeries = Array.isArray(metadata?.backside?.series) ? metadata.backside.series : [];
+  for (const s of [...series, ...backSeries]) {
+    if (!isBarcodeSeries(s)) add(s?.font);
+  }
+
+  const dataFields = Array.isArray(metadata?.dataFields) ? metadata.dataFields : [];
+  const backDataFields = Array.isArray(metadata?.backside?.dataFields) ? metadata.backside.dataFields : [];
+  for (const f of [...dataFields, ...backDataFields]) add(f?.font);
+
+  const watermarks = Array.isArray(metadata?.watermarks) ? metadata.watermarks : [];
+  const backWatermarks = Array.isArray(metadata?.backside?.watermarks) ? metadata.backside.watermarks : [];
+  for (const w of [...watermarks, ...backWatermarks]) {
+    if (w?.type === 'text') add(w.fontFamily);
+  }
+
+  return [...families];
+};
+
+/**
+ * Validation errors for fonts a job names that are neither built in nor installed.
+ * Async because it consults the font library.
+ */
+export const getFontErrors = async (metadata) => {
+  const custom = collectFontFamilies(metadata).filter((family) => !resolveBuiltinFont(family));
+  if (!custom.length) return [];
+
+  const installed = await VectorFont.find({ familyKey: { $in: custom.map(normalizeFontFamilyKey) } })
+    .select('familyKey')
+    .lean();
+  const installedKeys = new Set(installed.map((f) => f.familyKey));
+
+  return custom
+    .filter((family) => !installedKeys.has(normalizeFontFamilyKey(family)))
+    .map((family) => `Font "${family}" is not installed`);
+};
+
+// fileKey → bytes. File keys are unique per upload, so a replaced font never hits a stale entry.
+const fontBytesCache = new Map();
+const MAX_CACHED_FONTS = 32;
+
+/**
+ * Library entry and file bytes for a custom font family.
+ * Throws with code FONT_NOT_INSTALLED when the family is unknown.
+ */
+export const loadLibraryFont = async (family) => {
+  const record = await VectorFont.findOne({ familyKey: normalizeFontFamilyKey(family) }).lean();
+  if (!record) {
+    const err = new Error(`Font "${family}" is not installed`);
+    err.code = 'FONT_NOT_INSTALLED';
+    throw err;
+  }
+
+  let bytes = fontBytesCache.get(record.fileKey);
+  if (!bytes) {
+    bytes = await downloadFromS3(record.fileKey);
+    if (fontBytesCache.size >= MAX_CACHED_FONTS) {
+      fontBytesCache.delete(fontBytesCache.keys().next().value);
+    }
+    fontBytesCache.set(record.fileKey, bytes);
+  }
+
+  return { record, bytes };
+};
@@ -0,0 +1,225 @@
+import PDFLib from 'pdf-lib';
+import { signPrintStamp } from './hmac.js';
+
+const { PDFDocument, PDFDict, PDFName, PDFRawStream, PDFString, StandardFonts, decodePDFRawStream, rgb, degrees } = PDFLib;
+
+// Forensic stamp applied to every PDF handed out by /print/fetch:
+// - a visible footer with the serial on each page,
+// - optional microtext (user email, fetch time, print id) just above it,
+// - an invisible signed record in the Info dictionary and in XMP metadata.
+// The record is signed with the print payload secret and carries the job payloadHmac,
+// so a stamp can only be produced for a job this server issued.
+
+export const STAMP_VERSION = 1;
+export const STAMP_INFO_KEY = 'PrintStamp';
+const XMP_NAMESPACE = 'urn:secure-print-hub:stamp:1';
+
+const FOOTER_FONT_SIZE = 6;
+const MICROTEXT_FONT_SIZE = 1.5;
+const EDGE_MARGIN_PT = 12;
+const FOOTER_COLOR = rgb(0.35, 0.35, 0.35);
+const MICROTEXT_COLOR = rgb(0.55, 0.55, 0.55);
+
+// Standard fonts only encode WinAnsi; anything else would make drawText throw.
+const toWinAnsi = (value) => String(value ?? '').replace(/[^\x20-\x7E]/g, '?');
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Canonical record embedded in a fetched PDF. Every field is a JSON scalar so the
+ * record round-trips through JSON unchanged and its signature can be re-checked.
+ */
+export const buildStampRecord = ({ job, user, fetchedAt }) => ({
+  v: STAMP_VERSION,
+  serial: job.metadata?.serial || null,
+  printId: String(job._id),
+  documentId: job.metadata?.documentId ? String(job.metadata.documentId) : null,
+  userId: String(job.userId),
+  email: user?.email || null,
+  deviceId: job.metadata?.deviceId || null,
+  printerName: job.metadata?.printerName || null,
+  copies: Number(job.metadata?.copies) || 1,
+  pages: job.metadata?.pages || null,
+  issuedAt: job.metadata?.issuedAt || null,
+  fetchedAt,
+  payloadHmac: job.payloadHmac,
+});
+
+// "<base64url(record)>.<hmac>", the form stored in the PDF.
+export const encodeStampToken = (record) => {
+  const signature = signPrintStamp(record);
+  const body = Buffer.from(JSON.stringify(record), 'utf8').toString('base64url');
+  return { token: `${body}.${signature}`, signature };
+};
+
+// Inverse of encodeStampToken; null when the token is malformed.
+export const decodeStampToken = (token) => {
+  const match = /^([A-Za-z0-9_-]+)\.([0-9a-f]{64})$/.exec(String(token || '').trim());
+  if (!match) return null;
+  try {
+    const record = JSON.parse(Buffer.from(match[1], 'base64url').toString('utf8'));
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+    return { record, signature: match[2] };
+  } catch {
+    return null;
+  }
+};
+
+const buildXmp = (record, token, producer) => {
+  const fields = ['serial', 'printId', 'documentId', 'userId', 'deviceId', 'issuedAt', 'fetchedAt']
+    .map((k) => `      <sph:${k}>${escapeXml(record[k])}</sph:${k}>`)
+    .join('\n');
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about=""
+        xmlns:pdf="http://ns.adobe.com/pdf/1.3/"
+        xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+        xmlns:sph="${XMP_NAMESPACE}">
+      <pdf:Producer>${escapeXml(producer)}</pdf:Producer>
+      <pdf:Keywords>${escapeXml(`serial:${record.serial} print:${record.printId}`)}</pdf:Keywords>
+      <xmp:ModifyDate>${escapeXml(record.fetchedAt)}</xmp:ModifyDate>
+${fields}
+      <sph:stamp>${escapeXml(token)}</sph:stamp>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+};
+
+// Lower-left corner of the page as displayed, and the reading direction, in unrotated user space.
+const getVisualFrame = (page) => {
+  const { x, y, width, height } = page.getCropBox();
+  const raw = (((page.getRotation().angle || 0) % 360) + 360) % 360;
+  const angle = raw % 90 === 0 ? raw : 0;
+  const corners = {
+    0: { ox: x, oy: y, width },
+    90: { ox: x + width, oy: y, width: height },
+    180: { ox: x + width, oy: y + height, width },
+    270: { ox: x, oy: y + height, width: height },
+  };
+  const rad = (angle * Math.PI) / 180;
+  return { ...corners[angle], angle, cos: Math.round(Math.cos(rad)), sin: Math.round(Math.sin(rad)) };
+};
+
+// Draws one line along the visual bottom edge, `along` pt from the left and `up` pt above the edge.
+const drawEdgeText = (page, frame, text, { along, up, font, size, color }) => {
+  page.drawText(text, {
+    x: frame.ox + along * frame.cos - up * frame.sin,
+    y: frame.oy + along * frame.sin + up * frame.cos,
+    size,
+    font,
+    color,
+    rotate: degrees(frame.angle),
+  });
+};
+
+const repeatToWidth = (unit, font, size, width) => {
+  const unitWidth = font.widthOfTextAtSize(unit, size);
+  if (!(unitWidth > 0)) return unit;
+  return unit.repeat(Math.max(1, Math.floor(width / unitWidth)));
+};
+
+/**
+ * Stamp a source PDF for one print.
+ * @param {Uint8Array|Buffer} bytes
+ * @param {object} record from buildStampRecord
+ * @param {{ microtext?: boolean, pageNumbers?: number[]|null, documentPages?: number|null }} options
+ *   pageNumbers/documentPages label extracted pages with their numbers in the full document.
+ * Throws err.code === 'PDF_UNSTAMPABLE' when the source cannot be loaded for stamping
+ * (encrypted or malformed); such a PDF is never handed out unstamped.
+ * @returns {Promise<{ bytes: Buffer, signature: string }>}
+ */
+export const stampPrintPdf = async (bytes, record, { microtext = false, pageNumbers = null, documentPages = null } = {}) => {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(bytes, { updateMetadata: false });
+  } catch (e) {
+    const err = new Error(`The document cannot be stamped for printing: ${e?.message || 'unreadable PDF'}`);
+    err.code = 'PDF_UNSTAMPABLE';
+    throw err;
+  }
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const pages = pdf.getPages();
+  const { token, signature } = encodeStampToken(record);
+
+  const microUnit = toWinAnsi(`${record.email || record.userId} ${record.fetchedAt} ${record.printId}   `);
+
+  pages.forEach((page, i) => {
+    const frame = getVisualFrame(page);
+    const usable = Math.max(0, frame.width - EDGE_MARGIN_PT * 2);
+    const pageLabel = `${pageNumbers ? pageNumbers[i] : i + 1}/${documentPages || pages.length}`;
+    const footer = toWinAnsi(`SERIAL ${record.serial} | ISSUED ${record.issuedAt} | PAGE ${pageLabel}`);
+
+    drawEdgeText(page, frame, footer, {
+      along: EDGE_MARGIN_PT,
+      up: EDGE_MARGIN_PT / 2,
+      font,
+      size: FOOTER_FONT_SIZE,
+      color: FOOTER_COLOR,
+    });
+
+    if (microtext) {
+      drawEdgeText(page, frame, repeatToWidth(microUnit, font, MICROTEXT_FONT_SIZE, usable), {
+        along: EDGE_MARGIN_PT,
+        up: EDGE_MARGIN_PT / 2 + FOOTER_FONT_SIZE + 1,
+        font,
+        size: MICROTEXT_FONT_SIZE,
+        color: MICROTEXT_COLOR,
+      });
+    }
+  });
+
+  const producer = 'Secure Print Hub';
+  pdf.setProducer(producer);
+  pdf.setSubject(`Print ${record.serial}`);
+  pdf.setKeywords([`serial:${record.serial}`, `print:${record.printId}`]);
+  pdf.setModificationDate(new Date(record.fetchedAt));
+
+  // setProducer above guarantees the Info dictionary exists.
+  const info = pdf.context.lookup(pdf.context.trailerInfo.Info, PDFDict);
+  info.set(PDFName.of(STAMP_INFO_KEY), PDFString.of(token));
+
+  // XMP must be UTF-8 and left uncompressed so generic metadata readers can find it.
+  const xmp = pdf.context.stream(Buffer.from(buildXmp(record, token, producer), 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML',
+  });
+  pdf.catalog.set(PDFName.of('Metadata'), pdf.context.register(xmp));
+
+  const out = await pdf.save();
+  return { bytes: Buffer.from(out), signature };
+};
+
+/**
+ * Read the stamp tokens back out of a PDF, from the Info dictionary and from XMP.
+ * Either may be null when stripped; callers should treat disagreement as tampering.
+ */
+export const extractPdfStamp = async (bytes) => {
+  const pdf = await PDFDocument.load(bytes, { updateMetadata: false, ignoreEncryption: true });
+
+  let infoToken = null;
+  const infoRef = pdf.context.trailerInfo.Info;
+  const info = infoRef ? pdf.context.lookupMaybe(infoRef, PDFDict) : null;
+  const infoValue = info?.get(PDFName.of(STAMP_INFO_KEY));
+  if (infoValue && typeof infoValue.decodeText === 'function') {
+    infoToken = infoValue.decodeText();
+  }
+
+  let xmpToken = null;
+  const xmpStream = pdf.catalog.lookupMaybe(PDFName.of('Metadata'), PDFRawStream);
+  if (xmpStream) {
+    // Re-saved copies may have compressed the metadata stream.
+    const xml = Buffer.from(decodePDFRawStream(xmpStream).decode()).toString('utf8');
+    const match = /<sph:stamp>([^<]*)<\/sph:stamp>/.exec(xml);
+    xmpToken = match ? match[1].trim() : null;
+  }
+
+  return { infoToken, xmpToken };
+};
@@ -1,6 +1,6 @@
 import crypto from 'crypto';
 
-const stableStringify = (value) => {
+export const stableStringify = (value) => {
   if (value === null || value === undefined) return JSON.stringify(value);
   if (typeof value !== 'object') return JSON.stringify(value);
   if (Array.isArray(value)) return `[${value.map((v) => stableStringify(v)).join(',')}]`;
@@ -24,3 +24,15 @@ export const verifyJobPayload = (payload, expectedHmac) => {
   const actual = signJobPayload(payload);
   return crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expectedHmac));
 };
+
+// Secret behind the per-print payloadHmac issued by /print/request.
+export const getPrintPayloadSecret = () => process.env.PRINT_PAYLOAD_SECRET || process.env.JWT_SECRET || 'dev';
+
+export const signPrintStamp = (record) =>
+  crypto.createHmac('sha256', getPrintPayloadSecret()).update(stableStringify(record)).digest('hex');
+
+export const verifyPrintStamp = (record, expectedHmac) => {
+  const actual = Buffer.from(signPrintStamp(record));
+  const expected = Buffer.from(String(expectedHmac || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
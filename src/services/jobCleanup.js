@@ -1,5 +1,7 @@
 import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
 import { deleteFromS3 } from './s3.js';
+import { deleteJobArtifacts } from './renderArtifacts.js';
+import { publishJobEvent } from './jobEvents.js';
 
 export const runJobCleanupOnce = async () => {
   const now = new Date();
@@ -36,8 +38,11 @@ export const runJobCleanupOnce = async () => {
   for (const job of staleRunning) {
     job.status = 'EXPIRED';
     job.output = { key: null, url: null, expiresAt: null };
+    job.batches = [];
     job.audit.push({ event: 'STALE_RUNNING_JOB_EXPIRED', details: { staleMs } });
     await job.save();
+    await publishJobEvent(job._id, { type: 'status', status: 'EXPIRED' });
+    await deleteJobArtifacts(job._id);
   }
 
   const expired = await VectorPrintJob.find({
@@ -66,9 +71,12 @@ export const runJobCleanupOnce = async () => {
   }).exec();
 
   for (const job of failed) {
+    // Checkpointed batches were kept for a retry that never came.
     job.status = 'EXPIRED';
+    job.batches = [];
     job.audit.push({ event: 'FAILED_JOB_ARCHIVED', details: null });
     await job.save();
+    await deleteJobArtifacts(job._id);
   }
 };
 
@@ -0,0 +1,92 @@
+import { getRedisClient } from './redisClient.js';
+
+// Live render job events over Redis pub/sub, so the worker that renders a job and the web
+// node streaming it to a client can be different SERVICE_MODE processes. Events are
+// best effort: the job document stays the source of truth.
+//   { type: 'progress', progress, event, details } - every updateProgress (page timings ride in details.ms)
+//   { type: 'phase', phase: 'render'|'merge'|'upload' }
+//   { type: 'status', status }
+
+export const TERMINAL_JOB_STATUSES = ['DONE', 'FAILED', 'CANCELLED', 'EXPIRED'];
+
+const channelFor = (jobId) => `vector:job-events:${jobId}`;
+
+export const publishJobEvent = async (jobId, event) => {
+  const redis = getRedisClient();
+  if (!redis || !jobId) return;
+  try {
+    const payload = { ...event, jobId: String(jobId), at: new Date().toISOString() };
+    await redis.publish(channelFor(jobId), JSON.stringify(payload));
+  } catch {
+    // ignore
+  }
+};
+
+// One subscriber connection per process, shared by every open stream.
+let subscriber = null;
+const listeners = new Map();
+
+const getSubscriber = () => {
+  if (subscriber) return subscriber;
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  subscriber = redis.duplicate();
+  subscriber.on('error', () => {
+    // Intentionally silent; streams stay open and fall silent until Redis is back.
+  });
+  subscriber.on('message', (channel, message) => {
+    const set = listeners.get(channel);
+    if (!set) return;
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch {
+      return;
+    }
+    for (const listener of set) listener(event);
+  });
+  return subscriber;
+};
+
+/**
+ * Call `listener` for each event published for the job. Resolves once the subscription is
+ * active, with a function that removes the listener; resolves null when Redis is unavailable.
+ */
+export const subscribeJobEvents = async (jobId, listener) => {
+  const sub = getSubscriber();
+  if (!sub) return null;
+
+  const channel = channelFor(jobId);
+  let set = listeners.get(channel);
+  if (!set) {
+    set = new Set();
+    listeners.set(channel, set);
+  }
+  set.add(listener);
+
+  try {
+    // ioredis queues commands while disconnected; do not hold the request open forever.
+    if (set.size === 1) {
+      let timer = null;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Redis subscribe timed out')), 5000);
+      });
+      await Promise.race([sub.subscribe(channel), timeout]).finally(() => clearTimeout(timer));
+    }
+  } catch {
+    set.delete(listener);
+    if (!set.size) listeners.delete(channel);
+    return null;
+  }
+
+  return () => {
+    const current = listeners.get(channel);
+    if (!current) return;
+    current.delete(listener);
+    if (!current.size) {
+      listeners.delete(channel);
+      sub.unsubscribe(channel).catch(() => null);
+    }
+  };
+};
@@ -0,0 +1,76 @@
+import PDFLib from 'pdf-lib';
+
+const { PDFDocument } = PDFLib;
+
+// Page-range printing: "1-3,7" selects pages 1, 2, 3 and 7 (1-based, inclusive).
+
+const MAX_PAGES_SPEC_LENGTH = 1000;
+
+const pagesError = (message) => {
+  const err = new Error(message);
+  err.code = 'INVALID_PAGES';
+  return err;
+};
+
+/**
+ * Parse a page selector against a document of `pageCount` pages.
+ * Returns sorted, de-duplicated 0-based page indices, so "7,1-3,2" prints 1, 2, 3, 7.
+ * Throws err.code === 'INVALID_PAGES' for malformed or out-of-range selectors.
+ */
+export const parsePageRanges = (spec, pageCount) => {
+  const text = String(spec ?? '').replace(/\s+/g, '');
+  if (!text) throw pagesError('pages must not be empty');
+  if (text.length > MAX_PAGES_SPEC_LENGTH) throw pagesError('pages selector is too long');
+
+  const selected = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+    if (!match) throw pagesError(`Invalid page range "${part}"`);
+
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    if (from < 1 || to < from) throw pagesError(`Invalid page range "${part}"`);
+    if (to > pageCount) throw pagesError(`Page ${to} is out of range (document has ${pageCount} pages)`);
+
+    for (let p = from; p <= to; p += 1) selected.add(p - 1);
+  }
+
+  return [...selected].sort((a, b) => a - b);
+};
+
+// Canonical form of a selection, e.g. [0,1,2,6] → "1-3,7".
+export const formatPageRanges = (indices) => {
+  const parts = [];
+  let i = 0;
+  while (i < indices.length) {
+    let j = i;
+    while (j + 1 < indices.length && indices[j + 1] === indices[j] + 1) j += 1;
+    parts.push(i === j ? `${indices[i] + 1}` : `${indices[i] + 1}-${indices[j] + 1}`);
+    i = j + 1;
+  }
+  return parts.join(',');
+};
+
+export const countPdfPages = async (bytes) => {
+  const pdf = await PDFDocument.load(bytes, { updateMetadata: false });
+  return pdf.getPageCount();
+};
+
+/**
+ * Copy the selected pages into a new PDF, keeping the source Info metadata.
+ * @param {Uint8Array|Buffer} bytes
+ * @param {number[]} indices 0-based page indices
+ * @returns {Promise<Buffer>}
+ */
+export const extractPdfPages = async (bytes, indices) => {
+  const source = await PDFDocument.load(bytes, { updateMetadata: false });
+  const out = await PDFDocument.create({ updateMetadata: false });
+
+  const title = source.getTitle();
+  if (title) out.setTitle(title);
+
+  const pages = await out.copyPages(source, indices);
+  for (const page of pages) out.addPage(page);
+
+  return Buffer.from(await out.save());
+};
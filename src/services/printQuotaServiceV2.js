@@ -1,25 +1,77 @@
 import VectorDocumentAccess from '../vectorModels/VectorDocumentAccess.js';
 import { getRedisClient } from './redisClient.js';
+import {
+  REDIS_WINDOW_REASONS,
+  WINDOW_APPEND_LUA,
+  WINDOW_RATE_LUA,
+  WINDOW_VALIDITY_LUA,
+  accessQuotaKey as quotaKey,
+  accessWindowError,
+  accessWindowKey as windowKey,
+  checkAccessWindow,
+  consumeUpdate,
+  encodeWindowFields,
+  maxWindowMs,
+  releaseUpdate,
+  windowEventArgs,
+} from './accessWindows.js';
+import { consumePoolUnits, refundPoolUnits } from './quotaPoolService.js';
+import { findRequestEntries, isRequestConsumed, lastQuotaResetAt, recordLedgerEntry } from './quotaLedger.js';
 
-const quotaKey = (documentId, userId) => `print_quota:${documentId}:${userId}`;
 const reqKey = (documentId, userId, requestId) => `print_req:${documentId}:${userId}:${requestId}`;
 
 const IDEMPOTENCY_TTL_SECONDS = 300;
+const DB_CONSUME_ATTEMPTS = 5;
 
+// Consumes ARGV[1] units (default 1) all-or-nothing, honouring validFrom/validUntil and
+// the rolling-window limits cached in the quota hash. Window events live in a sorted set
+// scored by time, with members "<requestId>:<units>".
+// Returns { code, availableAtMs }: code >= 0 is the remaining quota; negative codes are
+// -1 quota exceeded, -2 cache miss, -3 not yet valid, -4 expired, -5 rate limited.
 export const ATOMIC_PRINT_DECREMENT = `
 -- KEYS[1] = quota key
+-- KEYS[2] = window key
+-- ARGV[1] = units
+-- ARGV[2] = now (ms)
+-- ARGV[3] = window event member
+-- ARGV[4] = "0" to skip the validity and rate-limit checks (the event is still recorded)
+local units = tonumber(ARGV[1]) or 1
+local now = tonumber(ARGV[2]) or 0
+local checkWindow = ARGV[4] ~= "0"
 local remaining = tonumber(redis.call("HGET", KEYS[1], "remaining"))
 
 if not remaining then
-  return -2 -- cache miss
+  return {-2, 0} -- cache miss
 end
 
-if remaining <= 0 then
-  return -1 -- quota exceeded
+if checkWindow then
+${WINDOW_VALIDITY_LUA('KEYS[1]')}
 end
+if remaining < units then
+  return {-1, 0} -- quota exceeded
+end
+if checkWindow then
+${WINDOW_RATE_LUA('KEYS[1]', 'KEYS[2]')}
+end
+redis.call("HINCRBY", KEYS[1], "remaining", -units)
+${WINDOW_APPEND_LUA('KEYS[1]', 'KEYS[2]', 'ARGV[3]')}
+return {remaining - units, 0}
+`;
 
-redis.call("HINCRBY", KEYS[1], "remaining", -1)
-return remaining - 1
+// Shifts the cached remaining quota by ARGV[1] (admin top-up / removal) without letting
+// it go negative. Returns the new remaining, -1 if it would go negative, -2 if not cached.
+export const ADJUST_CACHED_QUOTA = `
+-- KEYS[1] = quota key
+-- ARGV[1] = delta
+local remaining = tonumber(redis.call("HGET", KEYS[1], "remaining"))
+if not remaining then
+  return -2
+end
+local delta = tonumber(ARGV[1]) or 0
+if remaining + delta < 0 then
+  return -1
+end
+return redis.call("HINCRBY", KEYS[1], "remaining", delta)
 `;
 
 const ensureDbQuotaInitialized = async (documentId, userId) => {
@@ -51,55 +103,292 @@ const ensureDbQuotaInitialized = async (documentId, userId) => {
   const usedLegacy = Number.isFinite(access.usedPrints) ? Number(access.usedPrints) : 0;
   const used = Math.max(printsUsed, usedLegacy);
 
-  return { accessId: access._id, printQuota, printsUsed: used };
+  return { access, accessId: access._id, printQuota, printsUsed: used };
 };
 
-const seedRedisRemaining = async (redis, documentId, userId, remaining) => {
+// Cache remaining quota plus the window settings and recent prints the Lua script needs.
+const seedRedisQuota = async (redis, documentId, userId, remaining, access) => {
   const key = quotaKey(documentId, userId);
-  await redis.hset(key, 'remaining', String(Math.max(0, remaining)));
+  const wKey = windowKey(documentId, userId);
+  const fields = encodeWindowFields(access);
+
+  const multi = redis.multi();
+  multi.del(key, wKey);
+  multi.hset(key, {
+    remaining: String(Math.max(0, remaining)),
+    validFrom: String(fields.validFrom),
+    validUntil: String(fields.validUntil),
+    limits: fields.limits,
+    maxWindowMs: String(fields.maxWindowMs),
+  });
+  const events = windowEventArgs(access);
+  if (fields.maxWindowMs > 0 && events.length) {
+    multi.zadd(wKey, ...events);
+    multi.pexpire(wKey, fields.maxWindowMs);
+  }
+  await multi.exec();
 };
 
-const dbOptimisticConsume = async (documentId, userId) => {
-  const now = new Date();
+/**
+ * Drop the cached quota so the next consume re-seeds from Mongo.
+ * Call after changing quota, validity or rate limits of an access.
+ */
+export const invalidatePrintQuotaCache = async (documentId, userId) => {
+  const redis = getRedisClient();
+  if (!redis) return;
+  try {
+    await redis.del(quotaKey(String(documentId), String(userId)), windowKey(String(documentId), String(userId)));
+  } catch {
+    // Redis down: nothing cached to go stale.
+  }
+};
 
-  const access = await VectorDocumentAccess.findOne({ documentId, userId }).exec();
-  if (!access) {
-    const err = new Error('Access not found');
-    err.code = 'NO_ACCESS';
+/**
+ * Apply an admin quota change to the cached hash, if there is one.
+ * @returns {Promise<'applied'|'not_cached'|'insufficient'>}
+ */
+export const adjustCachedRemaining = async (documentId, userId, delta) => {
+  const redis = getRedisClient();
+  if (!redis) return 'not_cached';
+  try {
+    const res = Number(await redis.eval(ADJUST_CACHED_QUOTA, 1, quotaKey(String(documentId), String(userId)), delta));
+    if (res === -2) return 'not_cached';
+    if (res === -1) return 'insufficient';
+    return 'applied';
+  } catch {
+    // Redis unreachable: quota reconciliation repairs the hash if it drifted.
+    return 'not_cached';
+  }
+};
+
+// Remaining quota in the Redis hash, or null when not cached / Redis is unavailable.
+export const getCachedRemaining = async (documentId, userId) => {
+  const redis = getRedisClient();
+  if (!redis) return null;
+  try {
+    const remaining = await redis.hget(quotaKey(String(documentId), String(userId)), 'remaining');
+    return remaining === null ? null : Number(remaining);
+  } catch {
+    return null;
+  }
+};
+
+const limitError = () => {
+  const err = new Error('Print limit exceeded');
+  err.code = 'LIMIT';
+  return err;
+};
+
+const consumeEntry = (documentId, userId, requestId, units, extra) => ({
+  documentId,
+  userId,
+  requestId,
+  type: 'CONSUME',
+  units,
+  consumedAt: new Date(),
+  ...extra,
+});
+
+const dbOptimisticConsume = async (documentId, userId, units = 1, requestId = null, { checkWindow = true } = {}) => {
+  // Without Redis the ledger is the idempotency gate.
+  if (requestId && (await isRequestConsumed(documentId, userId, requestId))) return false;
+
+  for (let attempt = 0; attempt < DB_CONSUME_ATTEMPTS; attempt += 1) {
+    const now = new Date();
+
+    const access = await VectorDocumentAccess.findOne({ documentId, userId }).lean().exec();
+    if (!access) {
+      const err = new Error('Access not found');
+      err.code = 'NO_ACCESS';
+      throw err;
+    }
+
+    const printQuota = Number.isFinite(access.printQuota) && access.printQuota !== null
+      ? Number(access.printQuota)
+      : Number(access.assignedQuota || 0);
+
+    // Ensure DB has printQuota populated (additive)
+    if (access.printQuota === null || access.printQuota === undefined) {
+      await VectorDocumentAccess.updateOne({ _id: access._id }, { $set: { printQuota } }).exec();
+    }
+
+    if (access.revoked || Number(access.printsUsed || 0) > printQuota - units) {
+      throw limitError();
+    }
+
+    const window = checkWindow ? checkAccessWindow(access, units, now.getTime()) : { ok: true };
+    if (!window.ok) throw accessWindowError(window.reason, window.availableAt);
+
+    // printsUsed doubles as a version: the checks above only hold if no other print
+    // was counted in between; otherwise re-read and check again.
+    const res = await VectorDocumentAccess.updateOne(
+      {
+        _id: access._id,
+        revoked: false,
+        printsUsed: access.printsUsed === undefined ? { $exists: false } : access.printsUsed,
+      },
+      consumeUpdate(units, requestId, now, maxWindowMs(access.rateLimits))
+    ).exec();
+
+    if (res && res.matchedCount === 1) {
+      const remainingAfter = printQuota - Number(access.printsUsed || 0) - units;
+      let recorded;
+      try {
+        recorded = await recordLedgerEntry(consumeEntry(documentId, userId, requestId, units, { remainingAfter, source: 'db' }));
+      } catch (err) {
+        // Unrecorded consumption would be undone by reconciliation: undo it now instead.
+        await VectorDocumentAccess.updateOne({ _id: access._id }, releaseUpdate(units, requestId)).exec();
+        throw err;
+      }
+      if (!recorded) {
+        // A concurrent call with the same requestId got there first; undo this call's
+        // units and one of the two window events, keeping the winner's.
+        await VectorDocumentAccess.updateOne({ _id: access._id }, releaseUpdate(units, requestId)).exec();
+        return false;
+      }
+      return true;
+    }
+  }
+
+  const err = new Error('Print quota is busy, try again');
+  err.code = 'QUOTA_BUSY';
+  throw err;
+};
+
+// Accesses attached to a quota pool draw from the pool (atomically with the member cap);
+// the access itself only keeps its window checks and print history.
+const consumePooledAccess = async (access, requestId, units, { checkWindow = true } = {}) => {
+  if (access.revoked) {
+    const err = new Error('Access revoked');
+    err.code = 'REVOKED';
     throw err;
   }
 
-  const printQuota = Number.isFinite(access.printQuota) && access.printQuota !== null
-    ? Number(access.printQuota)
-    : Number(access.assignedQuota || 0);
+  // The validity and rate-limit window are checked inside consumePoolUnits, atomically
+  // with the pool decrement.
+  const documentId = String(access.documentId);
+  const userId = String(access.userId);
+  const redis = getRedisClient();
+  const idempotencyKey = reqKey(documentId, userId, requestId);
+  let gated = false;
+  if (redis) {
+    try {
+      const ok = await redis.set(idempotencyKey, '1', 'NX', 'EX', IDEMPOTENCY_TTL_SECONDS);
+      if (!ok) return false;
+      gated = true;
+    } catch {
+      // Redis down: the ledger check below is the only gate.
+    }
+  }
+  const ungate = () => (gated ? redis.del(idempotencyKey).catch(() => null) : null);
 
-  // Ensure DB has printQuota populated (additive)
-  if (access.printQuota === null || access.printQuota === undefined) {
-    await VectorDocumentAccess.updateOne({ _id: access._id }, { $set: { printQuota } }).exec();
-  }
-
-  const res = await VectorDocumentAccess.updateOne(
-    {
-      documentId,
-      userId,
-      revoked: false,
-      printsUsed: { $lt: printQuota },
-    },
-    {
-      $inc: { printsUsed: 1, usedPrints: 1 },
-      $set: { lastPrintAt: now },
+  let consumedVia;
+  try {
+    if (await isRequestConsumed(documentId, userId, requestId)) return false;
+    consumedVia = await consumePoolUnits(String(access.poolId), userId, units, { access, requestId, checkWindow });
+  } catch (e) {
+    await ungate();
+    throw e;
+  }
+
+  // Undo an unrecorded consume: the pool units, and the window event wherever it landed.
+  const undo = async () => {
+    await refundPoolUnits(String(access.poolId), userId, units);
+    if (consumedVia === 'db') {
+      await VectorDocumentAccess.updateOne({ _id: access._id }, releaseUpdate(units, requestId)).exec();
+    } else {
+      await invalidatePrintQuotaCache(documentId, userId);
     }
-  ).exec();
+  };
 
-  if (!res || res.matchedCount === 0) {
-    const err = new Error('Print limit exceeded');
-    err.code = 'LIMIT';
+  let recorded;
+  try {
+    recorded = await recordLedgerEntry(
+      consumeEntry(documentId, userId, requestId, units, { poolId: access.poolId, source: consumedVia })
+    );
+  } catch (err) {
+    await undo();
+    await ungate();
     throw err;
   }
+  if (!recorded) {
+    await undo();
+    return false;
+  }
+
+  if (consumedVia === 'db') return true;
+  await writeBehind(
+    VectorDocumentAccess.updateOne({ _id: access._id }, consumeUpdate(units, requestId, new Date(), maxWindowMs(access.rateLimits)))
+  );
+  return true;
+};
+
+// Once the ledger has the entry, a failed printsUsed update is drift that reconciliation
+// repairs; failing the print here would only make the user pay again on retry.
+const writeBehind = async (update) => {
+  try {
+    await update;
+  } catch (err) {
+    console.error('[quota] printsUsed write-behind failed; left for reconciliation', err?.message || err);
+  }
+};
+
+// Record a Redis-side consumption in the ledger, then update printsUsed. When the entry
+// cannot be written the Redis decrement is dropped (the cache re-seeds from Mongo).
+const commitRedisConsumption = async (redis, docId, usrId, rid, n, remainingAfter) => {
+  let recorded;
+  try {
+    recorded = await recordLedgerEntry(consumeEntry(docId, usrId, rid, n, { remainingAfter, source: 'redis' }));
+  } catch (err) {
+    await invalidatePrintQuotaCache(docId, usrId);
+    await redis.del(reqKey(docId, usrId, rid)).catch(() => null);
+    throw err;
+  }
+  if (!recorded) {
+    // Replayed after the idempotency key expired: already counted once, so drop this
+    // decrement. Throws if the earlier consumption was refunded.
+    await invalidatePrintQuotaCache(docId, usrId);
+    await isRequestConsumed(docId, usrId, rid);
+    return false;
+  }
+
+  // STEP 4 — Write-Behind DB Update (single atomic update)
+  await writeBehind(
+    (async () => {
+      const now = new Date();
+      const access = await VectorDocumentAccess.findOne({ documentId: docId, userId: usrId }).exec();
+      const printQuota = access && Number.isFinite(access.printQuota) && access.printQuota !== null
+        ? Number(access.printQuota)
+        : Number(access?.assignedQuota || 0);
+
+      if (access && (access.printQuota === null || access.printQuota === undefined)) {
+        await VectorDocumentAccess.updateOne({ _id: access._id }, { $set: { printQuota } }).exec();
+      }
+
+      await VectorDocumentAccess.updateOne(
+        { documentId: docId, userId: usrId, revoked: false },
+        consumeUpdate(n, rid, now, maxWindowMs(access?.rateLimits))
+      ).exec();
+    })()
+  );
+  return true;
 };
 
 // REQUIRED SIGNATURE (DO NOT CHANGE)
 export async function assertAndConsumePrintQuota(documentId, userId, requestId) {
+  return assertAndConsumePrintQuotaUnits(documentId, userId, requestId, 1);
+}
+
+/**
+ * Consume `units` prints (e.g. all copies of one print job) in a single atomic step:
+ * either every unit is taken or none is. Idempotent per requestId like the single-unit call.
+ * Throws err.code === 'LIMIT' when quota is exhausted and 'ACCESS_WINDOW' (with err.reason
+ * and err.availableAt) outside validFrom/validUntil or over a rate limit.
+ * With checkWindow false only the quota is enforced; the print is still recorded in the
+ * rate-limit window (for settling prints whose window was checked when they were requested).
+ * Resolves true when this call consumed, false when the request had already been counted.
+ */
+export async function assertAndConsumePrintQuotaUnits(documentId, userId, requestId, units, { checkWindow = true } = {}) {
   const docId = String(documentId);
   const usrId = String(userId);
   const rid = String(requestId || '').trim();
@@ -108,55 +397,118 @@ export async function assertAndConsumePrintQuota(documentId, userId, requestId)
     err.code = 'BAD_REQUEST';
     throw err;
   }
+  const n = Number(units);
+  if (!Number.isInteger(n) || n < 1) {
+    const err = new Error('units must be a positive integer');
+    err.code = 'BAD_REQUEST';
+    throw err;
+  }
+
+  const pooled = await VectorDocumentAccess.findOne({ documentId: docId, userId: usrId, poolId: { $ne: null } })
+    .lean()
+    .exec();
+  if (pooled) {
+    return consumePooledAccess(pooled, rid, n, { checkWindow });
+  }
 
   const redis = getRedisClient();
+  let remainingAfter = null;
 
   // STEP 1 — Idempotency Gate (Redis SET NX EX 300)
   if (redis) {
+    const idempotencyKey = reqKey(docId, usrId, rid);
     try {
-      const ok = await redis.set(reqKey(docId, usrId, rid), '1', 'NX', 'EX', IDEMPOTENCY_TTL_SECONDS);
+      const ok = await redis.set(idempotencyKey, '1', 'NX', 'EX', IDEMPOTENCY_TTL_SECONDS);
       if (!ok) {
-        return;
+        return false;
       }
 
       // STEP 2 — Redis Atomic Decrement
-      let dec = await redis.eval(ATOMIC_PRINT_DECREMENT, 1, quotaKey(docId, usrId));
+      const decrement = () =>
+        redis.eval(
+          ATOMIC_PRINT_DECREMENT,
+          2,
+          quotaKey(docId, usrId),
+          windowKey(docId, usrId),
+          n,
+          Date.now(),
+          `${rid}:${n}`,
+          checkWindow ? '1' : '0'
+        );
+      let [dec, availableAtMs] = (await decrement()).map(Number);
 
       // STEP 3 — Cache Miss (-2): seed from DB and retry once
-      if (Number(dec) === -2) {
-        const { printQuota, printsUsed } = await ensureDbQuotaInitialized(docId, usrId);
-        await seedRedisRemaining(redis, docId, usrId, printQuota - printsUsed);
-        dec = await redis.eval(ATOMIC_PRINT_DECREMENT, 1, quotaKey(docId, usrId));
+      if (dec === -2) {
+        const { access, printQuota, printsUsed } = await ensureDbQuotaInitialized(docId, usrId);
+        await seedRedisQuota(redis, docId, usrId, printQuota - printsUsed, access);
+        [dec, availableAtMs] = (await decrement()).map(Number);
       }
 
-      if (Number(dec) === -1) {
-        const err = new Error('Print limit exceeded');
-        err.code = 'LIMIT';
-        throw err;
+      if (dec < 0) {
+        // Let the same request retry (e.g. with fewer copies) once quota allows.
+        await redis.del(idempotencyKey).catch(() => null);
+        if (REDIS_WINDOW_REASONS[dec]) {
+          throw accessWindowError(REDIS_WINDOW_REASONS[dec], availableAtMs > 0 ? availableAtMs : null);
+        }
+        throw limitError();
       }
+      remainingAfter = dec;
+    } catch (e) {
+      // Redis says no: the DB fallback must not second-guess it.
+      if (e?.code === 'LIMIT' || e?.code === 'ACCESS_WINDOW') throw e;
+      // Redis down or any other redis path failure -> DB fallback below
+    }
+  }
 
-      // STEP 4 — Write-Behind DB Update (single atomic update)
-      const now = new Date();
-      const access = await VectorDocumentAccess.findOne({ documentId: docId, userId: usrId }).exec();
-      const printQuota = access && Number.isFinite(access.printQuota) && access.printQuota !== null
-        ? Number(access.printQuota)
-        : Number(access?.assignedQuota || 0);
+  // Kept outside the try above: once Redis has taken the units, an error here must not
+  // fall through to the DB fallback and consume a second time.
+  if (remainingAfter !== null) {
+    return commitRedisConsumption(redis, docId, usrId, rid, n, remainingAfter);
+  }
 
-      if (access && (access.printQuota === null || access.printQuota === undefined)) {
-        await VectorDocumentAccess.updateOne({ _id: access._id }, { $set: { printQuota } }).exec();
-      }
+  // STEP 5 — DB Fallback (Optimistic Concurrency)
+  return dbOptimisticConsume(docId, usrId, n, rid, { checkWindow });
+}
 
-      await VectorDocumentAccess.updateOne(
-        { documentId: docId, userId: usrId, revoked: false },
-        { $inc: { printsUsed: 1, usedPrints: 1 }, $set: { lastPrintAt: now } }
-      ).exec();
+/**
+ * Give back everything a request consumed (e.g. the render failed after quota was taken).
+ * Recorded as a REFUND in the ledger; refunding twice, refunding a request that never
+ * consumed, or one consumed before the quota was last reset returns 0.
+ * @returns {Promise<number>} units refunded
+ */
+export async function refundPrintQuotaUnits(documentId, userId, requestId, reason = null) {
+  const docId = String(documentId);
+  const usrId = String(userId);
+  const rid = String(requestId || '').trim();
+  if (!rid) return 0;
 
-      return;
-    } catch (e) {
-      // Redis down or any redis path failure -> DB fallback below
-    }
+  const entries = await findRequestEntries(docId, usrId, rid);
+  const consumption = entries.find((e) => e.type === 'CONSUME');
+  if (!consumption || entries.some((e) => e.type === 'REFUND')) return 0;
+
+  // A reset since then already wiped these units from printsUsed.
+  const lastResetAt = await lastQuotaResetAt(docId, usrId);
+  if (lastResetAt && lastResetAt > consumption.consumedAt) return 0;
+
+  const units = Number(consumption.units || 0);
+  const recorded = await recordLedgerEntry({
+    documentId: docId,
+    userId: usrId,
+    requestId: rid,
+    type: 'REFUND',
+    units,
+    poolId: consumption.poolId || null,
+    reason,
+  });
+  if (!recorded) return 0;
+
+  if (consumption.poolId) {
+    await refundPoolUnits(String(consumption.poolId), usrId, units);
   }
+  await writeBehind(VectorDocumentAccess.updateOne({ documentId: docId, userId: usrId }, releaseUpdate(units, rid)).exec());
+  await invalidatePrintQuotaCache(docId, usrId);
 
-  // STEP 5 — DB Fallback (Optimistic Concurrency)
-  await dbOptimisticConsume(docId, usrId);
+  const redis = getRedisClient();
+  if (redis) await redis.del(reqKey(docId, usrId, rid)).catch(() => null);
+  return units;
 }
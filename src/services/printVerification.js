@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
+import VectorPrintLog from '../vectorModels/VectorPrintLog.js';
+import VectorDocument from '../vectorModels/VectorDocument.js';
+import VectorUser from '../vectorModels/VectorUser.js';
+import { verifyPrintStamp } from './hmac.js';
+import { decodeStampToken, extractPdfStamp } from './forensicStamp.js';
+
+// Verdicts for a serial:
+// CONFIRMED   - the device confirmed the print,
+// FAILED      - the device reported the print as failed,
+// UNCONFIRMED - issued (and maybe fetched) but never confirmed; a copy may exist without a record,
+// UNKNOWN     - no print job carries this serial.
+
+const auditAt = (job, event) => {
+  const entry = (job.audit || []).find((a) => a.event === event);
+  return entry?.at ? new Date(entry.at).toISOString() : null;
+};
+
+const summarizeLog = (log) => ({
+  id: String(log._id),
+  kind: log.meta?.kind || null,
+  result: log.meta?.result || null,
+  count: log.count,
+  deviceId: log.meta?.deviceId || null,
+  printerName: log.meta?.printerName || null,
+  reason: log.meta?.reason || null,
+  at: log.createdAt ? new Date(log.createdAt).toISOString() : null,
+});
+
+/**
+ * Full verification record for a printed serial, or null when no print job carries it.
+ */
+export const verifySerial = async (serial) => {
+  const job = await VectorPrintJob.findOne({ 'metadata.serial': serial }).lean();
+  if (!job) return null;
+
+  const [logs, doc, user] = await Promise.all([
+    VectorPrintLog.find({ 'meta.serial': serial }).sort({ createdAt: 1 }).lean(),
+    mongoose.isValidObjectId(job.metadata?.documentId)
+      ? VectorDocument.findById(job.metadata.documentId).select('title').lean()
+      : null,
+    VectorUser.findById(job.userId).select('email').lean(),
+  ]);
+
+  const confirmedLog = logs.find((l) => l.meta?.result === 'SUCCESS') || null;
+  const failedLog = logs.find((l) => l.meta?.result === 'FAILED') || null;
+  const reportedFailed = job.status === 'FAILED' || !!failedLog;
+  const confirmed = job.status === 'DONE' && !!confirmedLog;
+
+  let verdict = 'UNCONFIRMED';
+  if (reportedFailed) verdict = 'FAILED';
+  else if (confirmed) verdict = 'CONFIRMED';
+
+  return {
+    serial,
+    verdict,
+    flags: {
+      neverConfirmed: !confirmed,
+      reportedFailed,
+      fetched: !!job.metadata?.fetchedAt,
+      // Confirmed or failed without ever being fetched should not happen through /print/*.
+      statusWithoutFetch: (confirmed || reportedFailed) && !job.metadata?.fetchedAt,
+    },
+    printId: String(job._id),
+    status: job.status,
+    document: {
+      id: job.metadata?.documentId ? String(job.metadata.documentId) : null,
+      title: doc?.title || job.metadata?.title || null,
+    },
+    user: { id: String(job.userId), email: user?.email || null },
+    deviceId: job.metadata?.deviceId || null,
+    printerName: confirmedLog?.meta?.printerName || job.metadata?.printerName || null,
+    copies: Number(job.metadata?.copies) || 1,
+    printedCopies: confirmed ? Number(job.metadata?.copies) || 1 : Number(failedLog?.meta?.printedCopies) || 0,
+    issuedAt: job.metadata?.issuedAt || null,
+    fetchedAt: job.metadata?.fetchedAt || null,
+    confirmedAt: confirmed ? auditAt(job, 'PRINT_CONFIRMED_AND_OUTPUT_DELETED') : null,
+    failedAt: reportedFailed ? auditAt(job, 'PRINT_FAILED_AND_OUTPUT_DELETED') : null,
+    failureReason: reportedFailed ? job.error?.message || failedLog?.meta?.reason || null : null,
+    stampSignature: job.metadata?.stamp?.signature || null,
+    logs: logs.map(summarizeLog),
+  };
+};
+
+/**
+ * Extract the signed stamp from an uploaded PDF and check it against the issuing job.
+ * Throws err.code === 'INVALID_PDF' when the file cannot be parsed.
+ */
+export const verifyStampedPdf = async (bytes) => {
+  let tokens;
+  try {
+    tokens = await extractPdfStamp(bytes);
+  } catch (e) {
+    const err = new Error('Uploaded file is not a readable PDF');
+    err.code = 'INVALID_PDF';
+    throw err;
+  }
+
+  const { infoToken, xmpToken } = tokens;
+  const token = infoToken || xmpToken;
+  const decoded = decodeStampToken(token);
+  if (!decoded) {
+    return { stampFound: !!token, signatureValid: false, verdict: 'NO_STAMP', record: null, print: null };
+  }
+
+  const { record, signature } = decoded;
+  const signatureValid = verifyPrintStamp(record, signature);
+  // A copy whose Info and XMP stamps disagree was edited after it left the server.
+  const metadataConsistent = !infoToken || !xmpToken || infoToken === xmpToken;
+
+  const print = signatureValid && record.serial ? await verifySerial(String(record.serial)) : null;
+  const matchesJob =
+    !!print &&
+    print.printId === String(record.printId) &&
+    print.stampSignature === signature;
+
+  let verdict = 'VALID';
+  if (!signatureValid) verdict = 'FORGED';
+  else if (!metadataConsistent) verdict = 'TAMPERED';
+  else if (!matchesJob) verdict = 'NOT_ISSUED';
+
+  return { stampFound: true, signatureValid, metadataConsistent, matchesJob, verdict, record, print };
+};
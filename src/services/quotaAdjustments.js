@@ -0,0 +1,221 @@
+import VectorDocumentAccess from '../vectorModels/VectorDocumentAccess.js';
+import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
+import { adjustCachedRemaining, invalidatePrintQuotaCache } from './printQuotaServiceV2.js';
+
+// Admin quota operations that keep printsUsed and print history intact (unlike the assign
+// endpoints, which start a fresh allotment): add or remove unused prints, move unused
+// prints between users, and revoke. Each one pushes an audit entry naming the admin onto
+// the access and keeps the cached print_quota hash in step (debited before a removal,
+// dropped after an addition).
+
+const adjustError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const effectiveQuota = { $ifNull: ['$printQuota', '$assignedQuota'] };
+
+const auditPush = (entry) => ({
+  $concatArrays: [{ $ifNull: ['$audit', []] }, [{ $literal: { at: new Date(), ...entry } }]],
+});
+
+const summarize = (access) => {
+  const quota = Number.isFinite(access.printQuota) && access.printQuota !== null ? access.printQuota : access.assignedQuota;
+  const used = Number(access.printsUsed || 0);
+  return {
+    accessId: String(access._id),
+    documentId: String(access.documentId),
+    userId: String(access.userId),
+    printQuota: quota,
+    printsUsed: used,
+    remainingPrints: Math.max(0, quota - used),
+    revoked: Boolean(access.revoked),
+  };
+};
+
+const loadAccess = async (documentId, userId) => {
+  const access = await VectorDocumentAccess.findOne({ documentId, userId }).lean().exec();
+  if (!access) throw adjustError('Assignment not found', 'NO_ACCESS');
+  return access;
+};
+
+const assertAdjustable = (access) => {
+  if (access.revoked) throw adjustError('Assignment is revoked', 'REVOKED');
+  if (access.poolId) throw adjustError('Assignment draws from a quota pool; adjust the pool instead', 'POOLED');
+};
+
+// Units reserved by print jobs that were requested but not yet confirmed or failed.
+const heldUnits = async (access) => {
+  const running = await VectorPrintJob.find({
+    userId: access.userId,
+    status: 'RUNNING',
+    'metadata.assignmentId': String(access._id),
+  })
+    .select('metadata.copies metadata.unitsPerCopy')
+    .lean()
+    .exec();
+  return running.reduce(
+    (sum, job) => sum + (Number(job.metadata?.copies) || 1) * (Number(job.metadata?.unitsPerCopy) || 1),
+    0
+  );
+};
+
+const assertUnits = (units) => {
+  if (!Number.isInteger(units) || units < 1) throw adjustError('units must be a positive integer', 'BAD_REQUEST');
+};
+
+/**
+ * Add `units` prints to an assignment; usage is untouched.
+ */
+export const addPrintQuota = async ({ documentId, userId, units, by, reason = null, event = 'QUOTA_ADDED', details = {} }) => {
+  assertUnits(units);
+  const access = await loadAccess(documentId, userId);
+  assertAdjustable(access);
+
+  const updated = await VectorDocumentAccess.findOneAndUpdate(
+    { _id: access._id, revoked: false, poolId: null },
+    [
+      {
+        $set: {
+          printQuota: { $add: [effectiveQuota, units] },
+          assignedQuota: { $add: [{ $ifNull: ['$assignedQuota', 0] }, units] },
+          audit: auditPush({ event, by, details: { units, reason, ...details } }),
+        },
+      },
+    ],
+    { new: true }
+  ).lean();
+  if (!updated) throw adjustError('Assignment changed, try again', 'QUOTA_BUSY');
+
+  // Dropped rather than credited: a seed racing this write may already have read the new
+  // quota, and crediting on top of it would count the units twice.
+  await invalidatePrintQuotaCache(documentId, userId);
+  return summarize(updated);
+};
+
+/**
+ * Take back `units` prints that are neither used nor held by an unfinished print job.
+ * The cached hash is debited first so a print racing this call cannot spend them.
+ */
+export const removePrintQuota = async ({ documentId, userId, units, by, reason = null, event = 'QUOTA_REMOVED', details = {} }) => {
+  assertUnits(units);
+  const access = await loadAccess(documentId, userId);
+  assertAdjustable(access);
+
+  const held = await heldUnits(access);
+  const cached = await adjustCachedRemaining(documentId, userId, -units);
+  if (cached === 'insufficient') {
+    throw adjustError('Not enough unused prints to remove', 'INSUFFICIENT_UNUSED');
+  }
+
+  const updated = await VectorDocumentAccess.findOneAndUpdate(
+    {
+      _id: access._id,
+      revoked: false,
+      poolId: null,
+      $expr: { $gte: [{ $subtract: [effectiveQuota, { $ifNull: ['$printsUsed', 0] }] }, units + held] },
+    },
+    [
+      {
+        $set: {
+          printQuota: { $subtract: [effectiveQuota, units] },
+          assignedQuota: { $max: [0, { $subtract: [{ $ifNull: ['$assignedQuota', 0] }, units] }] },
+          audit: auditPush({ event, by, details: { units, reason, heldUnits: held, ...details } }),
+        },
+      },
+    ],
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    if (cached === 'applied') await adjustCachedRemaining(documentId, userId, units);
+    throw adjustError('Not enough unused prints to remove', 'INSUFFICIENT_UNUSED');
+  }
+  return summarize(updated);
+};
+
+/**
+ * Move `units` unused prints from one user's assignment to another's on the same document.
+ * The recipient gets an assignment if they have none; if crediting fails the units go back.
+ */
+export const transferPrintQuota = async ({ documentId, fromUserId, toUserId, units, by, reason = null }) => {
+  assertUnits(units);
+  if (String(fromUserId) === String(toUserId)) {
+    throw adjustError('Cannot transfer prints to the same user', 'BAD_REQUEST');
+  }
+
+  const target = await VectorDocumentAccess.findOne({ documentId, userId: toUserId }).lean().exec();
+  if (target) assertAdjustable(target);
+
+  const from = await removePrintQuota({
+    documentId,
+    userId: fromUserId,
+    units,
+    by,
+    reason,
+    event: 'QUOTA_TRANSFERRED_OUT',
+    details: { toUserId: String(toUserId) },
+  });
+
+  try {
+    if (!target) {
+      await VectorDocumentAccess.create({
+        documentId,
+        userId: toUserId,
+        assignedQuota: 0,
+        printQuota: 0,
+        printsUsed: 0,
+      });
+    }
+    const to = await addPrintQuota({
+      documentId,
+      userId: toUserId,
+      units,
+      by,
+      reason,
+      event: 'QUOTA_TRANSFERRED_IN',
+      details: { fromUserId: String(fromUserId) },
+    });
+    return { from, to };
+  } catch (err) {
+    await addPrintQuota({
+      documentId,
+      userId: fromUserId,
+      units,
+      by,
+      reason: 'Transfer rolled back',
+      event: 'QUOTA_TRANSFER_ROLLED_BACK',
+      details: { toUserId: String(toUserId), error: err?.message || String(err) },
+    }).catch((rollbackErr) => console.error('Quota transfer rollback error', rollbackErr));
+    throw err;
+  }
+};
+
+/**
+ * Revoke an assignment. Quota, usage and audit history stay on the record; the cached
+ * hash is dropped so no further print can be consumed from Redis.
+ */
+export const revokePrintAccess = async ({ documentId, userId, by, reason = null }) => {
+  const access = await loadAccess(documentId, userId);
+  if (access.revoked) throw adjustError('Assignment is already revoked', 'REVOKED');
+
+  const updated = await VectorDocumentAccess.findOneAndUpdate(
+    { _id: access._id, revoked: false },
+    [
+      {
+        $set: {
+          revoked: true,
+          revokedAt: new Date(),
+          revokedBy: by,
+          audit: auditPush({ event: 'ACCESS_REVOKED', by, details: { reason } }),
+        },
+      },
+    ],
+    { new: true }
+  ).lean();
+  if (!updated) throw adjustError('Assignment is already revoked', 'REVOKED');
+
+  await invalidatePrintQuotaCache(documentId, userId);
+  return summarize(updated);
+};
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import VectorPrintConsumption from '../vectorModels/VectorPrintConsumption.js';
+
+// Helpers around the append-only quota ledger (VectorPrintConsumption). Every consumption
+// and refund is recorded here before printsUsed is touched, so printsUsed and the Redis
+// print_quota:* hashes can always be rebuilt from it (see quotaReconciliation.js).
+
+// The pre-ledger index on (documentId, userId, requestId) would reject a REFUND next to
+// its CONSUME; it was never written to, so it is safe to drop. Dropped at startup, before
+// anything writes to the ledger.
+const LEGACY_UNIQUE_INDEX = 'documentId_1_userId_1_requestId_1';
+const LEDGER_UNIQUE_INDEX = 'documentId_1_userId_1_requestId_1_type_1';
+
+export const dropLegacyLedgerIndex = async () => {
+  try {
+    await VectorPrintConsumption.collection.dropIndex(LEGACY_UNIQUE_INDEX);
+    console.log(`[quotaLedger] Dropped legacy index ${LEGACY_UNIQUE_INDEX}`);
+  } catch (err) {
+    // 26 NamespaceNotFound / 27 IndexNotFound: nothing to drop.
+    if (err?.code === 26 || err?.code === 27) return;
+    throw err;
+  }
+};
+
+// Only a duplicate on the per-type index is a replay; any other unique violation is a
+// real failure and must not be reported as "already recorded".
+const isLedgerReplay = (err) =>
+  err?.code === 11000 &&
+  (err?.keyPattern ? 'type' in err.keyPattern : String(err?.message || '').includes(LEDGER_UNIQUE_INDEX));
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Append one ledger entry. Returns false when an entry of the same type already exists for
+ * the request (a replay); any other write error is thrown.
+ */
+export const recordLedgerEntry = async ({ documentId, userId, requestId, type, units, ...rest }) => {
+  try {
+    await VectorPrintConsumption.create({
+      documentId: toObjectId(documentId),
+      userId: toObjectId(userId),
+      requestId: String(requestId),
+      type,
+      units,
+      ...rest,
+    });
+    return true;
+  } catch (err) {
+    if (isLedgerReplay(err)) return false;
+    throw err;
+  }
+};
+
+export const findRequestEntries = (documentId, userId, requestId) =>
+  VectorPrintConsumption.find({
+    documentId: toObjectId(documentId),
+    userId: toObjectId(userId),
+    requestId: String(requestId),
+  })
+    .lean()
+    .exec();
+
+const refundedError = () => {
+  const err = new Error('This requestId was refunded; retry with a new requestId');
+  err.code = 'REQUEST_REFUNDED';
+  return err;
+};
+
+/**
+ * Whether the request already consumed quota. A refunded request can never be consumed
+ * again (the CONSUME entry is unique), so that case throws 'REQUEST_REFUNDED'.
+ */
+export const isRequestConsumed = async (documentId, userId, requestId) => {
+  const entries = await findRequestEntries(documentId, userId, requestId);
+  if (entries.some((e) => e.type === 'REFUND')) throw refundedError();
+  return entries.some((e) => e.type === 'CONSUME');
+};
+
+// Record that an admin set printsUsed to `units` (0 on reassignment).
+export const recordQuotaReset = (documentId, userId, { units = 0, by = null, reason = null, source = 'admin' } = {}) =>
+  recordLedgerEntry({
+    documentId,
+    userId,
+    requestId: `reset:${crypto.randomUUID()}`,
+    type: 'RESET',
+    units,
+    by,
+    reason,
+    source,
+  });
+
+export const lastQuotaResetAt = async (documentId, userId) => {
+  const reset = await VectorPrintConsumption.findOne({
+    documentId: toObjectId(documentId),
+    userId: toObjectId(userId),
+    type: 'RESET',
+  })
+    .sort({ consumedAt: -1, _id: -1 })
+    .select('consumedAt')
+    .lean()
+    .exec();
+  return reset?.consumedAt || null;
+};
+
+/**
+ * printsUsed according to the ledger.
+ * @returns {{ hasReset: boolean, expectedUsed: number, consumed: number, refunded: number, lastEntryAt: Date|null }}
+ */
+export const computeLedgerUsage = async (documentId, userId) => {
+  const match = { documentId: toObjectId(documentId), userId: toObjectId(userId) };
+  const reset = await VectorPrintConsumption.findOne({ ...match, type: 'RESET' }).sort({ consumedAt: -1, _id: -1 }).lean().exec();
+
+  const [totals] = await VectorPrintConsumption.aggregate([
+    { $match: { ...match, type: { $in: ['CONSUME', 'REFUND'] }, ...(reset ? { consumedAt: { $gte: reset.consumedAt } } : {}) } },
+    {
+      $group: {
+        _id: null,
+        consumed: { $sum: { $cond: [{ $eq: ['$type', 'CONSUME'] }, '$units', 0] } },
+        refunded: { $sum: { $cond: [{ $eq: ['$type', 'REFUND'] }, '$units', 0] } },
+        lastEntryAt: { $max: '$consumedAt' },
+      },
+    },
+  ]);
+
+  const consumed = Number(totals?.consumed || 0);
+  const refunded = Number(totals?.refunded || 0);
+  return {
+    hasReset: Boolean(reset),
+    expectedUsed: Number(reset?.units || 0) + consumed - refunded,
+    consumed,
+    refunded,
+    lastEntryAt: totals?.lastEntryAt || reset?.consumedAt || null,
+  };
+};
+
+export const listLedgerEntries = ({ documentId, userId, limit = 200 } = {}) => {
+  const filter = {};
+  if (documentId) filter.documentId = toObjectId(documentId);
+  if (userId) filter.userId = toObjectId(userId);
+  return VectorPrintConsumption.find(filter).sort({ consumedAt: -1, _id: -1 }).limit(limit).lean().exec();
+};
@@ -0,0 +1,289 @@
+import mongoose from 'mongoose';
+import VectorDocumentAccess from '../vectorModels/VectorDocumentAccess.js';
+import VectorQuotaPool from '../vectorModels/VectorQuotaPool.js';
+import { getRedisClient } from './redisClient.js';
+import {
+  REDIS_WINDOW_REASONS,
+  WINDOW_APPEND_LUA,
+  WINDOW_RATE_LUA,
+  WINDOW_VALIDITY_LUA,
+  accessQuotaKey,
+  accessWindowError,
+  accessWindowKey,
+  checkAccessWindow,
+  consumeUpdate,
+  maxWindowMs,
+  releaseUpdate,
+  seedAccessWindowCache,
+} from './accessWindows.js';
+
+// Shared quota pools: members of a pool draw from one document quota, each optionally
+// capped. Redis holds the live counters (pool remaining + per-member used) and consumes
+// both in one Lua call, together with the member access's validity and rate-limit window;
+// Mongo is the source of truth and is updated write-behind, or
+// directly with optimistic concurrency when Redis is unavailable.
+
+// The {poolId} hash tag keeps pool and member keys in one cluster slot. The script also
+// touches the access's window keys, which (as for unpooled quota) assumes a single node.
+const poolKey = (poolId) => `print_pool:{${poolId}}`;
+const memberKey = (poolId, userId) => `print_pool_member:{${poolId}}:${userId}`;
+
+const DB_CONSUME_ATTEMPTS = 5;
+
+export const ATOMIC_POOL_DECREMENT = `
+-- KEYS[1] = pool key
+-- KEYS[2] = member key
+-- KEYS[3] = access quota key (window fields)
+-- KEYS[4] = access window key
+-- ARGV[1] = units
+-- ARGV[2] = now (ms)
+-- ARGV[3] = window event member
+-- ARGV[4] = "0" to skip the validity and rate-limit checks (the event is still recorded)
+local units = tonumber(ARGV[1]) or 1
+local now = tonumber(ARGV[2]) or 0
+local checkWindow = ARGV[4] ~= "0"
+local remaining = tonumber(redis.call("HGET", KEYS[1], "remaining"))
+local used = tonumber(redis.call("HGET", KEYS[2], "used"))
+
+if not remaining or not used or redis.call("EXISTS", KEYS[3]) == 0 then
+  return {-2, 0} -- cache miss
+end
+
+if checkWindow then
+${WINDOW_VALIDITY_LUA('KEYS[3]')}
+end
+if remaining < units then
+  return {-1, 0} -- pool exhausted
+end
+
+local cap = tonumber(redis.call("HGET", KEYS[2], "cap"))
+if cap and used + units > cap then
+  return {-6, cap - used} -- member cap reached
+end
+if checkWindow then
+${WINDOW_RATE_LUA('KEYS[3]', 'KEYS[4]')}
+end
+redis.call("HINCRBY", KEYS[1], "remaining", -units)
+redis.call("HINCRBY", KEYS[2], "used", units)
+${WINDOW_APPEND_LUA('KEYS[3]', 'KEYS[4]', 'ARGV[3]')}
+return {remaining - units, cap and (cap - used - units) or -1}
+`;
+
+const poolError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// Active member row for a user; removed members can no longer draw from the pool.
+export const findPoolMember = (pool, userId) =>
+  (pool?.members || []).find((m) => String(m.userId) === String(userId) && !m.removedAt) || null;
+
+const hasCap = (member) => member?.cap !== null && member?.cap !== undefined;
+
+/**
+ * What a member can still print from a pool, in the shape of computeRemaining().
+ * maxPrints is the member's cap, or the pool total when uncapped.
+ */
+export const getPoolRemaining = (pool, userId) => {
+  const member = findPoolMember(pool, userId);
+  if (!pool?.active || !member) return { maxPrints: 0, remainingPrints: 0 };
+
+  const poolLeft = Math.max(0, Number(pool.totalQuota) - Number(pool.used || 0));
+  const memberLeft = hasCap(member) ? Math.max(0, Number(member.cap) - Number(member.used || 0)) : poolLeft;
+  return {
+    maxPrints: hasCap(member) ? Number(member.cap) : Number(pool.totalQuota),
+    remainingPrints: Math.min(poolLeft, memberLeft),
+  };
+};
+
+const checkPoolConsumable = (pool, userId, units) => {
+  const member = findPoolMember(pool, userId);
+  if (!pool || !pool.active || !member) {
+    throw poolError('Not a member of an active quota pool', 'NO_ACCESS');
+  }
+  if (Number(pool.used || 0) + units > Number(pool.totalQuota)) {
+    throw poolError('Print limit exceeded', 'LIMIT');
+  }
+  if (hasCap(member) && Number(member.used || 0) + units > Number(member.cap)) {
+    throw poolError('Print limit exceeded', 'LIMIT');
+  }
+  return member;
+};
+
+const poolIncrement = (userId, units) => ({
+  update: { $inc: { used: units, 'members.$[m].used': units, version: 1 } },
+  options: { arrayFilters: [{ 'm.userId': new mongoose.Types.ObjectId(String(userId)) }] },
+});
+
+// Only fills missing counters, so a re-seed never overwrites values other members have
+// already decremented in Redis but not yet written behind.
+const seedPoolCache = async (redis, pool, userId) => {
+  const member = findPoolMember(pool, userId);
+  const multi = redis.multi();
+  multi.hsetnx(poolKey(pool._id), 'remaining', String(Math.max(0, Number(pool.totalQuota) - Number(pool.used || 0))));
+  multi.hsetnx(memberKey(pool._id, userId), 'used', String(Number(member.used || 0)));
+  multi.hsetnx(memberKey(pool._id, userId), 'cap', hasCap(member) ? String(member.cap) : '');
+  await multi.exec();
+};
+
+// Counts the print on the access first (window check and append, versioned on
+// printsUsed), then on the pool (versioned on version); a lost pool race undoes the
+// access update and starts over.
+const dbConsumePoolUnits = async (poolId, userId, units, { access, requestId, checkWindow = true }) => {
+  for (let attempt = 0; attempt < DB_CONSUME_ATTEMPTS; attempt += 1) {
+    const now = new Date();
+    const current = await VectorDocumentAccess.findById(access._id).lean().exec();
+    if (!current || current.revoked) {
+      throw poolError('Access revoked', 'REVOKED');
+    }
+    const window = checkWindow ? checkAccessWindow(current, units, now.getTime()) : { ok: true };
+    if (!window.ok) throw accessWindowError(window.reason, window.availableAt);
+
+    const pool = await VectorQuotaPool.findById(poolId).lean().exec();
+    checkPoolConsumable(pool, userId, units);
+
+    const accessRes = await VectorDocumentAccess.updateOne(
+      {
+        _id: current._id,
+        revoked: false,
+        printsUsed: current.printsUsed === undefined ? { $exists: false } : current.printsUsed,
+      },
+      consumeUpdate(units, requestId, now, maxWindowMs(current.rateLimits))
+    ).exec();
+    if (!accessRes || accessRes.matchedCount !== 1) continue;
+
+    const { update, options } = poolIncrement(userId, units);
+    const res = await VectorQuotaPool.updateOne({ _id: pool._id, version: pool.version }, update, options).exec();
+    if (res && res.modifiedCount === 1) return;
+
+    await VectorDocumentAccess.updateOne({ _id: current._id }, releaseUpdate(units, requestId)).exec();
+  }
+  throw poolError('Quota pool is busy, try again', 'QUOTA_BUSY');
+};
+
+/**
+ * Atomically take `units` from a pool and from the member's cap, after checking the
+ * member access's validity and rate-limit window.
+ * Throws err.code === 'LIMIT' when either is exhausted, 'NO_ACCESS' for non-members and
+ * 'ACCESS_WINDOW' outside the access window (not checked when checkWindow is false).
+ * @returns {Promise<'redis'|'db'>} 'db' when the access's printsUsed and window were
+ *   already updated in Mongo; after 'redis' that is left to the caller's write-behind.
+ */
+export const consumePoolUnits = async (poolId, userId, units, { access, requestId, checkWindow = true }) => {
+  const redis = getRedisClient();
+  let consumedInRedis = false;
+  if (redis) {
+    try {
+      const documentId = String(access.documentId);
+      const decrement = () =>
+        redis.eval(
+          ATOMIC_POOL_DECREMENT,
+          4,
+          poolKey(poolId),
+          memberKey(poolId, userId),
+          accessQuotaKey(documentId, userId),
+          accessWindowKey(documentId, userId),
+          units,
+          Date.now(),
+          `${requestId}:${units}`,
+          checkWindow ? '1' : '0'
+        );
+      let [code, availableAtMs] = (await decrement()).map(Number);
+
+      if (code === -2) {
+        const pool = await VectorQuotaPool.findById(poolId).lean().exec();
+        if (!pool || !pool.active || !findPoolMember(pool, userId)) {
+          throw poolError('Not a member of an active quota pool', 'NO_ACCESS');
+        }
+        await seedPoolCache(redis, pool, userId);
+        await seedAccessWindowCache(redis, access);
+        [code, availableAtMs] = (await decrement()).map(Number);
+      }
+
+      if (REDIS_WINDOW_REASONS[code]) {
+        throw accessWindowError(REDIS_WINDOW_REASONS[code], availableAtMs > 0 ? availableAtMs : null);
+      }
+      if (code === -1 || code === -6) {
+        throw poolError('Print limit exceeded', 'LIMIT');
+      }
+      consumedInRedis = code >= 0;
+    } catch (e) {
+      if (e?.code === 'LIMIT' || e?.code === 'NO_ACCESS' || e?.code === 'ACCESS_WINDOW') throw e;
+      // Redis down or any other redis path failure -> DB below
+    }
+  }
+
+  if (consumedInRedis) {
+    // Write-behind: Redis already enforced both limits. Kept outside the try so a Mongo
+    // error here cannot fall through and consume a second time.
+    const { update, options } = poolIncrement(userId, units);
+    await VectorQuotaPool.updateOne({ _id: poolId }, update, options).exec();
+    return 'redis';
+  }
+
+  await dbConsumePoolUnits(poolId, userId, units, { access, requestId, checkWindow });
+  return 'db';
+};
+
+// Give units back to the pool and the member (refunds, or undoing an unrecorded consume).
+export const refundPoolUnits = async (poolId, userId, units) => {
+  const { update, options } = poolIncrement(userId, -units);
+  await VectorQuotaPool.updateOne({ _id: poolId }, update, options).exec();
+  await invalidatePoolCache(poolId, [String(userId)]);
+};
+
+// Drop cached counters after admin changes to totals, caps or membership.
+export const invalidatePoolCache = async (poolId, userIds = []) => {
+  const redis = getRedisClient();
+  if (!redis) return;
+  try {
+    await redis.del(poolKey(poolId), ...userIds.map((u) => memberKey(poolId, u)));
+  } catch {
+    // Redis down: nothing cached to go stale.
+  }
+};
+
+/**
+ * Reconcile a pool: pool.used must equal the sum of member usage in Mongo, and the Redis
+ * counters are reset from Mongo. Returns what was found and corrected.
+ */
+export const reconcileQuotaPool = async (poolId) => {
+  const pool = await VectorQuotaPool.findById(poolId).lean().exec();
+  if (!pool) return null;
+
+  const memberUsed = pool.members.reduce((sum, m) => sum + Number(m.used || 0), 0);
+  const drift = memberUsed - Number(pool.used || 0);
+
+  const updated = await VectorQuotaPool.findOneAndUpdate(
+    { _id: pool._id, version: pool.version },
+    { $set: { used: memberUsed, lastReconciledAt: new Date() }, $inc: { version: 1 } },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw poolError('Quota pool changed during reconciliation, try again', 'QUOTA_BUSY');
+  }
+
+  let redisBefore = null;
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const before = await redis.hget(poolKey(pool._id), 'remaining');
+      redisBefore = before === null ? null : Number(before);
+      await redis.del(poolKey(pool._id), ...pool.members.map((m) => memberKey(pool._id, String(m.userId))));
+    } catch {
+      // Redis down: it will be seeded from Mongo on the next consume.
+    }
+  }
+
+  return {
+    poolId: String(pool._id),
+    totalQuota: updated.totalQuota,
+    used: updated.used,
+    previousUsed: pool.used,
+    drift,
+    redisRemainingBefore: redisBefore,
+    remaining: Math.max(0, updated.totalQuota - updated.used),
+    reconciledAt: updated.lastReconciledAt,
+  };
+};
@@ -0,0 +1,140 @@
+import VectorDocumentAccess from '../vectorModels/VectorDocumentAccess.js';
+import VectorQuotaReconciliation from '../vectorModels/VectorQuotaReconciliation.js';
+import { computeLedgerUsage, recordLedgerEntry } from './quotaLedger.js';
+import { getCachedRemaining, invalidatePrintQuotaCache } from './printQuotaServiceV2.js';
+
+// Rebuilds quota counters from the ledger: printsUsed/usedPrints in Mongo, and the Redis
+// print_quota:* hashes (dropped so they re-seed from the repaired Mongo values). Accesses
+// that printed within the grace period are skipped, since their write-behind may still be
+// in flight. Accesses that predate the ledger are adopted: a RESET at the epoch records
+// the usage the ledger cannot explain, so only drift from then on is reported.
+
+const MAX_REPORTED_DISCREPANCIES = 500;
+
+const graceMs = () => Number(process.env.QUOTA_RECONCILE_GRACE_MS || 60 * 1000);
+
+const quotaOf = (access) =>
+  Number.isFinite(access.printQuota) && access.printQuota !== null ? Number(access.printQuota) : Number(access.assignedQuota || 0);
+
+const reconcileAccess = async (access, { dryRun, report }) => {
+  const now = Date.now();
+  const recentlyActive = (at) => at && now - new Date(at).getTime() < graceMs();
+  if (recentlyActive(access.lastPrintAt)) {
+    report.skippedActive += 1;
+    return;
+  }
+
+  const usage = await computeLedgerUsage(access.documentId, access.userId);
+  if (recentlyActive(usage.lastEntryAt)) {
+    report.skippedActive += 1;
+    return;
+  }
+  report.checked += 1;
+
+  const printsUsed = Number(access.printsUsed || 0);
+  let expected = usage.expectedUsed;
+  if (!usage.hasReset) {
+    const baseline = Math.max(0, printsUsed - (usage.consumed - usage.refunded));
+    expected += baseline;
+    report.adopted += 1;
+    if (!dryRun) {
+      await recordLedgerEntry({
+        documentId: access.documentId,
+        userId: access.userId,
+        requestId: `adopt:${access._id}`,
+        type: 'RESET',
+        units: baseline,
+        source: 'reconcile',
+        reason: 'Usage recorded before the ledger existed',
+        consumedAt: new Date(0),
+      });
+      // Another run may have adopted it first with a different baseline.
+      expected = (await computeLedgerUsage(access.documentId, access.userId)).expectedUsed;
+    }
+  }
+
+  const base = { accessId: access._id, documentId: access.documentId, userId: access.userId };
+
+  if (printsUsed !== expected || Number(access.usedPrints || 0) !== expected) {
+    let repaired = false;
+    if (!dryRun) {
+      // Conditional on the value we read, so a print landing meanwhile is not overwritten.
+      const res = await VectorDocumentAccess.updateOne(
+        { _id: access._id, printsUsed: access.printsUsed ?? { $exists: false } },
+        { $set: { printsUsed: expected, usedPrints: expected } }
+      ).exec();
+      repaired = res.matchedCount === 1;
+    }
+    report.discrepancies.push({ ...base, kind: 'PRINTS_USED', expected, actual: printsUsed, repaired });
+  }
+
+  // Pooled accesses draw from the pool's own Redis counters (see quotaPoolService).
+  if (access.poolId) return;
+
+  const cached = await getCachedRemaining(access.documentId, access.userId);
+  if (cached === null) return;
+
+  const kind = access.revoked ? 'REDIS_STALE' : 'REDIS_REMAINING';
+  const expectedRemaining = access.revoked ? null : Math.max(0, quotaOf(access) - expected);
+  if (access.revoked || cached !== expectedRemaining) {
+    if (!dryRun) await invalidatePrintQuotaCache(access.documentId, access.userId);
+    report.discrepancies.push({ ...base, kind, expected: expectedRemaining, actual: cached, repaired: !dryRun });
+  }
+};
+
+/**
+ * Run one reconciliation pass over every access (or one document's) and store the report.
+ * With dryRun nothing is written except the report itself.
+ */
+export const runQuotaReconciliationOnce = async ({ dryRun = false, trigger = 'schedule', triggeredBy = null, documentId = null } = {}) => {
+  const report = { checked: 0, skippedActive: 0, adopted: 0, discrepancies: [] };
+  const startedAt = new Date();
+  let error = null;
+
+  try {
+    const cursor = VectorDocumentAccess.find(documentId ? { documentId } : {})
+      .select('documentId userId printQuota assignedQuota printsUsed usedPrints lastPrintAt poolId revoked')
+      .lean()
+      .cursor();
+    for await (const access of cursor) {
+      await reconcileAccess(access, { dryRun, report });
+    }
+  } catch (err) {
+    error = err?.message || String(err);
+  }
+
+  return VectorQuotaReconciliation.create({
+    trigger,
+    triggeredBy,
+    dryRun,
+    startedAt,
+    finishedAt: new Date(),
+    checked: report.checked,
+    skippedActive: report.skippedActive,
+    adopted: report.adopted,
+    repaired: report.discrepancies.filter((d) => d.repaired).length,
+    discrepancyCount: report.discrepancies.length,
+    discrepancies: report.discrepancies.slice(0, MAX_REPORTED_DISCREPANCIES),
+    error,
+  });
+};
+
+export const startQuotaReconciliationLoop = () => {
+  const intervalMs = Number(process.env.QUOTA_RECONCILE_INTERVAL_MS || 60 * 60 * 1000);
+
+  const tick = async () => {
+    try {
+      const run = await runQuotaReconciliationOnce();
+      if (run.discrepancyCount > 0) {
+        console.warn(`[quota] reconciliation found ${run.discrepancyCount} discrepancies (${run.repaired} repaired)`);
+      }
+    } catch (err) {
+      console.error('[quota] reconciliation failed', err?.message || err);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+
+  return () => clearInterval(timer);
+};
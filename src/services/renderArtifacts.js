@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { deleteFromS3, downloadFromS3, listS3Keys, uploadToS3WithKey } from './s3.js';
+
+// Intermediate batch PDFs of a render flow. Each batch child writes one partial PDF here
+// and returns only a reference { store, key, sha256, size }, so BullMQ keeps a few hundred
+// bytes per child in Redis instead of the rendered pages. The merge reads them back one at
+// a time, in page order, and the job's artifacts are removed once the flow ends.
+//
+// VECTOR_ARTIFACT_STORE=s3|disk (default: s3 when AWS_S3_BUCKET is set). With disk, the
+// directory (VECTOR_ARTIFACT_DIR) must be shared by every worker node.
+
+const S3_PREFIX = 'documents/tmp/vector';
+
+const artifactError = (message) => {
+  const err = new Error(message);
+  err.code = 'ARTIFACT_INVALID';
+  return err;
+};
+
+export const artifactStore = () => {
+  const configured = String(process.env.VECTOR_ARTIFACT_STORE || '').toLowerCase();
+  if (configured === 's3' || configured === 'disk') return configured;
+  return process.env.AWS_S3_BUCKET ? 's3' : 'disk';
+};
+
+const artifactDir = () => process.env.VECTOR_ARTIFACT_DIR || path.join(os.tmpdir(), 'vector-artifacts');
+
+// Disk keys are relative to the artifact dir; never follow one outside it.
+const diskPath = (key) => {
+  const root = path.resolve(artifactDir());
+  const full = path.resolve(root, key);
+  if (!full.startsWith(`${root}${path.sep}`)) throw artifactError('Artifact key escapes the artifact directory');
+  return full;
+};
+
+const batchName = (startPage, endPage) => `batch-${String(startPage).padStart(6, '0')}-${endPage}.pdf`;
+
+/**
+ * Store one batch's partial PDF. Same job and page range always maps to the same key,
+ * so a retried batch overwrites its previous attempt.
+ * @returns {Promise<{ store: 's3'|'disk', key: string, sha256: string, size: number }>}
+ */
+export const writeBatchArtifact = async ({ printJobId, startPage, endPage, bytes }) => {
+  const body = Buffer.from(bytes);
+  const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+  const store = artifactStore();
+
+  if (store === 's3') {
+    const key = `${S3_PREFIX}/${printJobId}/${batchName(startPage, endPage)}`;
+    await uploadToS3WithKey(body, 'application/pdf', key);
+    return { store, key, sha256, size: body.length };
+  }
+
+  const key = `${printJobId}/${batchName(startPage, endPage)}`;
+  const full = diskPath(key);
+  await fs.mkdir(path.dirname(full), { recursive: true });
+  // Write then rename so a reader never sees a half-written file.
+  const tmp = `${full}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, body);
+  await fs.rename(tmp, full);
+  return { store, key, sha256, size: body.length };
+};
+
+/**
+ * Read a batch artifact back and check it against the checksum the batch recorded.
+ */
+export const readBatchArtifact = async (ref) => {
+  if (!ref?.key || !ref?.sha256) throw artifactError('Artifact reference is incomplete');
+
+  const body = ref.store === 's3' ? await downloadFromS3(ref.key) : await fs.readFile(diskPath(ref.key));
+  const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+  if (sha256 !== ref.sha256) {
+    throw artifactError(`Artifact checksum mismatch for ${ref.key}`);
+  }
+  return body;
+};
+
+/**
+ * Remove every intermediate artifact of a job. Best effort: failures are logged, not thrown.
+ */
+export const deleteJobArtifacts = async (printJobId) => {
+  const id = String(printJobId || '');
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) return;
+
+  await fs.rm(diskPath(id), { recursive: true, force: true }).catch((e) => {
+    console.warn('[renderArtifacts] Disk cleanup failed', id, e?.message || e);
+  });
+
+  if (!process.env.AWS_S3_BUCKET) return;
+  try {
+    const keys = await listS3Keys(`${S3_PREFIX}/${id}/`);
+    for (const key of keys) await deleteFromS3(key);
+  } catch (e) {
+    console.warn('[renderArtifacts] S3 cleanup failed', id, e?.message || e);
+  }
+};
@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
+import VectorPrintLog from '../vectorModels/VectorPrintLog.js';
+import VectorDocumentAccess from '../vectorModels/VectorDocumentAccess.js';
+import VectorQuotaPool from '../vectorModels/VectorQuotaPool.js';
+import { invalidatePrintQuotaCache } from './printQuotaServiceV2.js';
+import { invalidatePoolCache } from './quotaPoolService.js';
+
+// Reprint approvals: a user who lost a print that already consumed quota (paper jam,
+// damaged output) files a request for that printId; an admin approval grants exactly one
+// bonus unit on the assignment, without touching printsUsed. The request and the decision
+// are both VectorPrintLog entries (count 0), so the print history stays in one place.
+//
+//   request  : meta.kind 'REPRINT_REQUEST', meta.reprintStatus PENDING -> APPROVED | DENIED
+//   decision : meta.kind 'REPRINT_APPROVED' | 'REPRINT_DENIED', meta.requestLogId
+
+export const REPRINT_STATUSES = ['PENDING', 'APPROVED', 'DENIED'];
+const REPRINT_BONUS_UNITS = 1;
+const MAX_REASON_LENGTH = 500;
+
+const reprintError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// Only prints that actually consumed quota can be reprinted.
+const hasConsumedQuota = (job) => {
+  if (job.status === 'DONE') return true;
+  if (job.status !== 'FAILED') return false;
+  const failed = (job.audit || []).find((a) => a.event === 'PRINT_FAILED_AND_OUTPUT_DELETED');
+  return Number(failed?.details?.printedUnits || 0) > 0;
+};
+
+export const serializeReprintRequest = (log) => ({
+  id: String(log._id),
+  printId: log.meta?.printId || null,
+  documentId: log.documentId ? String(log.documentId) : null,
+  userId: log.userId ? String(log.userId) : null,
+  serial: log.meta?.serial || null,
+  status: log.meta?.reprintStatus || 'PENDING',
+  reason: log.meta?.reason || '',
+  requestedAt: log.createdAt,
+  decidedAt: log.meta?.decidedAt || null,
+  decidedBy: log.meta?.decidedBy ? String(log.meta.decidedBy) : null,
+  note: log.meta?.note || null,
+  bonusUnits: log.meta?.bonusUnits || 0,
+});
+
+/**
+ * File a reprint request for one of the user's prints. One request per print: a second
+ * request, pending or decided, is rejected with code 'DUPLICATE'.
+ */
+export const createReprintRequest = async ({ printId, userId, reason }) => {
+  if (!mongoose.isValidObjectId(printId)) {
+    throw reprintError('Print job not found', 'NOT_FOUND');
+  }
+  const job = await VectorPrintJob.findOne({ _id: printId, userId }).lean().exec();
+  if (!job || !job.metadata?.documentId) {
+    throw reprintError('Print job not found', 'NOT_FOUND');
+  }
+  if (!hasConsumedQuota(job)) {
+    throw reprintError('Only prints that consumed quota can be reprinted', 'NOT_ELIGIBLE');
+  }
+
+  try {
+    const log = await VectorPrintLog.create({
+      userId,
+      documentId: job.metadata.documentId,
+      count: 0,
+      meta: {
+        kind: 'REPRINT_REQUEST',
+        printId: String(job._id),
+        assignmentId: job.metadata.assignmentId || null,
+        serial: job.metadata.serial || null,
+        reason: String(reason || '').slice(0, MAX_REASON_LENGTH),
+        reprintStatus: 'PENDING',
+      },
+    });
+    return log.toObject();
+  } catch (err) {
+    // Unique partial index on (meta.kind, meta.printId) for requests.
+    if (err?.code === 11000) {
+      throw reprintError('A reprint request already exists for this print', 'DUPLICATE');
+    }
+    throw err;
+  }
+};
+
+export const listReprintRequests = async ({ userId, status, limit = 100 } = {}) => {
+  const filter = { 'meta.kind': 'REPRINT_REQUEST' };
+  if (userId) filter.userId = userId;
+  if (status) filter['meta.reprintStatus'] = status;
+  const logs = await VectorPrintLog.find(filter).sort({ createdAt: -1 }).limit(limit).lean().exec();
+  return logs.map(serializeReprintRequest);
+};
+
+// One more unit on the assignment the print came from: printQuota for a personal access,
+// pool total (and the member's cap, if any) for a pooled one. printsUsed is left alone.
+const grantBonusUnit = async (request) => {
+  const assignmentId = request.meta?.assignmentId;
+  const access = await VectorDocumentAccess.findOne({
+    ...(assignmentId ? { _id: assignmentId } : { documentId: request.documentId }),
+    userId: request.userId,
+    revoked: false,
+  })
+    .select('userId documentId poolId')
+    .lean()
+    .exec();
+  if (!access) {
+    throw reprintError('Assignment is no longer active', 'NO_ACCESS');
+  }
+
+  if (access.poolId) {
+    const res = await VectorQuotaPool.updateOne(
+      { _id: access.poolId, members: { $elemMatch: { userId: access.userId, removedAt: null } } },
+      { $inc: { totalQuota: REPRINT_BONUS_UNITS, 'members.$[m].cap': REPRINT_BONUS_UNITS, version: 1 } },
+      { arrayFilters: [{ 'm.userId': access.userId, 'm.cap': { $ne: null } }] }
+    ).exec();
+    if (res.matchedCount !== 1) {
+      throw reprintError('Assignment is no longer active', 'NO_ACCESS');
+    }
+    await invalidatePoolCache(String(access.poolId), [String(access.userId)]);
+  } else {
+    await VectorDocumentAccess.updateOne({ _id: access._id }, [
+      { $set: { printQuota: { $add: [{ $ifNull: ['$printQuota', '$assignedQuota'] }, REPRINT_BONUS_UNITS] } } },
+    ]).exec();
+  }
+  await invalidatePrintQuotaCache(access.documentId, access.userId);
+  return access;
+};
+
+/**
+ * Approve or deny a pending reprint request. The request is claimed atomically, so two
+ * admins deciding at once grant at most one unit; 'NOT_PENDING' means it was already decided.
+ */
+export const decideReprintRequest = async ({ requestId, adminId, approve, note }) => {
+  if (!mongoose.isValidObjectId(requestId)) {
+    throw reprintError('Reprint request not found', 'NOT_FOUND');
+  }
+  const decidedAt = new Date();
+  const reprintStatus = approve ? 'APPROVED' : 'DENIED';
+  const decision = {
+    'meta.reprintStatus': reprintStatus,
+    'meta.decidedAt': decidedAt,
+    'meta.decidedBy': adminId,
+    'meta.note': note ? String(note).slice(0, MAX_REASON_LENGTH) : null,
+    'meta.bonusUnits': approve ? REPRINT_BONUS_UNITS : 0,
+  };
+
+  const request = await VectorPrintLog.findOneAndUpdate(
+    { _id: requestId, 'meta.kind': 'REPRINT_REQUEST', 'meta.reprintStatus': 'PENDING' },
+    { $set: decision },
+    { new: true }
+  ).lean();
+  if (!request) {
+    const exists = await VectorPrintLog.exists({ _id: requestId, 'meta.kind': 'REPRINT_REQUEST' });
+    throw exists
+      ? reprintError('Reprint request was already decided', 'NOT_PENDING')
+      : reprintError('Reprint request not found', 'NOT_FOUND');
+  }
+
+  if (approve) {
+    try {
+      await grantBonusUnit(request);
+    } catch (err) {
+      // Nothing was granted: put the request back so it can be decided again.
+      await VectorPrintLog.updateOne(
+        { _id: request._id, 'meta.reprintStatus': 'APPROVED' },
+        { $set: { 'meta.reprintStatus': 'PENDING', 'meta.decidedAt': null, 'meta.decidedBy': null, 'meta.note': null, 'meta.bonusUnits': 0 } }
+      ).exec();
+      throw err;
+    }
+  }
+
+  await VectorPrintLog.create({
+    userId: request.userId,
+    documentId: request.documentId,
+    count: 0,
+    meta: {
+      kind: approve ? 'REPRINT_APPROVED' : 'REPRINT_DENIED',
+      requestLogId: String(request._id),
+      printId: request.meta?.printId,
+      serial: request.meta?.serial || null,
+      decidedBy: adminId,
+      note: decision['meta.note'],
+      bonusUnits: decision['meta.bonusUnits'],
+    },
+  }).catch(() => null);
+
+  return serializeReprintRequest(request);
+};
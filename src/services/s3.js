@@ -1,4 +1,10 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
@@ -91,3 +97,20 @@ export const deleteFromS3 = async (key) => {
   const command = new DeleteObjectCommand({ Bucket: bucket, Key: key });
   await s3.send(command);
 };
+
+export const listS3Keys = async (prefix) => {
+  if (!bucket) {
+    throw new Error('AWS_S3_BUCKET not configured');
+  }
+
+  const keys = [];
+  let ContinuationToken;
+  do {
+    const command = new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken });
+    const response = await s3.send(command);
+    for (const item of response.Contents || []) keys.push(item.Key);
+    ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return keys;
+};
@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import VectorSeriesLedger from '../vectorModels/VectorSeriesLedger.js';
+import { resolveRepeatPerPage } from '../vector/imposition.js';
+
+// Series number registry: every prefix owns a ledger of issued ranges, and a job may only
+// be enqueued once all of its series ranges are reserved without overlapping another job.
+
+const MAX_RESERVE_ATTEMPTS = 5;
+
+// Ranges in these states still own their numbers.
+const BLOCKING_STATUSES = ['RESERVED', 'VOID'];
+
+const gcd = (a, b) => {
+  let x = a < 0n ? -a : a;
+  let y = b < 0n ? -b : b;
+  while (y) [x, y] = [y, x % y];
+  return x;
+};
+
+// Modular inverse of a mod m (a and m coprime).
+const modInverse = (a, m) => {
+  let [oldR, r] = [((a % m) + m) % m, m];
+  let [oldS, s] = [1n, 0n];
+  while (r) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  return ((oldS % m) + m) % m;
+};
+
+/**
+ * First value shared by two arithmetic progressions {start, step, end}, or null.
+ * Uses the CRT on the two residues, so interleaved ranges (1,3,5.. vs 2,4,6..) never conflict.
+ */
+export const firstSharedNumber = (a, b) => {
+  const s1 = BigInt(a.start);
+  const d1 = BigInt(a.step);
+  const s2 = BigInt(b.start);
+  const d2 = BigInt(b.step);
+  const lo = s1 > s2 ? s1 : s2;
+  const hi = BigInt(a.end) < BigInt(b.end) ? BigInt(a.end) : BigInt(b.end);
+  if (lo > hi) return null;
+
+  const g = gcd(d1, d2);
+  if ((s2 - s1) % g !== 0n) return null;
+
+  // x = s1 + d1 * k with d1 * k ≡ s2 - s1 (mod d2)
+  const m = d2 / g;
+  const k = m === 1n ? 0n : ((((s2 - s1) / g) % m + m) % m * modInverse(d1 / g, m)) % m;
+  const lcm = (d1 / g) * d2;
+  let x = s1 + d1 * k;
+  if (x < lo) x += ((lo - x + lcm - 1n) / lcm) * lcm;
+  else x -= ((x - lo) / lcm) * lcm;
+
+  return x <= hi ? Number(x) : null;
+};
+
+// Ranges a job would issue, one per front series (backside series reuse the front numbers).
+export const computeSeriesRanges = (metadata) => {
+  const totalPages = Number(metadata?.layout?.totalPages || 1);
+  const totalItems = totalPages * resolveRepeatPerPage(metadata?.layout);
+  const series = Array.isArray(metadata?.series) ? metadata.series : [];
+
+  return series.map((s) => {
+    const start = Number(s.start);
+    const step = Number(s.step);
+    return {
+      prefix: typeof s.prefix === 'string' ? s.prefix : '',
+      seriesId: String(s.id),
+      start,
+      step,
+      count: totalItems,
+      end: start + Math.max(0, totalItems - 1) * step,
+    };
+  });
+};
+
+const findConflicts = (ledger, range, extra = []) => {
+  const conflicts = [];
+  const candidates = [...(ledger?.ranges || []).filter((r) => BLOCKING_STATUSES.includes(r.status)), ...extra];
+  for (const existing of candidates) {
+    const overlap = firstSharedNumber(existing, range);
+    if (overlap === null) continue;
+    conflicts.push({
+      prefix: range.prefix,
+      seriesId: range.seriesId,
+      conflictingJobId: existing.jobId ? String(existing.jobId) : null,
+      conflictingSeriesId: existing.seriesId,
+      conflictingRangeId: existing._id ? String(existing._id) : null,
+      conflictingRange: { start: existing.start, end: existing.end, step: existing.step, status: existing.status || 'RESERVED' },
+      firstOverlap: overlap,
+    });
+  }
+  return conflicts;
+};
+
+const conflictError = (conflicts) => {
+  const err = new Error('Series range conflict');
+  err.code = 'SERIES_CONFLICT';
+  err.conflicts = conflicts;
+  return err;
+};
+
+// Check-and-append on one prefix ledger, retried when another writer got in first.
+const reserveOnLedger = async (range, entry) => {
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt += 1) {
+    const ledger = await VectorSeriesLedger.findOne({ prefix: range.prefix }).lean();
+
+    const conflicts = findConflicts(ledger, range);
+    if (conflicts.length) throw conflictError(conflicts);
+
+    if (!ledger) {
+      try {
+        await VectorSeriesLedger.create({ prefix: range.prefix, version: 1, ranges: [entry] });
+        return;
+      } catch (e) {
+        if (e?.code === 11000) continue; // another job created the ledger first
+        throw e;
+      }
+    }
+
+    const result = await VectorSeriesLedger.updateOne(
+      { _id: ledger._id, version: ledger.version },
+      { $push: { ranges: entry }, $inc: { version: 1 } }
+    );
+    if (result.modifiedCount === 1) return;
+  }
+
+  const err = new Error(`Series ledger for prefix "${range.prefix}" is busy, try again`);
+  err.code = 'SERIES_LEDGER_BUSY';
+  throw err;
+};
+
+/**
+ * Reserve every series range of a job, or none of them.
+ * Throws err.code === 'SERIES_CONFLICT' with err.conflicts when any range overlaps an
+ * existing reservation (or another series of the same job).
+ */
+export const reserveJobSeriesRanges = async ({ jobId, documentId = null, metadata, userId = null }) => {
+  const ranges = computeSeriesRanges(metadata);
+
+  // Two series of the same job sharing a prefix would print duplicates too.
+  const selfConflicts = [];
+  ranges.forEach((range, i) => {
+    const earlier = ranges.slice(0, i).filter((r) => r.prefix === range.prefix).map((r) => ({ ...r, jobId }));
+    selfConflicts.push(...findConflicts(null, range, earlier));
+  });
+  if (selfConflicts.length) throw conflictError(selfConflicts);
+
+  const reserved = [];
+  try {
+    for (const range of ranges) {
+      await reserveOnLedger(range, {
+        jobId,
+        documentId,
+        seriesId: range.seriesId,
+        start: range.start,
+        end: range.end,
+        step: range.step,
+        count: range.count,
+        status: 'RESERVED',
+        reservedBy: userId,
+        reservedAt: new Date(),
+      });
+      reserved.push(range.prefix);
+    }
+  } catch (e) {
+    if (reserved.length) await rollbackJobSeriesRanges(jobId);
+    throw e;
+  }
+
+  return ranges;
+};
+
+// Removes a job's reservations entirely (the job was never created, so nothing was issued).
+export const rollbackJobSeriesRanges = async (jobId) => {
+  const id = new mongoose.Types.ObjectId(String(jobId));
+  await VectorSeriesLedger.updateMany(
+    { 'ranges.jobId': id },
+    { $pull: { ranges: { jobId: id, status: 'RESERVED' } }, $inc: { version: 1 } }
+  );
+};
+
+const transitionRange = async (rangeId, fromStatuses, set) => {
+  if (!mongoose.isValidObjectId(rangeId)) return null;
+  const id = new mongoose.Types.ObjectId(String(rangeId));
+  const ledger = await VectorSeriesLedger.findOneAndUpdate(
+    { ranges: { $elemMatch: { _id: id, status: { $in: fromStatuses } } } },
+    { $set: Object.fromEntries(Object.entries(set).map(([k, v]) => [`ranges.$.${k}`, v])), $inc: { version: 1 } },
+    { new: true }
+  ).lean();
+  if (!ledger) return null;
+  const range = ledger.ranges.find((r) => String(r._id) === String(id));
+  return { prefix: ledger.prefix, range };
+};
+
+// RESERVED → RELEASED: the numbers were never printed and may be issued again.
+export const releaseSeriesRange = async (rangeId, { by = null, reason = null } = {}) =>
+  transitionRange(rangeId, ['RESERVED'], { status: 'RELEASED', releasedBy: by, releasedAt: new Date(), reason });
+
+// RESERVED/RELEASED → VOID: the numbers are burned (spoilt, lost or compromised) and never reissued.
+export const voidSeriesRange = async (rangeId, { by = null, reason = null } = {}) =>
+  transitionRange(rangeId, ['RESERVED', 'RELEASED'], { status: 'VOID', voidedBy: by, voidedAt: new Date(), reason });
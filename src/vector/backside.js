@@ -0,0 +1,72 @@
+// Duplex back side: a second crop printed on the reverse of every sheet.
+//
+// Back slots are the front placements mirrored across the sheet, so each back
+// lands behind its front after the sheet is turned over:
+// - long-edge:  sheet turns about its vertical axis   (x' = W - x - w)
+// - short-edge: sheet turns about its horizontal axis (y' = H - y - h)
+//
+// Back series never carry their own numbering: they reference a front series and
+// inherit its progression, so both faces of one physical ticket show the same number.
+
+export const BACKSIDE_FLIPS = ['long-edge', 'short-edge'];
+export const DEFAULT_BACKSIDE_FLIP = 'long-edge';
+
+// Fields that define the number sequence; always taken from the front series.
+export const SERIES_NUMBERING_FIELDS = ['start', 'step', 'prefix', 'padLength', 'format'];
+
+export const hasBackside = (metadata) =>
+  !!metadata?.backside && typeof metadata.backside === 'object' && !Array.isArray(metadata.backside);
+
+export const getBacksideFlip = (backside) => {
+  const flip = backside?.flip;
+  return flip === undefined || flip === null ? DEFAULT_BACKSIDE_FLIP : flip;
+};
+
+// Front series id a back series entry follows (defaults to its own id).
+export const getFrontSeriesId = (backSeries) =>
+  typeof backSeries?.seriesId === 'string' && backSeries.seriesId ? backSeries.seriesId : backSeries?.id;
+
+/**
+ * Merge each back series entry with the front series it follows.
+ * Styling (font, fontSize, color, letter sizes) falls back to the front entry;
+ * numbering fields are always the front's.
+ */
+export const resolveBacksideSeries = (frontSeries, backSeries) => {
+  const byId = new Map((Array.isArray(frontSeries) ? frontSeries : []).map((s) => [s?.id, s]));
+  return (Array.isArray(backSeries) ? backSeries : []).map((back) => {
+    const front = byId.get(getFrontSeriesId(back));
+    if (!front) {
+      throw new Error(`Backside series "${back?.id}" does not match any front series`);
+    }
+    const merged = { ...front, ...back };
+    for (const field of SERIES_NUMBERING_FIELDS) {
+      merged[field] = front[field];
+    }
+    return merged;
+  });
+};
+
+/**
+ * Mirror front slot placements onto the back of the sheet.
+ * The mirrored box is the outer (trim + bleed) box actually drawn on the front, so a
+ * back crop with the same aspect ratio lands exactly behind it.
+ * Row/column/index are kept so numbering resolves to the same ticket.
+ */
+export const mirrorSlotPlacements = (placements, pageSize, flip = DEFAULT_BACKSIDE_FLIP) =>
+  (Array.isArray(placements) ? placements : []).map((p) => {
+    const bleed = Number(p.bleedDrawnPt || 0);
+    const x = Number(p.contentLeft) - bleed;
+    const y = Number(p.contentBottom) - bleed;
+    const width = Number(p.contentWidth) + 2 * bleed;
+    const height = Number(p.contentHeight) + 2 * bleed;
+
+    return {
+      index: p.index,
+      row: p.row,
+      column: p.column,
+      x: flip === 'short-edge' ? x : pageSize.width - x - width,
+      y: flip === 'short-edge' ? pageSize.height - y - height : y,
+      width,
+      height,
+    };
+  });
@@ -0,0 +1,172 @@
+// Series numbers encoded as barcodes, drawn as filled vector rectangles (no raster images).
+//
+// bwip-js is used only as an encoder (raw bar/space widths or module matrices);
+// all drawing happens here with pdf-lib rectangles.
+//
+// Sizes are in ticket-object points, like series fontSize: they are scaled by the
+// slot scale when drawn, so a barcode keeps its size relative to the ticket.
+import bwipjs from 'bwip-js';
+import { snap } from './constants.js';
+
+export const SERIES_RENDER_MODES = ['text', 'barcode'];
+export const DEFAULT_SERIES_RENDER = 'text';
+
+export const BARCODE_TYPES = ['code128', 'ean13', 'datamatrix', 'qrcode'];
+const MATRIX_TYPES = new Set(['datamatrix', 'qrcode']);
+const QR_EC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Quiet zones per symbology spec, in modules.
+const DEFAULT_QUIET_ZONE = { code128: 10, ean13: 11, datamatrix: 1, qrcode: 4 };
+const DEFAULT_LINEAR_MODULE_PT = 1;
+const DEFAULT_MATRIX_MODULE_PT = 2;
+const DEFAULT_LINEAR_HEIGHT_PT = 30;
+
+export const EAN13_DATA_DIGITS = 12;
+
+export const getSeriesRenderMode = (series) => {
+  const mode = series?.render;
+  return mode === undefined || mode === null ? DEFAULT_SERIES_RENDER : mode;
+};
+
+export const isBarcodeSeries = (series) => getSeriesRenderMode(series) === 'barcode';
+
+export const isMatrixBarcode = (type) => MATRIX_TYPES.has(type);
+
+export const resolveBarcodeOptions = (series) => {
+  const barcode = series?.barcode || {};
+  const type = barcode.type;
+  const matrix = isMatrixBarcode(type);
+  return {
+    type,
+    moduleSizePt: Number(barcode.moduleSizePt ?? (matrix ? DEFAULT_MATRIX_MODULE_PT : DEFAULT_LINEAR_MODULE_PT)),
+    quietZoneModules: Number(barcode.quietZoneModules ?? DEFAULT_QUIET_ZONE[type] ?? 0),
+    heightPt: matrix ? null : Number(barcode.heightPt ?? DEFAULT_LINEAR_HEIGHT_PT),
+    ecLevel: type === 'qrcode' ? barcode.ecLevel || 'M' : null,
+  };
+};
+
+const isPositive = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+// Validation for series[i].render / series[i].barcode. `path` is e.g. "series[0]".
+export const getBarcodeErrors = (series, path) => {
+  const errors = [];
+  const mode = getSeriesRenderMode(series);
+
+  if (!SERIES_RENDER_MODES.includes(mode)) {
+    errors.push(`${path}.render must be one of ${SERIES_RENDER_MODES.map((m) => `"${m}"`).join(', ')}`);
+    return errors;
+  }
+  if (mode !== 'barcode') return errors;
+
+  const barcode = series.barcode;
+  if (!barcode || typeof barcode !== 'object') {
+    errors.push(`${path}.barcode is required when ${path}.render is "barcode"`);
+    return errors;
+  }
+
+  if (!BARCODE_TYPES.includes(barcode.type)) {
+    errors.push(`${path}.barcode.type must be one of ${BARCODE_TYPES.map((t) => `"${t}"`).join(', ')}`);
+  }
+  if (barcode.moduleSizePt !== undefined && (!isPositive(barcode.moduleSizePt) || barcode.moduleSizePt > 20)) {
+    errors.push(`${path}.barcode.moduleSizePt must be a number > 0 and <= 20`);
+  }
+  if (
+    barcode.quietZoneModules !== undefined &&
+    (typeof barcode.quietZoneModules !== 'number' || !Number.isInteger(barcode.quietZoneModules) || barcode.quietZoneModules < 0)
+  ) {
+    errors.push(`${path}.barcode.quietZoneModules must be an integer >= 0`);
+  }
+  if (barcode.heightPt !== undefined && (!isPositive(barcode.heightPt) || isMatrixBarcode(barcode.type))) {
+    errors.push(`${path}.barcode.heightPt must be a number > 0 (linear barcodes only)`);
+  }
+  if (barcode.ecLevel !== undefined && (barcode.type !== 'qrcode' || !QR_EC_LEVELS.includes(barcode.ecLevel))) {
+    errors.push(`${path}.barcode.ecLevel must be one of ${QR_EC_LEVELS.join(', ')} (qrcode only)`);
+  }
+
+  // EAN-13 carries exactly 12 data digits; the check digit is computed by the encoder.
+  if (barcode.type === 'ean13') {
+    const prefix = typeof series.prefix === 'string' ? series.prefix : '';
+    const padLength = Number(series.padLength || 0);
+    if (!/^\d*$/.test(prefix)) {
+      errors.push(`${path}.prefix must contain only digits for ean13 barcodes`);
+    }
+    if (prefix.length + padLength !== EAN13_DATA_DIGITS) {
+      errors.push(`${path}.prefix length + padLength must equal ${EAN13_DATA_DIGITS} for ean13 barcodes`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Encode a value into bars or modules.
+ * Linear: { kind: 'linear', widthModules, bars: [{ x, width }] } (x/width in modules)
+ * Matrix: { kind: 'matrix', columns, rows, modules: number[] } (row-major, 1 = dark)
+ */
+export const encodeBarcode = (type, value, { ecLevel } = {}) => {
+  const options = { bcid: type, text: String(value) };
+  if (type === 'qrcode' && ecLevel) options.eclevel = ecLevel;
+
+  let raw;
+  try {
+    [raw] = bwipjs.raw(options);
+  } catch (e) {
+    throw new Error(`Cannot encode "${value}" as ${type}: ${e?.message || e}`);
+  }
+
+  if (isMatrixBarcode(type)) {
+    return { kind: 'matrix', columns: raw.pixx, rows: raw.pixy, modules: raw.pixs };
+  }
+
+  // sbs alternates bar, space, bar, ... widths in modules
+  const bars = [];
+  let x = 0;
+  raw.sbs.forEach((width, i) => {
+    if (i % 2 === 0) bars.push({ x, width });
+    x += width;
+  });
+  return { kind: 'linear', widthModules: x, bars };
+};
+
+/**
+ * Draw an encoded barcode. (left, top) is the top-left of the quiet zone box in page points;
+ * moduleSize/height are already scaled to the page. Adjacent dark modules in a matrix row are
+ * merged into one rectangle to keep the content stream small.
+ */
+export const drawBarcode = (page, encoded, { left, top, moduleSize, height, quietZone, color }, calibrate) => {
+  const rect = (x, y, width, h) => {
+    const c = calibrate(x, y);
+    page.drawRectangle({
+      x: snap(c.x),
+      y: snap(c.y),
+      width: snap(width),
+      height: snap(h),
+      color,
+      borderWidth: 0,
+    });
+  };
+
+  if (encoded.kind === 'linear') {
+    const originX = left + quietZone * moduleSize;
+    for (const bar of encoded.bars) {
+      rect(originX + bar.x * moduleSize, top - height, bar.width * moduleSize, height);
+    }
+    return;
+  }
+
+  const originX = left + quietZone * moduleSize;
+  const originTop = top - quietZone * moduleSize;
+  for (let row = 0; row < encoded.rows; row += 1) {
+    const y = originTop - (row + 1) * moduleSize;
+    let col = 0;
+    while (col < encoded.columns) {
+      if (!encoded.modules[row * encoded.columns + col]) {
+        col += 1;
+        continue;
+      }
+      const start = col;
+      while (col < encoded.columns && encoded.modules[row * encoded.columns + col]) col += 1;
+      rect(originX + start * moduleSize, y, (col - start) * moduleSize, moduleSize);
+    }
+  }
+};
@@ -1,4 +1,5 @@
 // A4 SINGLE SOURCE OF TRUTH (ABSOLUTE)
+// Other sheet sizes live in pageSizes.js and default back to these values.
 export const A4_WIDTH = 595.28; // points
 export const A4_HEIGHT = 841.89; // points
 export const SAFE_MARGIN = 28.35; // 10mm
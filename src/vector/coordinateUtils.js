@@ -2,15 +2,16 @@ import { A4_HEIGHT } from './constants.js';
 
 // Centralized coordinate conversion utilities
 export class CoordinateConverter {
-  constructor(scale = 1.0) {
+  constructor(scale = 1.0, pageHeight = A4_HEIGHT) {
     this.scale = scale;
+    this.pageHeight = pageHeight;
   }
 
   // Convert canvas coordinates to PDF points
   canvasToPdf(canvasX, canvasY, canvasWidth = 0, canvasHeight = 0) {
     return {
       pdfX: canvasX / this.scale,
-      pdfY: A4_HEIGHT - (canvasY + canvasHeight) / this.scale
+      pdfY: this.pageHeight - (canvasY + canvasHeight) / this.scale
     };
   }
 
@@ -18,7 +19,7 @@ export class CoordinateConverter {
   pdfToCanvas(pdfX, pdfY) {
     return {
       canvasX: pdfX * this.scale,
-      canvasY: (A4_HEIGHT - pdfY) * this.scale
+      canvasY: (this.pageHeight - pdfY) * this.scale
     };
   }
 
@@ -0,0 +1,256 @@
+// Variable-data printing: per-ticket values (seat, row, gate, attendee name) pulled from
+// an uploaded CSV/JSONL dataset by ticket index.
+//
+// The dataset is normalized to JSONL and split into DATASET_CHUNK_ROWS-row chunks. Job
+// metadata carries `dataset` = { datasetId, columns, rowCount, chunkRows, chunks[{ key, sha256, firstRow, rows }] },
+// so the chunk hashes are covered by payloadHmac. Workers fetch only the chunks a page needs.
+import crypto from 'crypto';
+import { downloadFromS3 } from '../services/s3.js';
+
+export const DATASET_CHUNK_ROWS = 1000;
+export const MAX_DATASET_ROWS = 1000000;
+const MAX_CACHED_CHUNKS = 32;
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+// RFC 4180: quoted fields, "" escapes, CRLF or LF line endings. First record is the header.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('CSV has an unterminated quoted field');
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => !(r.length === 1 && r[0] === ''));
+  if (!nonEmpty.length) throw new Error('CSV is empty');
+
+  const columns = nonEmpty[0].map((c, i) => (i === 0 ? c.replace(/^\uFEFF/, '') : c).trim());
+  if (columns.some((c) => !c)) throw new Error('CSV header has an empty column name');
+  if (new Set(columns).size !== columns.length) throw new Error('CSV header has duplicate column names');
+
+  const rows = nonEmpty.slice(1).map((values, i) => {
+    if (values.length !== columns.length) {
+      throw new Error(`CSV row ${i + 2} has ${values.length} fields, expected ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((c, j) => [c, values[j]]));
+  });
+
+  return { columns, rows };
+};
+
+// One JSON object per line; values are stored as strings since they are printed as text.
+export const parseJsonl = (text) => {
+  const columns = [];
+  const seen = new Set();
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      throw new Error(`JSONL line ${i + 1} is not valid JSON`);
+    }
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      throw new Error(`JSONL line ${i + 1} must be an object`);
+    }
+    const row = {};
+    for (const [k, v] of Object.entries(obj)) {
+      if (!seen.has(k)) {
+        seen.add(k);
+        columns.push(k);
+      }
+      row[k] = v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+    }
+    rows.push(row);
+  });
+
+  if (!rows.length) throw new Error('JSONL is empty');
+  return { columns, rows };
+};
+
+/**
+ * Normalize rows into JSONL chunks ready for upload.
+ * @returns {{ chunkRows: number, chunks: Array<{ index: number, firstRow: number, rows: number, body: Buffer, sha256: string }> }}
+ */
+export const buildDatasetChunks = (rows, chunkRows = DATASET_CHUNK_ROWS) => {
+  const chunks = [];
+  for (let firstRow = 0; firstRow < rows.length; firstRow += chunkRows) {
+    const slice = rows.slice(firstRow, firstRow + chunkRows);
+    const body = Buffer.from(`${slice.map((r) => JSON.stringify(r)).join('\n')}\n`, 'utf8');
+    chunks.push({ index: chunks.length, firstRow, rows: slice.length, body, sha256: sha256(body) });
+  }
+  return { chunkRows, chunks };
+};
+
+const isNonNegativeInt = (v) => typeof v === 'number' && Number.isInteger(v) && v >= 0;
+
+const validateDataField = (field, index, errors, columns, path) => {
+  if (!field || typeof field !== 'object') {
+    errors.push(`${path}[${index}] must be an object`);
+    return;
+  }
+  if (!field.id || typeof field.id !== 'string') {
+    errors.push(`${path}[${index}].id is required and must be a string`);
+  }
+  if (!field.column || typeof field.column !== 'string') {
+    errors.push(`${path}[${index}].column is required and must be a string`);
+  } else if (columns && !columns.includes(field.column)) {
+    errors.push(`${path}[${index}].column "${field.column}" is not a dataset column`);
+  }
+  if (field.font !== undefined && (!field.font || typeof field.font !== 'string')) {
+    errors.push(`${path}[${index}].font must be a string when provided`);
+  }
+  if (typeof field.fontSize !== 'number' || field.fontSize < 4 || field.fontSize > 72) {
+    errors.push(`${path}[${index}].fontSize must be a number between 4 and 72`);
+  }
+  if (field.color !== undefined && typeof field.color !== 'string') {
+    errors.push(`${path}[${index}].color must be a string when provided`);
+  }
+  if (!Array.isArray(field.slots) || !field.slots.length) {
+    errors.push(`${path}[${index}].slots must be a non-empty array`);
+  } else {
+    field.slots.forEach((slot, slotIndex) => {
+      if (typeof slot?.xRatio !== 'number' || typeof slot?.yRatio !== 'number') {
+        errors.push(`${path}[${index}].slots[${slotIndex}].xRatio and .yRatio must be numbers`);
+      }
+    });
+  }
+};
+
+/**
+ * Validation for metadata.dataset and metadata.dataFields (and backside.dataFields).
+ * Before enqueue the dataset may only carry { datasetId }; the chunk list is checked once present.
+ */
+export const getDatasetErrors = (metadata) => {
+  const errors = [];
+  const dataset = metadata?.dataset;
+  const fields = metadata?.dataFields;
+  const backFields = metadata?.backside?.dataFields;
+
+  if (dataset !== undefined) {
+    if (!dataset || typeof dataset !== 'object' || Array.isArray(dataset)) {
+      errors.push('dataset must be an object when provided');
+    } else {
+      if (!dataset.datasetId || typeof dataset.datasetId !== 'string') {
+        errors.push('dataset.datasetId is required and must be a string');
+      }
+      if (dataset.chunks !== undefined) {
+        if (!Array.isArray(dataset.columns)) errors.push('dataset.columns must be an array');
+        if (!isNonNegativeInt(dataset.rowCount)) errors.push('dataset.rowCount must be an integer >= 0');
+        if (!isNonNegativeInt(dataset.chunkRows) || dataset.chunkRows < 1) errors.push('dataset.chunkRows must be a positive integer');
+        if (!Array.isArray(dataset.chunks)) {
+          errors.push('dataset.chunks must be an array');
+        } else {
+          dataset.chunks.forEach((c, i) => {
+            if (!c || typeof c.key !== 'string' || !/^[0-9a-f]{64}$/.test(String(c.sha256 || ''))) {
+              errors.push(`dataset.chunks[${i}] must have a key and a sha256`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  const columns = Array.isArray(dataset?.columns) ? dataset.columns : null;
+  for (const [list, path] of [[fields, 'dataFields'], [backFields, 'backside.dataFields']]) {
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) {
+      errors.push(`${path} must be an array`);
+      continue;
+    }
+    if (list.length && dataset === undefined) {
+      errors.push(`${path} requires a dataset`);
+    }
+    list.forEach((f, i) => validateDataField(f, i, errors, columns, path));
+  }
+
+  return errors;
+};
+
+/**
+ * Reads dataset rows by ticket index, downloading and verifying one chunk at a time.
+ * Chunks are kept in a small LRU so consecutive pages of a batch reuse them, while
+ * memory stays bounded regardless of the dataset size.
+ */
+export class DatasetReader {
+  constructor(dataset, { download = downloadFromS3, maxCachedChunks = MAX_CACHED_CHUNKS } = {}) {
+    this.dataset = dataset;
+    this.download = download;
+    this.maxCachedChunks = maxCachedChunks;
+    this.chunks = new Map();
+  }
+
+  async loadChunk(chunkIndex) {
+    if (this.chunks.has(chunkIndex)) {
+      const rows = this.chunks.get(chunkIndex);
+      this.chunks.delete(chunkIndex);
+      this.chunks.set(chunkIndex, rows);
+      return rows;
+    }
+
+    const meta = this.dataset.chunks[chunkIndex];
+    const body = Buffer.from(await this.download(meta.key));
+    if (sha256(body) !== meta.sha256) {
+      throw new Error(`Dataset chunk ${chunkIndex} failed integrity check`);
+    }
+
+    const rows = body.toString('utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    if (this.chunks.size >= this.maxCachedChunks) {
+      this.chunks.delete(this.chunks.keys().next().value);
+    }
+    this.chunks.set(chunkIndex, rows);
+    return rows;
+  }
+
+  // Map of ticketIndex → row (missing indices map to null).
+  async getRows(indices) {
+    const chunkRows = Number(this.dataset.chunkRows);
+    const out = new Map();
+    for (const idx of [...new Set(indices)].sort((a, b) => a - b)) {
+      if (!(idx >= 0 && idx < Number(this.dataset.rowCount))) {
+        out.set(idx, null);
+        continue;
+      }
+      const rows = await this.loadChunk(Math.floor(idx / chunkRows));
+      out.set(idx, rows[idx % chunkRows] || null);
+    }
+    return out;
+  }
+}
+
+export const hasDataset = (metadata) => !!metadata?.dataset && Array.isArray(metadata.dataset.chunks);
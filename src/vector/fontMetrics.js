@@ -1,12 +1,29 @@
 // Font metrics cache for baseline-aware text rendering
+
+// Parsed fontkit font behind an embedded custom font (null for the standard 14 fonts).
+const getFontFile = (pdfFont) => {
+  const font = pdfFont?.embedder?.font;
+  return font && Number(font.unitsPerEm) > 0 && Number.isFinite(Number(font.ascent)) ? font : null;
+};
 export class FontMetricsCache {
   constructor() {
     this.cache = new Map();
+    // Embedded library fonts are keyed by their parsed font object, so a re-uploaded
+    // family never reuses metrics from the previous file.
+    this.customCache = new WeakMap();
     this.fallbackLogged = new Set();
   }
 
   // Get font metrics for a specific font and size
   getMetrics(fontFamily, fontSize, pdfFont) {
+    const fontFile = getFontFile(pdfFont);
+    if (fontFile) {
+      if (!this.customCache.has(fontFile)) this.customCache.set(fontFile, new Map());
+      const bySize = this.customCache.get(fontFile);
+      if (!bySize.has(fontSize)) bySize.set(fontSize, this.calculateMetrics(fontFamily, fontSize, pdfFont));
+      return bySize.get(fontSize);
+    }
+
     const key = `${fontFamily}-${fontSize}`;
     
     if (!this.cache.has(key)) {
@@ -18,6 +35,21 @@ export class FontMetricsCache {
   }
 
   calculateMetrics(fontFamily, fontSize, pdfFont) {
+    // TrueType/OpenType: use the font's own hhea/OS2 ascent and descent.
+    const fontFile = getFontFile(pdfFont);
+    if (fontFile) {
+      const unitsPerEm = Number(fontFile.unitsPerEm);
+      const ascent = (Number(fontFile.ascent) / unitsPerEm) * fontSize;
+      const descent = (Math.abs(Number(fontFile.descent)) / unitsPerEm) * fontSize;
+
+      return {
+        ascent,
+        descent,
+        height: ascent + descent,
+        baselineOffset: descent,
+      };
+    }
+
     if (pdfFont && typeof pdfFont.heightAtSize === 'function') {
       const ascent = pdfFont.heightAtSize(fontSize, { descender: false });
       const height = pdfFont.heightAtSize(fontSize, { descender: true });
@@ -43,6 +75,7 @@ export class FontMetricsCache {
   // Clear cache (useful for testing or font changes)
   clear() {
     this.cache.clear();
+    this.customCache = new WeakMap();
   }
 }
 
@@ -1,3 +1,7 @@
+import { resolveRepeatPerPage } from './imposition.js';
+import { getNumberingOrder, isValidNumberingOrder } from './numbering.js';
+import { isBarcodeSeries } from './barcodes.js';
+
 export class VectorJobValidationError extends Error {
   constructor(message, details = null) {
     super(message);
@@ -19,16 +23,31 @@ export function assertVectorJobEnqueueable(metadata) {
     throw new VectorJobValidationError('Job exceeds max pages', { totalPages, maxPages });
   }
 
-  const repeatPerPage = Number(metadata?.layout?.repeatPerPage || 4);
+  const repeatPerPage = resolveRepeatPerPage(metadata?.layout);
   if (!Number.isFinite(repeatPerPage) || repeatPerPage < 1) {
     throw new VectorJobValidationError('Invalid repeatPerPage', { field: 'layout.repeatPerPage' });
   }
 
+  // Every numbering order maps onto 0..totalItems-1, so the range check below is order-independent.
+  const numberingOrder = getNumberingOrder(metadata?.layout);
+  if (!isValidNumberingOrder(numberingOrder)) {
+    throw new VectorJobValidationError('Invalid numberingOrder', { numberingOrder });
+  }
+
   const totalItems = totalPages * repeatPerPage;
   if (!Number.isFinite(totalItems) || totalItems < 1 || totalItems > Number.MAX_SAFE_INTEGER) {
     throw new VectorJobValidationError('Invalid total items', { totalPages, repeatPerPage });
   }
 
+  // Every ticket that prints a data field needs its dataset row.
+  const hasDataFields = [metadata?.dataFields, metadata?.backside?.dataFields].some((f) => Array.isArray(f) && f.length);
+  if (hasDataFields && Array.isArray(metadata?.dataset?.chunks)) {
+    const rowCount = Number(metadata.dataset.rowCount || 0);
+    if (rowCount < totalItems) {
+      throw new VectorJobValidationError('Dataset has fewer rows than tickets', { rowCount, totalItems });
+    }
+  }
+
   const mode = metadata?.colorMode;
   if (mode !== undefined && mode !== null && mode !== 'RGB' && mode !== 'CMYK') {
     throw new VectorJobValidationError('Invalid colorMode', { colorMode: mode });
@@ -51,6 +70,14 @@ export function assertVectorJobEnqueueable(metadata) {
             maxSeriesEnd,
           });
         }
+        // EAN-13 data is a fixed 12 digits; the padded number must never overflow its width.
+        if (isBarcodeSeries(s) && s.barcode?.type === 'ean13' && String(end).length > Number(s.padLength || 0)) {
+          throw new VectorJobValidationError('Series range does not fit EAN-13', {
+            seriesId: s.id,
+            computedEnd: end,
+            padLength: Number(s.padLength || 0),
+          });
+        }
       }
     }
   }
@@ -0,0 +1,148 @@
+// Slot imposition rules: how repeatPerPage tickets are arranged on one sheet.
+//
+// - stack:    single column, slots stacked bottom → top (original behaviour)
+// - grid:     explicit layout.columns × layout.rows
+// - best-fit: pick the columns × rows that maximizes the ticket scale for the crop aspect ratio
+//
+// Slot indices always run left → right, bottom → top, so a one-column grid is
+// identical to the stack layout.
+
+export const IMPOSITION_MODES = ['stack', 'grid', 'best-fit'];
+export const DEFAULT_IMPOSITION = 'stack';
+export const DEFAULT_REPEAT_PER_PAGE = 4;
+export const MAX_REPEAT_PER_PAGE = 16;
+
+const isPositiveInt = (v) => typeof v === 'number' && Number.isInteger(v) && v >= 1;
+
+export const getImpositionMode = (layout) => {
+  const mode = layout?.imposition;
+  return mode === undefined || mode === null ? DEFAULT_IMPOSITION : mode;
+};
+
+// Number of ticket slots on one sheet. Explicit repeatPerPage wins; an explicit
+// grid fills every cell; otherwise the backend default applies.
+export const resolveRepeatPerPage = (layout) => {
+  if (layout?.repeatPerPage !== undefined && layout?.repeatPerPage !== null) {
+    return Number(layout.repeatPerPage);
+  }
+  if (getImpositionMode(layout) === 'grid' && isPositiveInt(layout?.columns) && isPositiveInt(layout?.rows)) {
+    return layout.columns * layout.rows;
+  }
+  return DEFAULT_REPEAT_PER_PAGE;
+};
+
+// True when the slot count is pinned by the metadata (not the backend default).
+export const hasExplicitRepeatPerPage = (layout) =>
+  typeof layout?.repeatPerPage === 'number' ||
+  (getImpositionMode(layout) === 'grid' && isPositiveInt(layout?.columns) && isPositiveInt(layout?.rows));
+
+export const getImpositionErrors = (layout) => {
+  const errors = [];
+  const mode = getImpositionMode(layout);
+
+  if (!IMPOSITION_MODES.includes(mode)) {
+    errors.push(`layout.imposition must be one of ${IMPOSITION_MODES.map((m) => `"${m}"`).join(', ')}`);
+    return errors;
+  }
+
+  for (const field of ['columns', 'rows']) {
+    if (layout?.[field] !== undefined && !isPositiveInt(layout[field])) {
+      errors.push(`layout.${field} must be a positive integer`);
+    }
+  }
+
+  for (const field of ['gutterXPt', 'gutterYPt']) {
+    const v = layout?.[field];
+    if (v !== undefined && (typeof v !== 'number' || !Number.isFinite(v) || v < 0)) {
+      errors.push(`layout.${field} must be a number >= 0`);
+    }
+  }
+
+  if (mode === 'grid') {
+    if (layout?.columns === undefined && layout?.rows === undefined) {
+      errors.push('layout.columns or layout.rows is required when layout.imposition is "grid"');
+    }
+    if (isPositiveInt(layout?.columns) && isPositiveInt(layout?.rows)) {
+      const cells = layout.columns * layout.rows;
+      const repeatPerPage = resolveRepeatPerPage(layout);
+      if (Number.isFinite(repeatPerPage) && repeatPerPage > cells) {
+        errors.push(`layout.repeatPerPage (${repeatPerPage}) exceeds layout.columns × layout.rows (${cells})`);
+      }
+      if (cells > MAX_REPEAT_PER_PAGE) {
+        errors.push(`layout.columns × layout.rows must not exceed ${MAX_REPEAT_PER_PAGE}`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+const gridScale = ({ columns, rows }, usable, gutters, crop) => {
+  const cell = gridCellSize({ columns, rows }, usable, gutters);
+  return Math.min(
+    cell.width / Math.max(0.0001, Number(crop.width)),
+    cell.height / Math.max(0.0001, Number(crop.height))
+  );
+};
+
+// Gutters collapse to 0 when they would consume the whole printable area (same rule as stack spacing).
+export const gridCellSize = ({ columns, rows }, usable, gutters) => {
+  const gx = usable.width - gutters.x * (columns - 1) > 0 ? gutters.x : 0;
+  const gy = usable.height - gutters.y * (rows - 1) > 0 ? gutters.y : 0;
+  return {
+    width: (usable.width - gx * (columns - 1)) / columns,
+    height: (usable.height - gy * (rows - 1)) / rows,
+    gutterX: gx,
+    gutterY: gy,
+  };
+};
+
+// Try every column count; rows follow from the slot count. Ties prefer fewer
+// empty cells, then fewer columns (closest to the stack layout).
+export const chooseBestFitGrid = (slotCount, usable, gutters, crop) => {
+  let best = null;
+  for (let columns = 1; columns <= slotCount; columns += 1) {
+    const rows = Math.ceil(slotCount / columns);
+    const scale = gridScale({ columns, rows }, usable, gutters, crop);
+    const empty = columns * rows - slotCount;
+    const better =
+      !best ||
+      scale > best.scale + 1e-9 ||
+      (Math.abs(scale - best.scale) <= 1e-9 && empty < best.empty);
+    if (better) best = { columns, rows, scale, empty };
+  }
+  return { columns: best.columns, rows: best.rows };
+};
+
+/**
+ * Resolve the grid for one sheet.
+ * @param {object} layout job layout
+ * @param {number} slotCount resolved repeatPerPage
+ * @param {{ width: number, height: number }} usable printable area in pt
+ * @param {{ width: number, height: number }} crop ticket crop size in pt
+ * @returns {{ mode: string, columns: number, rows: number, gutters: { x: number, y: number } }}
+ */
+export const resolveImposition = (layout, slotCount, usable, crop) => {
+  const mode = getImpositionMode(layout);
+  const slotSpacing = Number.isFinite(Number(layout?.slotSpacingPt)) ? Math.max(0, Number(layout.slotSpacingPt)) : 0;
+  const gutters = {
+    x: Number.isFinite(Number(layout?.gutterXPt)) ? Math.max(0, Number(layout.gutterXPt)) : 0,
+    y: layout?.gutterYPt !== undefined && Number.isFinite(Number(layout.gutterYPt))
+      ? Math.max(0, Number(layout.gutterYPt))
+      : slotSpacing,
+  };
+
+  if (mode === 'grid') {
+    const columns = isPositiveInt(layout?.columns)
+      ? layout.columns
+      : isPositiveInt(layout?.rows) ? Math.ceil(slotCount / layout.rows) : 1;
+    const rows = isPositiveInt(layout?.rows) ? layout.rows : Math.ceil(slotCount / columns);
+    return { mode, columns, rows, gutters };
+  }
+
+  if (mode === 'best-fit') {
+    return { mode, ...chooseBestFitGrid(slotCount, usable, gutters, crop), gutters };
+  }
+
+  return { mode: 'stack', columns: 1, rows: slotCount, gutters: { x: 0, y: slotSpacing } };
+};
@@ -0,0 +1,50 @@
+// Series numbering order across imposed sheets.
+//
+// - sequential:    numbers run across each sheet, then on to the next sheet
+//                  (globalIdx = pageIdx * slotsPerPage + slotIdx)
+// - cut-and-stack: each slot position runs consecutively down the stack, so every
+//                  guillotined pile comes out in order
+//                  (globalIdx = slotIdx * totalPages + pageIdx)
+// - column-major:  like sequential, but within a sheet numbers run up each column
+//                  before moving to the next column
+
+export const NUMBERING_ORDERS = ['sequential', 'cut-and-stack', 'column-major'];
+export const DEFAULT_NUMBERING_ORDER = 'sequential';
+
+export const getNumberingOrder = (layout) => {
+  const order = layout?.numberingOrder;
+  return order === undefined || order === null ? DEFAULT_NUMBERING_ORDER : order;
+};
+
+export const isValidNumberingOrder = (order) => NUMBERING_ORDERS.includes(order);
+
+// Position of a slot within its sheet when numbers run column by column.
+const columnMajorPosition = (placements, slotIdx) => {
+  const ranked = placements
+    .map((p, i) => ({ i, column: Number(p?.column ?? 0), row: Number(p?.row ?? i) }))
+    .sort((a, b) => a.column - b.column || a.row - b.row);
+  const pos = ranked.findIndex((r) => r.i === slotIdx);
+  return pos < 0 ? slotIdx : pos;
+};
+
+/**
+ * Zero-based ticket index for one slot of one sheet.
+ * Every order is a bijection onto 0..totalPages*slotsPerPage-1, so series range checks
+ * (start + (totalItems - 1) * step) hold regardless of the order chosen.
+ */
+export const computeGlobalIndex = ({ order, pageIdx, slotIdx, slotsPerPage, totalPages, placements }) => {
+  const page = Number(pageIdx);
+  const slot = Number(slotIdx);
+  const perPage = Math.max(1, Number(slotsPerPage) || 1);
+
+  if (order === 'cut-and-stack') {
+    const pages = Math.max(1, Number(totalPages) || 1);
+    return slot * pages + page;
+  }
+
+  if (order === 'column-major' && Array.isArray(placements) && placements.length) {
+    return page * perPage + columnMajorPosition(placements.slice(0, perPage), slot);
+  }
+
+  return page * perPage + slot;
+};
@@ -0,0 +1,134 @@
+// Page size registry for imposed output sheets.
+// All dimensions are PDF points. A4 stays the default so existing jobs render unchanged.
+import { A4_WIDTH, A4_HEIGHT, SAFE_MARGIN, snap } from './constants.js';
+
+const mmToPt = (mm) => snap((mm * 72) / 25.4);
+
+export const DEFAULT_PAGE_SIZE = 'A4';
+
+export const PAGE_SIZE_PRESETS = Object.freeze({
+  A4: Object.freeze({ width: A4_WIDTH, height: A4_HEIGHT }),
+  A3: Object.freeze({ width: mmToPt(297), height: mmToPt(420) }),
+  SRA3: Object.freeze({ width: mmToPt(320), height: mmToPt(450) }),
+  LETTER: Object.freeze({ width: 612, height: 792 }),
+  LEGAL: Object.freeze({ width: 612, height: 1008 }),
+});
+
+export const CUSTOM_PAGE_SIZE = 'CUSTOM';
+
+// PDF viewers reject pages outside 3..14400 user units; keep a sane printable floor.
+export const MIN_PAGE_DIMENSION_PT = 72;
+export const MAX_PAGE_DIMENSION_PT = 14400;
+
+export const normalizePageSizeName = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_PAGE_SIZE;
+  return typeof value === 'string' ? value.trim().toUpperCase() : '';
+};
+
+const isKnownPageSizeName = (name) => name === CUSTOM_PAGE_SIZE || Object.prototype.hasOwnProperty.call(PAGE_SIZE_PRESETS, name);
+
+const normalizeMargins = (marginPt) => {
+  if (marginPt === undefined || marginPt === null) {
+    return { top: SAFE_MARGIN, right: SAFE_MARGIN, bottom: SAFE_MARGIN, left: SAFE_MARGIN };
+  }
+  if (typeof marginPt === 'number') {
+    return { top: marginPt, right: marginPt, bottom: marginPt, left: marginPt };
+  }
+  if (typeof marginPt === 'object') {
+    const pick = (side) => (marginPt[side] === undefined ? SAFE_MARGIN : marginPt[side]);
+    return { top: pick('top'), right: pick('right'), bottom: pick('bottom'), left: pick('left') };
+  }
+  return null;
+};
+
+// Collects human-readable problems with the page size fields of a layout.
+// Shared by metadata validation (error list) and resolvePageSize (throws).
+export const getPageSizeErrors = (layout) => {
+  const errors = [];
+  const name = normalizePageSizeName(layout?.pageSize);
+
+  if (!isKnownPageSizeName(name)) {
+    errors.push(
+      `layout.pageSize must be one of ${[...Object.keys(PAGE_SIZE_PRESETS), CUSTOM_PAGE_SIZE].map((n) => `"${n}"`).join(', ')}`
+    );
+  }
+
+  const hasWidth = layout?.pageWidthPt !== undefined;
+  const hasHeight = layout?.pageHeightPt !== undefined;
+  if (name === CUSTOM_PAGE_SIZE && (!hasWidth || !hasHeight)) {
+    errors.push('layout.pageWidthPt and layout.pageHeightPt are required when layout.pageSize is "CUSTOM"');
+  }
+
+  for (const [field, present] of [['pageWidthPt', hasWidth], ['pageHeightPt', hasHeight]]) {
+    if (!present) continue;
+    const v = layout[field];
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < MIN_PAGE_DIMENSION_PT || v > MAX_PAGE_DIMENSION_PT) {
+      errors.push(`layout.${field} must be a number between ${MIN_PAGE_DIMENSION_PT} and ${MAX_PAGE_DIMENSION_PT}`);
+    }
+  }
+
+  if (layout?.orientation !== undefined && !['portrait', 'landscape'].includes(layout.orientation)) {
+    errors.push('layout.orientation must be "portrait" or "landscape"');
+  }
+
+  const margins = normalizeMargins(layout?.marginPt);
+  if (!margins) {
+    errors.push('layout.marginPt must be a number or an object with top/right/bottom/left numbers');
+  } else if (Object.values(margins).some((m) => typeof m !== 'number' || !Number.isFinite(m) || m < 0)) {
+    errors.push('layout.marginPt values must be numbers >= 0');
+  }
+
+  if (!errors.length) {
+    const { width, height, margins: m } = computeGeometry(layout);
+    if (m.left + m.right >= width || m.top + m.bottom >= height) {
+      errors.push('layout.marginPt leaves no printable area on the page');
+    }
+  }
+
+  return errors;
+};
+
+// Assumes the layout already passed getPageSizeErrors().
+const computeGeometry = (layout) => {
+  const name = normalizePageSizeName(layout.pageSize);
+  const preset = PAGE_SIZE_PRESETS[name] || PAGE_SIZE_PRESETS[DEFAULT_PAGE_SIZE];
+
+  let width = layout.pageWidthPt !== undefined ? Number(layout.pageWidthPt) : preset.width;
+  let height = layout.pageHeightPt !== undefined ? Number(layout.pageHeightPt) : preset.height;
+
+  // Orientation only flips presets; explicit dimensions are taken as given.
+  const explicit = layout.pageWidthPt !== undefined || layout.pageHeightPt !== undefined;
+  if (!explicit && layout.orientation === 'landscape') {
+    [width, height] = [height, width];
+  }
+
+  return { name, width, height, margins: normalizeMargins(layout.marginPt) };
+};
+
+/**
+ * Resolve a layout's page size fields into concrete sheet geometry.
+ * Explicit pageWidthPt/pageHeightPt always win over the named preset.
+ * @returns {{ name: string, width: number, height: number, margins: { top: number, right: number, bottom: number, left: number } }}
+ */
+export const resolvePageSize = (layout = {}) => {
+  const errors = getPageSizeErrors(layout);
+  if (errors.length) {
+    throw new Error(`Invalid page size: ${errors.join('; ')}`);
+  }
+  return computeGeometry(layout);
+};
+
+/**
+ * Returns a copy of the layout with the resolved sheet geometry written out explicitly,
+ * so the HMAC-signed job metadata pins the exact stock even if presets change later.
+ */
+export const freezePageSize = (layout = {}) => {
+  const resolved = resolvePageSize(layout);
+  return {
+    ...layout,
+    pageSize: resolved.name,
+    pageWidthPt: resolved.width,
+    pageHeightPt: resolved.height,
+    marginPt: { ...resolved.margins },
+  };
+};
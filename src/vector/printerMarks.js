@@ -0,0 +1,143 @@
+// Prepress marks drawn on imposed sheets (vector-only): crop marks at each slot's
+// trim box, registration targets on the sheet edges and a slug line in the margin.
+import PDFLib from 'pdf-lib';
+import { snap } from './constants.js';
+
+const { rgb } = PDFLib;
+
+export const MAX_BLEED_PT = 72;
+
+const MARK_COLOR = rgb(0, 0, 0);
+
+const DEFAULT_CROP_MARKS = { lengthPt: 12, offsetPt: 2, strokeWidthPt: 0.25 };
+const DEFAULT_REGISTRATION = { sizePt: 10, strokeWidthPt: 0.25 };
+const DEFAULT_SLUG_FONT_SIZE = 6;
+
+const isFiniteNonNegative = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+export const resolveBleedPt = (layout) => {
+  const v = Number(layout?.bleedPt ?? 0);
+  return Number.isFinite(v) ? Math.max(0, Math.min(MAX_BLEED_PT, v)) : 0;
+};
+
+// `true` enables a mark with defaults; an object enables it with overrides.
+const resolveToggle = (value, defaults) => {
+  if (value === true) return { ...defaults };
+  if (value && typeof value === 'object') return { ...defaults, ...value };
+  return null;
+};
+
+export const resolveCropMarks = (layout) => resolveToggle(layout?.cropMarks, DEFAULT_CROP_MARKS);
+export const resolveRegistrationMarks = (layout) => resolveToggle(layout?.registrationMarks, DEFAULT_REGISTRATION);
+export const resolveSlugLine = (layout) => resolveToggle(layout?.slugLine, { fontSize: DEFAULT_SLUG_FONT_SIZE });
+
+const validateToggle = (layout, field, numericFields, errors) => {
+  const value = layout?.[field];
+  if (value === undefined || typeof value === 'boolean') return;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`layout.${field} must be a boolean or an object`);
+    return;
+  }
+  for (const key of numericFields) {
+    if (value[key] !== undefined && !isFiniteNonNegative(value[key])) {
+      errors.push(`layout.${field}.${key} must be a number >= 0`);
+    }
+  }
+};
+
+export const getPrinterMarkErrors = (layout) => {
+  const errors = [];
+
+  if (layout?.bleedPt !== undefined) {
+    if (!isFiniteNonNegative(layout.bleedPt) || layout.bleedPt > MAX_BLEED_PT) {
+      errors.push(`layout.bleedPt must be a number between 0 and ${MAX_BLEED_PT}`);
+    }
+  }
+
+  validateToggle(layout, 'cropMarks', ['lengthPt', 'offsetPt', 'strokeWidthPt'], errors);
+  validateToggle(layout, 'registrationMarks', ['sizePt', 'strokeWidthPt'], errors);
+  validateToggle(layout, 'slugLine', ['fontSize'], errors);
+
+  const slugFontSize = layout?.slugLine?.fontSize;
+  if (slugFontSize !== undefined && isFiniteNonNegative(slugFontSize) && (slugFontSize < 4 || slugFontSize > 24)) {
+    errors.push('layout.slugLine.fontSize must be between 4 and 24');
+  }
+
+  return errors;
+};
+
+const line = (page, x1, y1, x2, y2, thickness, calibrate) => {
+  const a = calibrate(x1, y1);
+  const b = calibrate(x2, y2);
+  page.drawLine({
+    start: { x: snap(a.x), y: snap(a.y) },
+    end: { x: snap(b.x), y: snap(b.y) },
+    thickness,
+    color: MARK_COLOR,
+  });
+};
+
+/**
+ * Corner crop marks around each placement's trim box (contentLeft/Bottom/Width/Height).
+ * Marks start outside the bleed so they are trimmed away with it.
+ */
+export const drawCropMarks = (page, placements, options, calibrate) => {
+  const { lengthPt, offsetPt, strokeWidthPt } = options;
+  for (const p of placements) {
+    const left = Number(p.contentLeft);
+    const bottom = Number(p.contentBottom);
+    const right = left + Number(p.contentWidth);
+    const top = bottom + Number(p.contentHeight);
+    const gap = Number(p.bleedDrawnPt || 0) + Number(offsetPt);
+
+    for (const [x, dx] of [[left, -1], [right, 1]]) {
+      for (const [y, dy] of [[bottom, -1], [top, 1]]) {
+        // Horizontal mark on the trim line, then vertical mark on the trim line.
+        line(page, x + dx * gap, y, x + dx * (gap + lengthPt), y, strokeWidthPt, calibrate);
+        line(page, x, y + dy * gap, x, y + dy * (gap + lengthPt), strokeWidthPt, calibrate);
+      }
+    }
+  }
+};
+
+const drawRegistrationTarget = (page, cx, cy, sizePt, strokeWidthPt, calibrate) => {
+  const c = calibrate(cx, cy);
+  const r = sizePt / 2;
+  page.drawCircle({
+    x: snap(c.x),
+    y: snap(c.y),
+    size: snap(r * 0.6),
+    borderColor: MARK_COLOR,
+    borderWidth: strokeWidthPt,
+  });
+  line(page, cx - r, cy, cx + r, cy, strokeWidthPt, calibrate);
+  line(page, cx, cy - r, cx, cy + r, strokeWidthPt, calibrate);
+};
+
+// Registration targets centred in the margin at the middle of each sheet edge.
+export const drawRegistrationMarks = (page, pageSize, options, calibrate) => {
+  const { width, height, margins } = pageSize;
+  const { sizePt, strokeWidthPt } = options;
+  drawRegistrationTarget(page, width / 2, height - margins.top / 2, sizePt, strokeWidthPt, calibrate);
+  drawRegistrationTarget(page, width / 2, margins.bottom / 2, sizePt, strokeWidthPt, calibrate);
+  drawRegistrationTarget(page, margins.left / 2, height / 2, sizePt, strokeWidthPt, calibrate);
+  drawRegistrationTarget(page, width - margins.right / 2, height / 2, sizePt, strokeWidthPt, calibrate);
+};
+
+export const formatSlugLine = ({ jobId, pageIdx, totalPages, timestamp }) =>
+  `JOB ${jobId || '-'}   PAGE ${Number(pageIdx) + 1}/${Number(totalPages || 1)}   ${timestamp}`;
+
+// Slug line sits in the bottom margin, left-aligned with the printable area.
+export const drawSlugLine = (page, pageSize, text, font, options, calibrate) => {
+  const { margins } = pageSize;
+  const size = Number(options.fontSize || DEFAULT_SLUG_FONT_SIZE);
+  const y = Math.max(0, margins.bottom / 2 - size / 2);
+  const c = calibrate(margins.left, y);
+  page.drawText(text, {
+    x: snap(c.x),
+    y: snap(c.y),
+    size,
+    font,
+    color: MARK_COLOR,
+  });
+};
@@ -0,0 +1,187 @@
+// Series value formatting: counter alphabet, check digit, suffix and template.
+//
+//   series.format = {
+//     counter:    'decimal' | 'base36' | 'base36-unambiguous'   (default 'decimal')
+//     checkDigit: 'none' | 'luhn' | 'mod11' | 'iso7064-mod11-10' | 'iso7064-mod37-36'
+//     suffix:     string
+//     template:   e.g. '{prefix}-{n:06}-{check}'  (default '{prefix}{n}{check}{suffix}')
+//   }
+//
+// Without a format block the value is prefix + zero-padded integer, exactly as before.
+// Check digits are computed over the padded counter (the "number" part), never the prefix.
+
+// 0-9A-Z without O, 0, I and 1 (32 symbols) so serials survive being read aloud or retyped.
+const UNAMBIGUOUS_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+export const SERIES_COUNTERS = {
+  decimal: '0123456789',
+  base36: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  'base36-unambiguous': UNAMBIGUOUS_ALPHABET,
+};
+
+const ISO7064_MOD37_36 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const digitsOnly = (s) => /^\d+$/.test(s);
+
+// Luhn (mod 10): double every second digit from the right.
+const luhn = (value) => {
+  let sum = 0;
+  for (let i = 0; i < value.length; i += 1) {
+    let d = Number(value[value.length - 1 - i]);
+    if (i % 2 === 0) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Mod 11 with weights 2..7 from the right; remainder 10 is written as "X".
+const mod11 = (value) => {
+  let sum = 0;
+  for (let i = 0; i < value.length; i += 1) {
+    sum += Number(value[value.length - 1 - i]) * ((i % 6) + 2);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+// ISO/IEC 7064 hybrid systems MOD M+1,M: numeric (11,10) and alphanumeric (37,36).
+const iso7064Hybrid = (alphabet) => (value) => {
+  const m = alphabet.length;
+  let p = m;
+  for (const ch of value) {
+    const s = (p % (m + 1)) + alphabet.indexOf(ch);
+    p = (s % m || m) * 2;
+  }
+  return alphabet[((m + 1) - (p % (m + 1))) % m];
+};
+
+// numeric: the algorithm only accepts decimal digits.
+export const CHECK_DIGITS = {
+  none: { numeric: false, compute: () => '' },
+  luhn: { numeric: true, compute: luhn },
+  mod11: { numeric: true, compute: mod11 },
+  'iso7064-mod11-10': { numeric: true, compute: iso7064Hybrid('0123456789') },
+  'iso7064-mod37-36': { numeric: false, compute: iso7064Hybrid(ISO7064_MOD37_36) },
+};
+
+export const DEFAULT_SERIES_TEMPLATE = '{prefix}{n}{check}{suffix}';
+
+const TEMPLATE_TOKEN = /\{([a-z]+)(?::(\d+))?\}/g;
+const TEMPLATE_TOKENS = ['prefix', 'n', 'check', 'suffix'];
+
+export const resolveSeriesFormat = (series) => {
+  const format = series?.format || {};
+  return {
+    counter: format.counter || 'decimal',
+    checkDigit: format.checkDigit || 'none',
+    suffix: typeof format.suffix === 'string' ? format.suffix : '',
+    template: typeof format.template === 'string' ? format.template : DEFAULT_SERIES_TEMPLATE,
+  };
+};
+
+export const encodeCounter = (number, counter) => {
+  const alphabet = SERIES_COUNTERS[counter];
+  if (counter === 'decimal') return String(number);
+  let n = Math.floor(Number(number));
+  if (n === 0) return alphabet[0];
+  let out = '';
+  while (n > 0) {
+    out = alphabet[n % alphabet.length] + out;
+    n = Math.floor(n / alphabet.length);
+  }
+  return out;
+};
+
+// Zero-padding uses the counter's own zero symbol ("2" for the unambiguous alphabet).
+const padCounter = (text, width, counter) => {
+  const w = Number(width || 0);
+  return w > 0 ? text.padStart(w, SERIES_COUNTERS[counter][0]) : text;
+};
+
+export const computeCheckDigit = (algorithm, value) => {
+  const entry = CHECK_DIGITS[algorithm] || CHECK_DIGITS.none;
+  return entry.compute(String(value));
+};
+
+/**
+ * Printed value for one ticket number. `{n}` pads to series.padLength; `{n:06}` pads to 6.
+ * The check digit is always computed over the number as padded by series.padLength.
+ */
+export const formatSeriesValue = (series, number) => {
+  const prefix = typeof series?.prefix === 'string' ? series.prefix : '';
+  if (!series?.format) {
+    const padLength = Number(series?.padLength || 0);
+    return padLength > 0 ? `${prefix}${String(number).padStart(padLength, '0')}` : `${prefix}${String(number)}`;
+  }
+
+  const format = resolveSeriesFormat(series);
+  const raw = encodeCounter(number, format.counter);
+  const padded = padCounter(raw, series.padLength, format.counter);
+  const check = computeCheckDigit(format.checkDigit, padded);
+
+  return format.template.replace(TEMPLATE_TOKEN, (token, name, width) => {
+    if (name === 'prefix') return prefix;
+    if (name === 'suffix') return format.suffix;
+    if (name === 'check') return check;
+    if (name === 'n') return width === undefined ? padded : padCounter(raw, Number(width), format.counter);
+    return token;
+  });
+};
+
+// Validation for series[i].format. `path` is e.g. "series[0]".
+export const getSeriesFormatErrors = (series, path) => {
+  const errors = [];
+  const format = series?.format;
+  if (format === undefined) return errors;
+  if (!format || typeof format !== 'object' || Array.isArray(format)) {
+    errors.push(`${path}.format must be an object`);
+    return errors;
+  }
+
+  const { counter, checkDigit, template } = resolveSeriesFormat(series);
+  const counters = Object.keys(SERIES_COUNTERS);
+  const checks = Object.keys(CHECK_DIGITS);
+
+  if (!counters.includes(counter)) {
+    errors.push(`${path}.format.counter must be one of ${counters.map((c) => `"${c}"`).join(', ')}`);
+  }
+  if (!checks.includes(checkDigit)) {
+    errors.push(`${path}.format.checkDigit must be one of ${checks.map((c) => `"${c}"`).join(', ')}`);
+  } else if (CHECK_DIGITS[checkDigit].numeric && counter !== 'decimal') {
+    errors.push(`${path}.format.checkDigit "${checkDigit}" requires format.counter "decimal"`);
+  }
+  if (format.suffix !== undefined && typeof format.suffix !== 'string') {
+    errors.push(`${path}.format.suffix must be a string`);
+  }
+
+  if (format.template !== undefined) {
+    if (typeof format.template !== 'string' || !format.template) {
+      errors.push(`${path}.format.template must be a non-empty string`);
+    } else {
+      const names = [...template.matchAll(TEMPLATE_TOKEN)].map((m) => m[1]);
+      const unknown = names.filter((n) => !TEMPLATE_TOKENS.includes(n));
+      if (unknown.length) {
+        errors.push(`${path}.format.template has unknown placeholder(s): ${unknown.map((n) => `{${n}}`).join(', ')}`);
+      }
+      if (!names.includes('n')) {
+        errors.push(`${path}.format.template must contain {n}`);
+      }
+      if (checkDigit !== 'none' && !names.includes('check')) {
+        errors.push(`${path}.format.template must contain {check} when format.checkDigit is set`);
+      }
+    }
+  }
+
+  // Alphabet counters and check digits are defined for non-negative integers only.
+  if (typeof series.start === 'number' && (series.start < 0 || !Number.isInteger(series.start))) {
+    errors.push(`${path}.start must be a non-negative integer when format is set`);
+  }
+  if (typeof series.step === 'number' && !Number.isInteger(series.step)) {
+    errors.push(`${path}.step must be an integer when format is set`);
+  }
+
+  return errors;
+};
@@ -1,5 +1,12 @@
 // Vector data contract validation - MUST MATCH EXACTLY
- 
+import { getPageSizeErrors } from './pageSizes.js';
+import { getImpositionErrors, hasExplicitRepeatPerPage, resolveRepeatPerPage } from './imposition.js';
+import { NUMBERING_ORDERS, isValidNumberingOrder } from './numbering.js';
+import { getPrinterMarkErrors } from './printerMarks.js';
+import { BACKSIDE_FLIPS, getFrontSeriesId } from './backside.js';
+import { getBarcodeErrors, isBarcodeSeries } from './barcodes.js';
+import { getSeriesFormatErrors } from './seriesFormat.js';
+import { getDatasetErrors } from './dataset.js';
 
 export const validateVectorMetadata = (metadata) => {
   const errors = [];
@@ -32,6 +39,14 @@ export const validateVectorMetadata = (metadata) => {
   } else {
     metadata.watermarks.forEach((w, i) => validateWatermark(w, i, errors));
   }
+
+  // Optional duplex back side
+  if (metadata.backside !== undefined) {
+    validateBackside(metadata.backside, metadata, errors);
+  }
+
+  // Optional variable-data dataset and the text fields that print its columns
+  getDatasetErrors(metadata).forEach((e) => errors.push(e));
   
   return {
     isValid: errors.length === 0,
@@ -39,47 +54,46 @@ export const validateVectorMetadata = (metadata) => {
   };
 };
 
-const validateTicketCrop = (ticketCrop, errors) => {
+const validateTicketCrop = (ticketCrop, errors, path = 'ticketCrop') => {
   const required = ['pageIndex', 'xRatio', 'yRatio', 'widthRatio', 'heightRatio'];
   required.forEach(field => {
     if (typeof ticketCrop[field] !== 'number') {
-      errors.push(`ticketCrop.${field} is required and must be a number`);
+      errors.push(`${path}.${field} is required and must be a number`);
     }
   });
 
   // ticketCrop is defined in SOURCE PDF coordinate space.
   // It must NOT be validated against A4 bounds here.
   if (!Number.isFinite(ticketCrop.pageIndex) || ticketCrop.pageIndex < 0) {
-    errors.push('ticketCrop.pageIndex must be a number >= 0');
+    errors.push(`${path}.pageIndex must be a number >= 0`);
   }
   if (!Number.isFinite(ticketCrop.xRatio) || !Number.isFinite(ticketCrop.yRatio)) {
-    errors.push('ticketCrop.xRatio and ticketCrop.yRatio must be finite numbers');
+    errors.push(`${path}.xRatio and ${path}.yRatio must be finite numbers`);
   }
   if (!Number.isFinite(ticketCrop.widthRatio) || ticketCrop.widthRatio <= 0) {
-    errors.push('ticketCrop.widthRatio must be a number > 0');
+    errors.push(`${path}.widthRatio must be a number > 0`);
   }
   if (!Number.isFinite(ticketCrop.heightRatio) || ticketCrop.heightRatio <= 0) {
-    errors.push('ticketCrop.heightRatio must be a number > 0');
+    errors.push(`${path}.heightRatio must be a number > 0`);
   }
 
   if (Number.isFinite(ticketCrop.xRatio) && (ticketCrop.xRatio < 0 || ticketCrop.xRatio > 1)) {
-    errors.push('ticketCrop.xRatio must be between 0 and 1');
+    errors.push(`${path}.xRatio must be between 0 and 1`);
   }
   if (Number.isFinite(ticketCrop.yRatio) && (ticketCrop.yRatio < 0 || ticketCrop.yRatio > 1)) {
-    errors.push('ticketCrop.yRatio must be between 0 and 1');
+    errors.push(`${path}.yRatio must be between 0 and 1`);
   }
   if (Number.isFinite(ticketCrop.widthRatio) && ticketCrop.widthRatio > 1) {
-    errors.push('ticketCrop.widthRatio must be <= 1');
+    errors.push(`${path}.widthRatio must be <= 1`);
   }
   if (Number.isFinite(ticketCrop.heightRatio) && ticketCrop.heightRatio > 1) {
-    errors.push('ticketCrop.heightRatio must be <= 1');
+    errors.push(`${path}.heightRatio must be <= 1`);
   }
 };
 
 const validateLayout = (layout, errors) => {
-  if (layout.pageSize !== 'A4') {
-    errors.push('layout.pageSize must be "A4"');
-  }
+  // pageSize defaults to A4; presets and custom sheets are resolved in pageSizes.js
+  getPageSizeErrors(layout).forEach((e) => errors.push(e));
   
   // repeatPerPage is backend-owned. If missing, backend defaults it.
   if (layout.repeatPerPage !== undefined) {
@@ -88,60 +102,81 @@ const validateLayout = (layout, errors) => {
     }
   }
 
+  // Slot arrangement: stack (default), explicit grid, or best-fit grid
+  getImpositionErrors(layout).forEach((e) => errors.push(e));
+
+  if (layout.numberingOrder !== undefined && !isValidNumberingOrder(layout.numberingOrder)) {
+    errors.push(`layout.numberingOrder must be one of ${NUMBERING_ORDERS.map((o) => `"${o}"`).join(', ')}`);
+  }
+
+  // Bleed, crop marks, registration marks and slug line are all optional
+  getPrinterMarkErrors(layout).forEach((e) => errors.push(e));
+
   if (typeof layout.totalPages !== 'number' || layout.totalPages < 1 || layout.totalPages > 100000) {
     errors.push('layout.totalPages must be a positive number');
   }
 };
 
-const validateSeries = (series, index, errors, layout) => {
+const validateSeries = (series, index, errors, layout, path = 'series') => {
   if (!series.id || typeof series.id !== 'string') {
-    errors.push(`series[${index}].id is required and must be a string`);
+    errors.push(`${path}[${index}].id is required and must be a string`);
   }
   
   if (typeof series.prefix !== 'string') {
-    errors.push(`series[${index}].prefix is required and must be a string`);
+    errors.push(`${path}[${index}].prefix is required and must be a string`);
   }
 
   if (series.padLength !== undefined && typeof series.padLength !== 'number') {
-    errors.push(`series[${index}].padLength must be a number when provided`);
+    errors.push(`${path}[${index}].padLength must be a number when provided`);
   }
   
-  if (typeof series.start !== 'number') {
-    errors.push(`series[${index}].start is required and must be a number`);
+  // Whole numbers only: series ranges are reserved and compared as integers.
+  if (!Number.isSafeInteger(series.start)) {
+    errors.push(`${path}[${index}].start is required and must be an integer`);
   }
   
-  if (typeof series.step !== 'number' || series.step < 1) {
-    errors.push(`series[${index}].step is required and must be a positive number`);
+  if (!Number.isSafeInteger(series.step) || series.step < 1) {
+    errors.push(`${path}[${index}].step is required and must be a positive integer`);
   }
   
-  if (!series.font || typeof series.font !== 'string') {
-    errors.push(`series[${index}].font is required and must be a string`);
+  // Text series need a font; barcode series are sized by their module size instead.
+  const barcode = isBarcodeSeries(series);
+  if (!barcode && (!series.font || typeof series.font !== 'string')) {
+    errors.push(`${path}[${index}].font is required and must be a string`);
   }
   
-  if (typeof series.fontSize !== 'number' || series.fontSize < 6 || series.fontSize > 72) {
-    errors.push(`series[${index}].fontSize must be a number between 6 and 72`);
+  if ((!barcode || series.fontSize !== undefined) && (typeof series.fontSize !== 'number' || series.fontSize < 6 || series.fontSize > 72)) {
+    errors.push(`${path}[${index}].fontSize must be a number between 6 and 72`);
+  }
+
+  getBarcodeErrors(series, `${path}[${index}]`).forEach((e) => errors.push(e));
+
+  // Counter alphabet, check digit, suffix and template
+  getSeriesFormatErrors(series, `${path}[${index}]`).forEach((e) => errors.push(e));
+  if (series.format !== undefined && barcode && series.barcode?.type === 'ean13') {
+    errors.push(`${path}[${index}].format is not supported for ean13 barcodes (EAN-13 has its own check digit)`);
   }
   
   // Optional color field validation (preserve original colors)
   if (series.color !== undefined) {
     if (typeof series.color !== 'string') {
-      errors.push(`series[${index}].color must be a string when provided`);
+      errors.push(`${path}[${index}].color must be a string when provided`);
     } else {
       // Validate color format (hex, rgb, or named color)
       if (!series.color.match(/^(#[0-9A-Fa-f]{3}|#[0-9A-Fa-f]{6}|rgb\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)|[a-zA-Z]+)$/)) {
-        errors.push(`series[${index}].color must be a valid color format (hex, rgb, or named color)`);
+        errors.push(`${path}[${index}].color must be a valid color format (hex, rgb, or named color)`);
       }
     }
   }
   
   if (!Array.isArray(series.slots)) {
-    errors.push(`series[${index}].slots must be an array`);
+    errors.push(`${path}[${index}].slots must be an array`);
   } else {
     // Slots may be provided as a single object-relative slot (broadcast to all objects)
-    // or as one-per-object when repeatPerPage is explicitly provided.
-    if (layout && typeof layout.repeatPerPage === 'number') {
-      if (series.slots.length !== 1 && series.slots.length !== layout.repeatPerPage) {
-        errors.push(`series[${index}].slots length must be 1 or equal layout.repeatPerPage`);
+    // or as one-per-object when repeatPerPage (or a full grid) is explicitly provided.
+    if (layout && hasExplicitRepeatPerPage(layout)) {
+      if (series.slots.length !== 1 && series.slots.length !== resolveRepeatPerPage(layout)) {
+        errors.push(`${path}[${index}].slots length must be 1 or equal layout.repeatPerPage`);
       }
     }
     series.slots.forEach((slot, slotIndex) => {
@@ -150,6 +185,85 @@ const validateSeries = (series, index, errors, layout) => {
   }
 };
 
+const validateBackside = (backside, metadata, errors) => {
+  if (!backside || typeof backside !== 'object' || Array.isArray(backside)) {
+    errors.push('backside must be an object when provided');
+    return;
+  }
+
+  if (!backside.ticketCrop || typeof backside.ticketCrop !== 'object') {
+    errors.push('backside.ticketCrop is required and must be an object');
+  } else {
+    validateTicketCrop(backside.ticketCrop, errors, 'backside.ticketCrop');
+  }
+
+  if (backside.flip !== undefined && !BACKSIDE_FLIPS.includes(backside.flip)) {
+    errors.push(`backside.flip must be one of ${BACKSIDE_FLIPS.map((f) => `"${f}"`).join(', ')}`);
+  }
+
+  if (backside.watermarks !== undefined) {
+    if (!Array.isArray(backside.watermarks)) {
+      errors.push('backside.watermarks must be an array');
+    } else {
+      backside.watermarks.forEach((w, i) => validateWatermark(w, i, errors, 'backside.watermarks'));
+    }
+  }
+
+  if (backside.series === undefined) return;
+  if (!Array.isArray(backside.series)) {
+    errors.push('backside.series must be an array');
+    return;
+  }
+
+  // Back numbers are inherited from the front series, so only the reference,
+  // optional styling and the slots are checked here.
+  const frontSeries = Array.isArray(metadata.series) ? metadata.series : [];
+  const frontIds = new Set(frontSeries.map((s) => s?.id));
+  const layout = metadata.layout;
+  backside.series.forEach((series, index) => {
+    const path = `backside.series[${index}]`;
+    if (!series || typeof series !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!series.id || typeof series.id !== 'string') {
+      errors.push(`${path}.id is required and must be a string`);
+    }
+    if (series.seriesId !== undefined && typeof series.seriesId !== 'string') {
+      errors.push(`${path}.seriesId must be a string when provided`);
+    }
+    if (!frontIds.has(getFrontSeriesId(series))) {
+      errors.push(`${path} must reference a front series by seriesId (or share its id)`);
+    }
+    if (series.font !== undefined && (!series.font || typeof series.font !== 'string')) {
+      errors.push(`${path}.font must be a string when provided`);
+    }
+    if (series.fontSize !== undefined && (typeof series.fontSize !== 'number' || series.fontSize < 6 || series.fontSize > 72)) {
+      errors.push(`${path}.fontSize must be a number between 6 and 72`);
+    }
+    if (series.render !== undefined || series.barcode !== undefined) {
+      const front = frontSeries.find((s) => s?.id === getFrontSeriesId(series)) || {};
+      const merged = { ...front, ...series, prefix: front.prefix, padLength: front.padLength, format: front.format };
+      getBarcodeErrors(merged, path).forEach((e) => errors.push(e));
+      if (merged.format !== undefined && isBarcodeSeries(merged) && merged.barcode?.type === 'ean13') {
+        errors.push(`${path}.barcode.type "ean13" cannot encode a formatted series`);
+      }
+    }
+    if (!Array.isArray(series.slots)) {
+      errors.push(`${path}.slots must be an array`);
+      return;
+    }
+    if (layout && hasExplicitRepeatPerPage(layout)) {
+      if (series.slots.length !== 1 && series.slots.length !== resolveRepeatPerPage(layout)) {
+        errors.push(`${path}.slots length must be 1 or equal layout.repeatPerPage`);
+      }
+    }
+    series.slots.forEach((slot, slotIndex) => {
+      validateSlot(slot, `${path}.slots[${slotIndex}]`, errors);
+    });
+  });
+};
+
 const validateSlot = (slot, path, errors) => {
   if (typeof slot.xRatio !== 'number' || typeof slot.yRatio !== 'number') {
     errors.push(`${path}.xRatio and ${path}.yRatio must be numbers`);
@@ -160,52 +274,52 @@ const validateSlot = (slot, path, errors) => {
   // This allows series to be positioned relative to the object, not the page
 };
 
-const validateWatermark = (watermark, index, errors) => {
+const validateWatermark = (watermark, index, errors, path = 'watermarks') => {
   if (!watermark.id || typeof watermark.id !== 'string') {
-    errors.push(`watermarks[${index}].id is required and must be a string`);
+    errors.push(`${path}[${index}].id is required and must be a string`);
   }
   
   if (!['text', 'svg'].includes(watermark.type)) {
-    errors.push(`watermarks[${index}].type must be "text" or "svg"`);
+    errors.push(`${path}[${index}].type must be "text" or "svg"`);
   }
   
   if (watermark.type === 'text') {
     if (!watermark.value || typeof watermark.value !== 'string') {
-      errors.push(`watermarks[${index}].value is required for text watermarks`);
+      errors.push(`${path}[${index}].value is required for text watermarks`);
     }
   }
   
   if (watermark.type === 'svg') {
     if (!watermark.svgPath || typeof watermark.svgPath !== 'string') {
-      errors.push(`watermarks[${index}].svgPath is required for SVG watermarks`);
+      errors.push(`${path}[${index}].svgPath is required for SVG watermarks`);
     }
   }
   
   if (typeof watermark.opacity !== 'number' || watermark.opacity < 0 || watermark.opacity > 1) {
-    errors.push(`watermarks[${index}].opacity must be a number between 0 and 1`);
+    errors.push(`${path}[${index}].opacity must be a number between 0 and 1`);
   }
   
   if (typeof watermark.rotate !== 'number') {
-    errors.push(`watermarks[${index}].rotate must be a number`);
+    errors.push(`${path}[${index}].rotate must be a number`);
   }
   
   // Optional color field validation (preserve original colors)
   if (watermark.color !== undefined) {
     if (typeof watermark.color !== 'string') {
-      errors.push(`watermarks[${index}].color must be a string when provided`);
+      errors.push(`${path}[${index}].color must be a string when provided`);
     } else {
       // Validate color format (hex, rgb, or named color)
       if (!watermark.color.match(/^(#[0-9A-Fa-f]{3}|#[0-9A-Fa-f]{6}|rgb\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*\)|[a-zA-Z]+)$/)) {
-        errors.push(`watermarks[${index}].color must be a valid color format (hex, rgb, or named color)`);
+        errors.push(`${path}[${index}].color must be a valid color format (hex, rgb, or named color)`);
       }
     }
   }
   
   if (!watermark.position || typeof watermark.position !== 'object') {
-    errors.push(`watermarks[${index}].position is required and must be an object`);
+    errors.push(`${path}[${index}].position is required and must be an object`);
   } else {
     if (typeof watermark.position.x !== 'number' || typeof watermark.position.y !== 'number') {
-      errors.push(`watermarks[${index}].position.x and .y must be numbers`);
+      errors.push(`${path}[${index}].position.x and .y must be numbers`);
     }
   }
 };
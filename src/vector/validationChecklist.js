@@ -3,6 +3,7 @@
 
 import { A4_WIDTH, A4_HEIGHT, SAFE_MARGIN } from './constants.js';
 import { validateVectorMetadata } from './validation.js';
+import { resolveRepeatPerPage } from './imposition.js';
 
 export class ValidationChecklist {
   constructor() {
@@ -211,7 +212,7 @@ export class ValidationChecklist {
     
     // Check series slots are compatible with repeatPerPage
     // slots may be length 1 (broadcast) or length == repeatPerPage.
-    const repeatPerPage = Number(layout?.repeatPerPage || 4);
+    const repeatPerPage = resolveRepeatPerPage(layout);
     series.forEach((seriesConfig, index) => {
       const slotCount = Array.isArray(seriesConfig?.slots) ? seriesConfig.slots.length : 0;
       if (slotCount !== 1 && slotCount !== repeatPerPage) {
@@ -1,17 +1,36 @@
 // Vector-only layout engine - NO RASTERIZATION
 import PDFLib from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
 import fs from 'fs/promises';
 import os from 'os';
 import path from 'path';
 import { spawn } from 'child_process';
-import { A4_WIDTH, A4_HEIGHT, SAFE_MARGIN, snap } from './constants.js';
+import { snap } from './constants.js';
+import { PAGE_SIZE_PRESETS, DEFAULT_PAGE_SIZE, resolvePageSize } from './pageSizes.js';
+import { MAX_REPEAT_PER_PAGE, gridCellSize, resolveImposition, resolveRepeatPerPage } from './imposition.js';
+import { computeGlobalIndex, getNumberingOrder } from './numbering.js';
+import { drawBarcode, encodeBarcode, isBarcodeSeries, resolveBarcodeOptions } from './barcodes.js';
+import { formatSeriesValue } from './seriesFormat.js';
+import { DatasetReader, hasDataset } from './dataset.js';
+import { getBacksideFlip, hasBackside, mirrorSlotPlacements, resolveBacksideSeries } from './backside.js';
+import {
+  drawCropMarks,
+  drawRegistrationMarks,
+  drawSlugLine,
+  formatSlugLine,
+  resolveBleedPt,
+  resolveCropMarks,
+  resolveRegistrationMarks,
+  resolveSlugLine,
+} from './printerMarks.js';
 import { coordinateConverter } from './coordinateUtils.js';
 import { fontMetricsCache } from './fontMetrics.js';
 import { svgRenderer } from './svgRenderer.js';
 import { downloadFromS3 } from '../services/s3.js';
+import { loadLibraryFont, resolveBuiltinFont } from '../services/fontLibrary.js';
 import VectorDocument from '../vectorModels/VectorDocument.js';
 
-const { PDFDocument, rgb, StandardFonts, pushGraphicsState, popGraphicsState, concatTransformationMatrix, degrees, rect, clip, endPath } = PDFLib;
+const { PDFDocument, rgb, pushGraphicsState, popGraphicsState, concatTransformationMatrix, degrees, rect, clip, endPath } = PDFLib;
 
 // Color parsing utilities for preserving original colors
 const parseColor = (colorValue) => {
@@ -138,26 +157,26 @@ const injectNonScalingStroke = (svgContent) => {
   return `${withoutScripts.slice(0, insertAt)}${styleTag}${withoutScripts.slice(insertAt)}`;
 };
 
-const normalizeSvgToA4 = (rawSvg) => {
+const normalizeSvgToPage = (rawSvg, pageSize = PAGE_SIZE_PRESETS[DEFAULT_PAGE_SIZE]) => {
   const raw = String(rawSvg || '');
   const vb = extractViewBoxFromSvg(raw) || extractWidthHeightFallbackViewBoxFromSvg(raw);
   if (!vb || vb.width <= 0 || vb.height <= 0) {
     throw new Error('SVG is missing a valid viewBox');
   }
 
-  const a4W = Number(A4_WIDTH);
-  const a4H = Number(A4_HEIGHT);
-  if (!Number.isFinite(a4W) || !Number.isFinite(a4H) || a4W <= 0 || a4H <= 0) {
-    throw new Error('SVG normalization failed: invalid A4 constants');
+  const pageW = Number(pageSize?.width);
+  const pageH = Number(pageSize?.height);
+  if (!Number.isFinite(pageW) || !Number.isFinite(pageH) || pageW <= 0 || pageH <= 0) {
+    throw new Error('SVG normalization failed: invalid page size');
   }
 
-  const scale = Math.min(a4W / vb.width, a4H / vb.height);
-  const tx = -vb.x * scale + (a4W - vb.width * scale) / 2;
-  const ty = -vb.y * scale + (a4H - vb.height * scale) / 2;
+  const scale = Math.min(pageW / vb.width, pageH / vb.height);
+  const tx = -vb.x * scale + (pageW - vb.width * scale) / 2;
+  const ty = -vb.y * scale + (pageH - vb.height * scale) / 2;
 
   console.log('[BACKEND:SVG_NORMALIZE]', {
     originalViewBox: { x: vb.x, y: vb.y, width: vb.width, height: vb.height, unit: 'viewBox' },
-    finalViewBox: { x: 0, y: 0, width: a4W, height: a4H, unit: 'pt' },
+    finalViewBox: { x: 0, y: 0, width: pageW, height: pageH, unit: 'pt' },
     scaleApplied: scale,
     translate: { tx, ty, unit: 'pt' },
   });
@@ -168,7 +187,7 @@ const normalizeSvgToA4 = (rawSvg) => {
 
   // Canonical rewrite of the <svg ...> open tag.
   // Keep unrelated attributes, but force these:
-  // - viewBox="0 0 595.28 841.89"
+  // - viewBox="0 0 <pageW> <pageH>" (595.28 841.89 for A4)
   // - width/height in pt
   // - xmlns present
   const existingXmlnsMatch = openTag.match(/\bxmlns\s*=\s*(['"])([^'"]+)\1/i);
@@ -182,7 +201,7 @@ const normalizeSvgToA4 = (rawSvg) => {
     .replace(/\bpreserveAspectRatio\s*=\s*(['"])([^'"]*)\1/gi, '')
     .replace(/\bxmlns\s*=\s*(['"])([^'"]*)\1/gi, '')
     .trim();
-  const nextOpenTag = `<svg xmlns="${xmlns}" viewBox="0 0 ${a4W} ${a4H}" width="${a4W}pt" height="${a4H}pt"${attrsBody ? ` ${attrsBody}` : ''}>`;
+  const nextOpenTag = `<svg xmlns="${xmlns}" viewBox="0 0 ${pageW} ${pageH}" width="${pageW}pt" height="${pageH}pt"${attrsBody ? ` ${attrsBody}` : ''}>`;
 
   const openIdx = raw.toLowerCase().indexOf(openTag.toLowerCase());
   const afterOpenIdx = openIdx + openTag.length;
@@ -196,9 +215,9 @@ const normalizeSvgToA4 = (rawSvg) => {
 
   // POST-NORMALIZATION ASSERTION (MUST CRASH ON FAIL)
   const finalVb = extractViewBoxFromSvg(rewritten);
-  if (!finalVb || finalVb.width !== a4W || finalVb.height !== a4H) {
+  if (!finalVb || finalVb.width !== pageW || finalVb.height !== pageH) {
     throw new Error(
-      `SVG normalization assertion failed: expected viewBox ${a4W}x${a4H}, got ${finalVb ? `${finalVb.width}x${finalVb.height}` : 'none'}`
+      `SVG normalization assertion failed: expected viewBox ${pageW}x${pageH}, got ${finalVb ? `${finalVb.width}x${finalVb.height}` : 'none'}`
     );
   }
 
@@ -250,9 +269,9 @@ const inkscapeSvgToPdfBytes = async (svgContent) => {
   }
 };
 
-export const svgBytesToPdfBytes = async (bytes) => {
+export const svgBytesToPdfBytes = async (bytes, pageSize) => {
   const raw = Buffer.isBuffer(bytes) ? bytes.toString('utf8') : Buffer.from(bytes).toString('utf8');
-  const normalized = normalizeSvgToA4(raw);
+  const normalized = normalizeSvgToPage(raw, pageSize);
   const injected = injectNonScalingStroke(normalized);
   return inkscapeSvgToPdfBytes(injected);
 };
@@ -264,9 +283,14 @@ export class VectorLayoutEngine {
     this._seriesPipelineFinalLogged = false;
   }
 
-  buildSlotLayoutPlan(repeatPerPage, slotSpacingPt = 0) {
+  buildSlotLayoutPlan(repeatPerPage, slotSpacingPt = 0, pageSize = resolvePageSize(), imposition = null) {
+    if (imposition && imposition.mode !== 'stack') {
+      return this.buildGridSlotLayoutPlan(repeatPerPage, pageSize, imposition);
+    }
+
     const slotsPerPage = Math.max(1, Number(repeatPerPage || 1));
-    const usableHeight = A4_HEIGHT - 2 * SAFE_MARGIN;
+    const { width: pageWidth, height: pageHeight, margins } = pageSize;
+    const usableHeight = pageHeight - margins.top - margins.bottom;
 
     const rawGap = Number(slotSpacingPt);
     const gap = Number.isFinite(rawGap) ? Math.max(0, rawGap) : 0;
@@ -280,14 +304,45 @@ export class VectorLayoutEngine {
     return new Array(slotsPerPage).fill(null).map((_, index) => {
       return {
         index,
-        x: SAFE_MARGIN,
-        y: SAFE_MARGIN + index * (slotHeight + effectiveGap),
-        width: A4_WIDTH - 2 * SAFE_MARGIN,
+        row: index,
+        column: 0,
+        x: margins.left,
+        y: margins.bottom + index * (slotHeight + effectiveGap),
+        width: pageWidth - margins.left - margins.right,
         height: slotHeight,
       };
     });
   }
 
+  // Rows × columns grid. Slot 0 is bottom-left; indices run left → right, then upwards,
+  // matching the stack order when there is a single column.
+  buildGridSlotLayoutPlan(repeatPerPage, pageSize, imposition) {
+    const slotsPerPage = Math.max(1, Number(repeatPerPage || 1));
+    const { width: pageWidth, height: pageHeight, margins } = pageSize;
+    const usable = {
+      width: pageWidth - margins.left - margins.right,
+      height: pageHeight - margins.top - margins.bottom,
+    };
+
+    const columns = Math.max(1, Number(imposition.columns || 1));
+    const rows = Math.max(1, Number(imposition.rows || 1));
+    const cell = gridCellSize({ columns, rows }, usable, imposition.gutters || { x: 0, y: 0 });
+
+    return new Array(Math.min(slotsPerPage, columns * rows)).fill(null).map((_, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      return {
+        index,
+        row,
+        column,
+        x: margins.left + column * (cell.width + cell.gutterX),
+        y: margins.bottom + row * (cell.height + cell.gutterY),
+        width: cell.width,
+        height: cell.height,
+      };
+    });
+  }
+
   /**
    * GOLDEN_RENDER_PIPELINE
    *
@@ -303,7 +358,7 @@ export class VectorLayoutEngine {
    * - Render math changes
    * - Visual changes
    */
-  async createSinglePage(metadata, pageIdx = 0) {
+  async createSinglePage(metadata, pageIdx = 0, context = {}) {
     const { sourcePdfKey, ticketCrop, layout, series, watermarks } = metadata;
 
     if (!ticketCrop || typeof ticketCrop !== 'object') {
@@ -341,15 +396,31 @@ export class VectorLayoutEngine {
     this.embeddedFonts.clear();
     this._seriesPipelineFinalLogged = false;
 
-    const page = pdf.addPage([A4_WIDTH, A4_HEIGHT]);
+    const pageSize = resolvePageSize(layout);
+    const page = pdf.addPage([pageSize.width, pageSize.height]);
 
-    const repeatPerPage = Math.max(1, Math.min(16, Number(layout?.repeatPerPage || 4)));
+    const repeatPerPage = Math.max(1, Math.min(MAX_REPEAT_PER_PAGE, resolveRepeatPerPage(layout)));
 
-    const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0);
+    const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0, pageSize, layout);
 
     await this.drawSvgWatermarks(page, watermarks.filter((w) => w.type === 'svg'), ticketCropPt, slotPlacements);
     await this.drawTextWatermarks(page, watermarks.filter((w) => w.type === 'text'), ticketCropPt, slotPlacements);
-    await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements);
+    await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements, {
+      order: getNumberingOrder(layout),
+      totalPages: Number(layout.totalPages || 1),
+    });
+
+    // Batch workers pass one reader for all their pages so dataset chunks are reused.
+    const dataset = context.dataset || (hasDataset(metadata) ? new DatasetReader(metadata.dataset) : null);
+    await this.drawDataFields(page, metadata.dataFields, pageIdx, repeatPerPage, slotPlacements, {
+      order: getNumberingOrder(layout),
+      totalPages: Number(layout.totalPages || 1),
+    }, dataset);
+    await this.drawPrinterMarks(page, layout, slotPlacements, pageSize, { ...context, pageIdx });
+
+    if (hasBackside(metadata)) {
+      await this.drawBacksidePage(pdf, sourcePdf, metadata, pageIdx, repeatPerPage, slotPlacements, pageSize, { ...context, dataset });
+    }
 
     return pdf;
   }
@@ -369,8 +440,8 @@ export class VectorLayoutEngine {
    * - Render math changes
    * - Visual changes
    */
-  // Create A4 page with vector-only content
-  async createPage(metadata) {
+  // Create output pages (A4 unless layout.pageSize says otherwise) with vector-only content
+  async createPage(metadata, context = {}) {
     const { sourcePdfKey, ticketCrop, layout, series, watermarks } = metadata;
 
     if (!ticketCrop || typeof ticketCrop !== 'object') {
@@ -381,7 +452,7 @@ export class VectorLayoutEngine {
       throw new Error('Missing ticketCrop.widthRatio');
     }
 
-    // Validate A4 bounds
+    // Validate slot metadata
     this.validateMetadata(metadata);
     
     // Load source PDF (vector-safe)
@@ -405,7 +476,7 @@ export class VectorLayoutEngine {
       height: cropH,
     };
     
-    // Create new A4 PDF
+    // Create new output PDF
     const pdf = await PDFDocument.create();
     this.pdfDoc = pdf;
     this.embeddedFonts.clear();
@@ -414,22 +485,84 @@ export class VectorLayoutEngine {
     // Process each page
     const totalPages = Number(layout.totalPages || 1);
 
-    const repeatPerPage = Math.max(1, Math.min(16, Number(layout?.repeatPerPage || 4)));
+    const repeatPerPage = Math.max(1, Math.min(MAX_REPEAT_PER_PAGE, resolveRepeatPerPage(layout)));
+    const pageSize = resolvePageSize(layout);
+    const dataset = context.dataset || (hasDataset(metadata) ? new DatasetReader(metadata.dataset) : null);
     
     for (let pageIdx = 0; pageIdx < totalPages; pageIdx++) {
-      const page = pdf.addPage([A4_WIDTH, A4_HEIGHT]);
+      const page = pdf.addPage([pageSize.width, pageSize.height]);
       
-      // Draw order: Source PDF → SVG watermarks → Text watermarks → Series numbers
-      const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0);
+      // Draw order: Source PDF → SVG watermarks → Text watermarks → Series numbers → Printer marks
+      const slotPlacements = await this.drawSourceFragment(page, sourcePdf, ticketCropPt, pageIdx, repeatPerPage, layout.slotSpacingPt || 0, pageSize, layout);
 
       await this.drawSvgWatermarks(page, watermarks.filter(w => w.type === 'svg'), ticketCropPt, slotPlacements);
       await this.drawTextWatermarks(page, watermarks.filter(w => w.type === 'text'), ticketCropPt, slotPlacements);
-      await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements);
+      await this.drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements, {
+        order: getNumberingOrder(layout),
+        totalPages,
+      });
+      await this.drawDataFields(page, metadata.dataFields, pageIdx, repeatPerPage, slotPlacements, {
+        order: getNumberingOrder(layout),
+        totalPages,
+      }, dataset);
+      await this.drawPrinterMarks(page, layout, slotPlacements, pageSize, { ...context, pageIdx });
+
+      // Duplex: the back of this sheet follows it immediately (front, back, front, back, ...)
+      if (hasBackside(metadata)) {
+        await this.drawBacksidePage(pdf, sourcePdf, metadata, pageIdx, repeatPerPage, slotPlacements, pageSize, { ...context, dataset });
+      }
     }
     
     return pdf;
   }
 
+  // Reverse of one sheet: backside crop drawn into the mirrored front boxes, with
+  // the backside watermarks and the front series numbers of the same tickets.
+  async drawBacksidePage(pdf, sourcePdf, metadata, pageIdx, repeatPerPage, frontPlacements, pageSize, context = {}) {
+    const { layout, backside } = metadata;
+    const backCrop = backside.ticketCrop;
+
+    const srcPage = sourcePdf.getPage(backCrop.pageIndex);
+    const srcW = srcPage.getWidth();
+    const srcH = srcPage.getHeight();
+
+    const backCropPt = {
+      pageIndex: backCrop.pageIndex,
+      x: backCrop.xRatio * srcW,
+      y: backCrop.yRatio * srcH,
+      width: backCrop.widthRatio * srcW,
+      height: backCrop.heightRatio * srcH,
+    };
+
+    const flip = getBacksideFlip(backside);
+    const mirroredPlan = mirrorSlotPlacements(frontPlacements, pageSize, flip);
+
+    if (pageIdx === 0) {
+      console.log('[BACKEND:BACKSIDE]', { flip, slots: mirroredPlan.length, unit: 'pt' });
+    }
+
+    const page = pdf.addPage([pageSize.width, pageSize.height]);
+    // Bleed is already part of the mirrored boxes; the back crop is fitted into them as-is.
+    const slotPlacements = await this.drawSourceFragment(page, sourcePdf, backCropPt, pageIdx, repeatPerPage, 0, pageSize, layout, mirroredPlan);
+
+    const watermarks = Array.isArray(backside.watermarks) ? backside.watermarks : [];
+    await this.drawSvgWatermarks(page, watermarks.filter((w) => w.type === 'svg'), backCropPt, slotPlacements);
+    await this.drawTextWatermarks(page, watermarks.filter((w) => w.type === 'text'), backCropPt, slotPlacements);
+
+    // Mirrored placements keep the front row/column, so every order yields the front's index.
+    await this.drawSeriesNumbers(page, resolveBacksideSeries(metadata.series, backside.series), pageIdx, repeatPerPage, slotPlacements, {
+      order: getNumberingOrder(layout),
+      totalPages: Number(layout.totalPages || 1),
+    });
+    await this.drawDataFields(page, backside.dataFields, pageIdx, repeatPerPage, slotPlacements, {
+      order: getNumberingOrder(layout),
+      totalPages: Number(layout.totalPages || 1),
+    }, context.dataset || null);
+    await this.drawPrinterMarks(page, layout, slotPlacements, pageSize, { ...context, pageIdx });
+
+    return page;
+  }
+
   async loadSourcePdf(sourcePdfKey) {
     const normalized = typeof sourcePdfKey === 'string' ? sourcePdfKey : '';
     const keyOrRef = normalized.startsWith('s3://') ? normalized.slice('s3://'.length) : normalized;
@@ -466,7 +599,8 @@ export class VectorLayoutEngine {
     return PDFDocument.load(pdfBytes);
   }
 
-  async drawSourceFragment(page, sourcePdf, ticketCrop, _pageIdx, repeatPerPage, slotSpacingPt = 0) {
+  // slotPlanOverride: pre-computed slot boxes (backside pages reuse the mirrored front boxes).
+  async drawSourceFragment(page, sourcePdf, ticketCrop, _pageIdx, repeatPerPage, slotSpacingPt = 0, pageSize = resolvePageSize(), layout = {}, slotPlanOverride = null) {
     // 1) Original PDF page is copied into the output PDF
     const [srcPage] = await this.pdfDoc.copyPages(sourcePdf, [ticketCrop.pageIndex]);
 
@@ -478,13 +612,17 @@ export class VectorLayoutEngine {
     const cropHeight = snap(ticketCrop.height);
     const cropBottom = snap(srcHeight - ticketCrop.y - ticketCrop.height);
 
+    // Bleed enlarges the embedded region around the trim box; the trim box
+    // itself stays the object used for series/watermark math.
+    const bleed = resolveBleedPt(layout);
+
     // Embed ONLY the cropped region of the source page (vector-safe)
     // This avoids overwriting other slots when the source page has background artwork.
     const embedBox = {
-      left: cropLeft,
-      bottom: cropBottom,
-      right: snap(cropLeft + cropWidth),
-      top: snap(cropBottom + cropHeight),
+      left: snap(cropLeft - bleed),
+      bottom: snap(cropBottom - bleed),
+      right: snap(cropLeft + cropWidth + bleed),
+      top: snap(cropBottom + cropHeight + bleed),
     };
 
     const embedded = await this.pdfDoc.embedPage(srcPage, embedBox);
@@ -496,12 +634,41 @@ export class VectorLayoutEngine {
       height: cropHeight,
     };
 
-    const slotLayoutPlan = this.buildSlotLayoutPlan(repeatPerPage, slotSpacingPt);
+    // Trim + bleed is what has to fit inside each slot.
+    const outerBBox = {
+      width: renderBBox.width + 2 * bleed,
+      height: renderBBox.height + 2 * bleed,
+    };
+
+    let slotLayoutPlan = slotPlanOverride;
+    if (!slotLayoutPlan) {
+      const imposition = resolveImposition(
+        { ...layout, slotSpacingPt },
+        repeatPerPage,
+        {
+          width: pageSize.width - pageSize.margins.left - pageSize.margins.right,
+          height: pageSize.height - pageSize.margins.top - pageSize.margins.bottom,
+        },
+        outerBBox
+      );
+
+      if (_pageIdx === 0 && imposition.mode !== 'stack') {
+        console.log('[BACKEND:IMPOSITION]', {
+          mode: imposition.mode,
+          columns: imposition.columns,
+          rows: imposition.rows,
+          gutters: imposition.gutters,
+          unit: 'pt',
+        });
+      }
+
+      slotLayoutPlan = this.buildSlotLayoutPlan(repeatPerPage, slotSpacingPt, pageSize, imposition);
+    }
 
     for (const layoutSlot of slotLayoutPlan) {
       const slotScale = snap(Math.min(
-        Number(layoutSlot.width) / Math.max(0.0001, Number(renderBBox.width)),
-        Number(layoutSlot.height) / Math.max(0.0001, Number(renderBBox.height))
+        Number(layoutSlot.width) / Math.max(0.0001, Number(outerBBox.width)),
+        Number(layoutSlot.height) / Math.max(0.0001, Number(outerBBox.height))
       ));
 
       if (_pageIdx === 0) {
@@ -521,7 +688,7 @@ export class VectorLayoutEngine {
       const drawX = snap(Number(layoutSlot.x) - Number(renderBBox.x) * slotScale);
       const drawY = snap(
         Number(layoutSlot.y) +
-          (Number(layoutSlot.height) - Number(renderBBox.height) * slotScale) -
+          (Number(layoutSlot.height) - Number(outerBBox.height) * slotScale) -
           Number(renderBBox.y) * slotScale
       );
 
@@ -547,21 +714,24 @@ export class VectorLayoutEngine {
 
     return slotLayoutPlan.map((layoutSlot) => {
       const slotScale = snap(Math.min(
-        Number(layoutSlot.width) / Math.max(0.0001, Number(renderBBox.width)),
-        Number(layoutSlot.height) / Math.max(0.0001, Number(renderBBox.height))
+        Number(layoutSlot.width) / Math.max(0.0001, Number(outerBBox.width)),
+        Number(layoutSlot.height) / Math.max(0.0001, Number(outerBBox.height))
       ));
 
-      const contentLeft = snap(Number(layoutSlot.x) - Number(renderBBox.x) * slotScale);
+      const contentLeft = snap(Number(layoutSlot.x) - Number(renderBBox.x) * slotScale + bleed * slotScale);
       const contentBottom = snap(
         Number(layoutSlot.y) +
-          (Number(layoutSlot.height) - Number(renderBBox.height) * slotScale) -
-          Number(renderBBox.y) * slotScale
+          (Number(layoutSlot.height) - Number(outerBBox.height) * slotScale) -
+          Number(renderBBox.y) * slotScale +
+          bleed * slotScale
       );
       const contentWidth = snap(Number(renderBBox.width) * slotScale);
       const contentHeight = snap(Number(renderBBox.height) * slotScale);
 
       return {
         index: layoutSlot.index,
+        row: layoutSlot.row,
+        column: layoutSlot.column,
         slotLeft: layoutSlot.x,
         slotBottom: layoutSlot.y,
         slotWidth: layoutSlot.width,
@@ -575,10 +745,39 @@ export class VectorLayoutEngine {
           height: snap(Number(renderBBox.height)),
         },
         slotScale,
+        bleedDrawnPt: snap(bleed * slotScale),
       };
     });
   }
 
+  // Crop marks, registration targets and slug line. Drawn last so they sit on top of the artwork.
+  async drawPrinterMarks(page, layout, slotPlacements, pageSize, { pageIdx = 0, jobId = null, createdAt = null } = {}) {
+    const calibrate = (x, y) => coordinateConverter.applyCalibration(x, y, this.calibration);
+
+    const cropMarks = resolveCropMarks(layout);
+    if (cropMarks) {
+      drawCropMarks(page, Array.isArray(slotPlacements) ? slotPlacements : [], cropMarks, calibrate);
+    }
+
+    const registration = resolveRegistrationMarks(layout);
+    if (registration) {
+      drawRegistrationMarks(page, pageSize, registration, calibrate);
+    }
+
+    const slug = resolveSlugLine(layout);
+    if (slug) {
+      const font = await this.embedFont('Helvetica');
+      const stamp = createdAt ? new Date(createdAt) : new Date();
+      const text = formatSlugLine({
+        jobId,
+        pageIdx,
+        totalPages: layout.totalPages,
+        timestamp: Number.isNaN(stamp.getTime()) ? '' : stamp.toISOString(),
+      });
+      drawSlugLine(page, pageSize, text, font, slug, calibrate);
+    }
+  }
+
   async drawSvgWatermarks(page, svgWatermarks, ticketCrop, slotPlacements) {
     for (const watermark of svgWatermarks) {
       const sanitized = svgRenderer.sanitizeSvg(watermark.svgPath);
@@ -726,9 +925,10 @@ export class VectorLayoutEngine {
     }
   }
 
-  async drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements) {
+  async drawSeriesNumbers(page, series, pageIdx, repeatPerPage, slotPlacements, numbering = {}) {
     for (const seriesConfig of series) {
-      const font = await this.embedFont(seriesConfig.font || 'Helvetica');
+      const barcode = isBarcodeSeries(seriesConfig) ? resolveBarcodeOptions(seriesConfig) : null;
+      const font = barcode ? null : await this.embedFont(seriesConfig.font || 'Helvetica');
       
       const placements = Array.isArray(slotPlacements) ? slotPlacements : [];
       const slotDefs = Array.isArray(seriesConfig.slots) ? seriesConfig.slots : [];
@@ -740,14 +940,17 @@ export class VectorLayoutEngine {
 
         if (!slot) continue;
         
-        // O(1) arithmetic progression
-        const globalIdx = pageIdx * repeatPerPage + slotIdx;
+        // O(1) arithmetic progression (index depends on layout.numberingOrder)
+        const globalIdx = computeGlobalIndex({
+          order: numbering.order,
+          pageIdx,
+          slotIdx,
+          slotsPerPage: repeatPerPage,
+          totalPages: numbering.totalPages,
+          placements,
+        });
         const seriesNumber = seriesConfig.start + (globalIdx * seriesConfig.step);
-        const padLength = Number(seriesConfig.padLength || 0);
-        const prefix = typeof seriesConfig.prefix === 'string' ? seriesConfig.prefix : '';
-        const seriesValue = padLength > 0
-          ? `${prefix}${String(seriesNumber).padStart(padLength, '0')}`
-          : `${prefix}${String(seriesNumber)}`;
+        const seriesValue = formatSeriesValue(seriesConfig, seriesNumber);
         
         const xRatio = Number(slot.xRatio);
         const yRatio = Number(slot.yRatio);
@@ -760,6 +963,11 @@ export class VectorLayoutEngine {
           throw new Error('Invalid objectBBoxPt for series placement');
         }
 
+        if (barcode) {
+          this.drawSeriesBarcode(page, seriesConfig, barcode, seriesValue, placement, { xRatio, yRatio }, objectBBoxPt);
+          continue;
+        }
+
         const textTopLeftPt = {
           x: xRatio * objectBBoxPt.width,
           y: yRatio * objectBBoxPt.height,
@@ -851,6 +1059,94 @@ export class VectorLayoutEngine {
     }
   }
 
+  // Variable-data text: each slot prints its ticket's column value, positioned like a text series
+  // (slot ratio = top-left of the text box). Ticket index follows layout.numberingOrder.
+  async drawDataFields(page, fields, pageIdx, repeatPerPage, slotPlacements, numbering = {}, dataset = null) {
+    if (!Array.isArray(fields) || !fields.length) return;
+    if (!dataset) {
+      throw new Error('dataFields require a dataset');
+    }
+
+    const placements = Array.isArray(slotPlacements) ? slotPlacements : [];
+    const maxSlots = Math.min(placements.length, Number(repeatPerPage) || placements.length);
+    const ticketIndices = [];
+    for (let slotIdx = 0; slotIdx < maxSlots; slotIdx++) {
+      ticketIndices.push(computeGlobalIndex({
+        order: numbering.order,
+        pageIdx,
+        slotIdx,
+        slotsPerPage: repeatPerPage,
+        totalPages: numbering.totalPages,
+        placements,
+      }));
+    }
+    const rows = await dataset.getRows(ticketIndices);
+
+    for (const field of fields) {
+      const fontFamily = field.font || 'Helvetica';
+      const font = await this.embedFont(fontFamily);
+      const fontSizePt = Number(field.fontSize);
+      const metrics = fontMetricsCache.getMetrics(fontFamily, fontSizePt, font);
+      const color = parseColor(field.color || '#000000');
+
+      for (let slotIdx = 0; slotIdx < maxSlots; slotIdx++) {
+        const slot = field.slots.length === 1 ? field.slots[0] : field.slots[slotIdx];
+        const value = rows.get(ticketIndices[slotIdx])?.[field.column];
+        if (!slot || value === undefined || value === null || value === '') continue;
+
+        const placement = placements[slotIdx];
+        const slotScale = Number(placement?.slotScale ?? 0);
+        const objectW = Number(placement?.objectBBoxPt?.width ?? 0);
+        const objectH = Number(placement?.objectBBoxPt?.height ?? 0);
+        if (!(slotScale > 0) || !(objectW > 0) || !(objectH > 0)) {
+          throw new Error('Invalid slot placement for data field');
+        }
+
+        const objectLeft = Number(placement?.contentLeft ?? placement?.slotLeft ?? 0);
+        const objectTopY = Number(placement?.contentBottom ?? placement?.slotBottom ?? 0) + (objectH * slotScale);
+        const x = objectLeft + (Number(slot.xRatio) * objectW * slotScale);
+        const y = objectTopY - ((Number(slot.yRatio) * objectH + metrics.ascent) * slotScale);
+
+        const calibrated = coordinateConverter.applyCalibration(x, y, this.calibration);
+        page.drawText(String(value), {
+          x: calibrated.x,
+          y: calibrated.y,
+          size: fontSizePt * slotScale,
+          font,
+          color,
+        });
+      }
+    }
+  }
+
+  // Barcode series: the slot ratio places the top-left of the quiet-zone box, exactly
+  // where a text series would put the top-left of its text.
+  drawSeriesBarcode(page, seriesConfig, barcode, seriesValue, placement, { xRatio, yRatio }, objectBBoxPt) {
+    const slotScale = Number(placement?.slotScale ?? 0);
+    if (!Number.isFinite(slotScale) || slotScale <= 0) {
+      throw new Error('Invalid slotScale for series placement');
+    }
+
+    const objectLeft = Number(placement?.contentLeft ?? placement?.slotLeft ?? 0);
+    const objectBottom = Number(placement?.contentBottom ?? placement?.slotBottom ?? 0);
+    const objectTopY = objectBottom + (objectBBoxPt.height * slotScale);
+
+    const encoded = encodeBarcode(barcode.type, seriesValue, barcode);
+    drawBarcode(
+      page,
+      encoded,
+      {
+        left: objectLeft + (xRatio * objectBBoxPt.width * slotScale),
+        top: objectTopY - (yRatio * objectBBoxPt.height * slotScale),
+        moduleSize: barcode.moduleSizePt * slotScale,
+        height: Number(barcode.heightPt) * slotScale,
+        quietZone: barcode.quietZoneModules,
+        color: parseColor(seriesConfig.color || '#000000'),
+      },
+      (x, y) => coordinateConverter.applyCalibration(x, y, this.calibration)
+    );
+  }
+
   async embedFont(fontFamily) {
     if (!this.embeddedFonts.has(fontFamily)) {
       const font = await this.loadFont(fontFamily);
@@ -865,22 +1161,26 @@ export class VectorLayoutEngine {
       throw new Error('PDFDocument not initialized');
     }
 
-    const name = (fontFamily || '').toLowerCase();
-    if (name.includes('times')) return this.pdfDoc.embedFont(StandardFonts.TimesRoman);
-    if (name.includes('courier')) return this.pdfDoc.embedFont(StandardFonts.Courier);
-    return this.pdfDoc.embedFont(StandardFonts.Helvetica);
+    const builtin = resolveBuiltinFont(fontFamily);
+    if (builtin) return this.pdfDoc.embedFont(builtin);
+
+    // Anything else must be in the font library; never fall back to Helvetica silently.
+    const { record, bytes } = await loadLibraryFont(fontFamily);
+    this.pdfDoc.registerFontkit(fontkit);
+    return this.pdfDoc.embedFont(bytes, { subset: record.subset !== false });
   }
 
   validateMetadata(metadata) {
     const { ticketCrop, layout, series, watermarks } = metadata;
 
     // ticketCrop is defined in SOURCE PDF coordinate space.
-    // It must NOT be validated against A4 bounds.
-    // A4 constraints are enforced only during layout in drawSourceFragment().
+    // It must NOT be validated against output page bounds.
+    // Page size constraints are enforced only during layout in drawSourceFragment().
     
     // Validate series slots are now object-relative (no page bounds validation needed)
     // Series slots should be relative to object bbox, not page coordinates
-    for (const s of series) {
+    const backSeries = hasBackside(metadata) && Array.isArray(metadata.backside.series) ? metadata.backside.series : [];
+    for (const s of [...series, ...backSeries]) {
       for (const slot of s.slots) {
         if (typeof slot.xRatio !== 'number' || typeof slot.yRatio !== 'number') {
           throw new Error('Series slot xRatio and yRatio must be numbers');
@@ -889,6 +1189,13 @@ export class VectorLayoutEngine {
         // No A4 bounds validation for object-relative series slots
       }
     }
+
+    if (hasBackside(metadata)) {
+      const backCrop = metadata.backside.ticketCrop;
+      if (!backCrop || typeof backCrop !== 'object' || !Number.isFinite(backCrop.widthRatio)) {
+        throw new Error('Missing backside.ticketCrop');
+      }
+    }
   }
 }
 
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const datasetChunkSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    sha256: { type: String, required: true },
+    firstRow: { type: Number, required: true },
+    rows: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Variable-data rows (seat, name, gate, ...) stored in S3 as fixed-size JSONL chunks.
+// Chunk hashes are copied into the signed job metadata, so workers can verify each
+// chunk they stream without loading the whole dataset.
+const datasetSchema = new mongoose.Schema(
+  {
+    originalName: { type: String, default: null },
+    sourceFormat: { type: String, enum: ['csv', 'jsonl'], required: true },
+    columns: { type: [String], default: [] },
+    rowCount: { type: Number, required: true },
+    chunkRows: { type: Number, required: true },
+    chunks: { type: [datasetChunkSchema], default: [] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true, collection: 'vector_datasets' }
+);
+
+const VectorDataset = mongoose.models.VectorDataset || mongoose.model('VectorDataset', datasetSchema);
+
+export default VectorDataset;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+export const DEVICE_STATUSES = ['PENDING', 'APPROVED', 'REVOKED'];
+
+// A print client enrolled by a user. The client keeps the private key; only the public
+// key is stored here. Devices can print only once an admin has APPROVED them.
+const deviceSchema = new mongoose.Schema(
+  {
+    deviceId: { type: String, required: true, unique: true, trim: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, default: '', trim: true },
+    // SPKI PEM, Ed25519 or ECDSA P-256.
+    publicKey: { type: String, required: true },
+    keyType: { type: String, enum: ['ed25519', 'p256'], required: true },
+    keyFingerprint: { type: String, required: true },
+    status: { type: String, enum: DEVICE_STATUSES, default: 'PENDING', index: true },
+    approvedAt: { type: Date, default: null },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revokeReason: { type: String, default: null },
+    lastSeenAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: 'vector_devices' }
+);
+
+const VectorDevice = mongoose.models.VectorDevice || mongoose.model('VectorDevice', deviceSchema);
+
+export default VectorDevice;
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Single-use challenge a device signs together with a print id. Deleted when used;
+// the TTL index clears the ones that never are.
+const deviceNonceSchema = new mongoose.Schema(
+  {
+    nonce: { type: String, required: true, unique: true },
+    deviceId: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ['request', 'fetch'], required: true },
+    printId: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, collection: 'vector_device_nonces' }
+);
+
+deviceNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const VectorDeviceNonce = mongoose.models.VectorDeviceNonce || mongoose.model('VectorDeviceNonce', deviceNonceSchema);
+
+export default VectorDeviceNonce;
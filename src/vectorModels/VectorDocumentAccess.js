@@ -1,5 +1,37 @@
 import mongoose from 'mongoose';
 
+// What one unit of quota pays for: a whole document copy, or a single printed page.
+export const QUOTA_UNITS = ['document', 'page'];
+
+const rateLimitSchema = new mongoose.Schema(
+  {
+    windowSeconds: { type: Number, required: true },
+    maxPrints: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Prints inside the longest rate-limit window, pruned on every consume.
+const recentPrintSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    units: { type: Number, default: 1 },
+    requestId: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Admin changes to the assignment (top-ups, removals, transfers, revocation).
+const accessAuditSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    event: { type: String, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
 const documentAccessSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -9,7 +41,19 @@ const documentAccessSchema = new mongoose.Schema(
     printQuota: { type: Number, default: null },
     printsUsed: { type: Number, default: 0 },
     lastPrintAt: { type: Date, default: null },
+    quotaUnit: { type: String, enum: QUOTA_UNITS, default: 'document' },
+    // Set when this access draws from a shared VectorQuotaPool instead of printQuota.
+    poolId: { type: mongoose.Schema.Types.ObjectId, ref: 'VectorQuotaPool', default: null, index: true },
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+    rateLimits: { type: [rateLimitSchema], default: [] },
+    recentPrints: { type: [recentPrintSchema], default: [] },
+    // Devices (VectorDevice.deviceId) allowed to print this assignment; empty = any approved device.
+    allowedDeviceIds: { type: [String], default: [] },
     revoked: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    audit: { type: [accessAuditSchema], default: [] },
     sessionToken: { type: String, index: true, unique: true, sparse: true },
   },
   { timestamps: true, collection: 'vector_documentaccesses' }
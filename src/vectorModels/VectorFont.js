@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Admin-uploaded TrueType/OpenType fonts available to series numbers and text watermarks.
+const fontSchema = new mongoose.Schema(
+  {
+    family: { type: String, required: true },
+    familyKey: { type: String, required: true, unique: true }, // lowercased family, used for lookups
+    fileKey: { type: String, required: true },
+    fileUrl: { type: String, required: true },
+    format: { type: String, enum: ['ttf', 'otf'], required: true },
+    originalName: { type: String, default: null },
+    postscriptName: { type: String, default: null },
+    sizeBytes: { type: Number, required: true },
+    sha256: { type: String, required: true },
+    subset: { type: Boolean, default: true },
+    unitsPerEm: { type: Number, required: true },
+    ascent: { type: Number, required: true },
+    descent: { type: Number, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true, collection: 'vector_fonts' }
+);
+
+const VectorFont = mongoose.models.VectorFont || mongoose.model('VectorFont', fontSchema);
+
+export default VectorFont;
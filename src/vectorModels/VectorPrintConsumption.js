@@ -1,17 +1,42 @@
 import mongoose from 'mongoose';
 
+// Append-only quota ledger. For one (documentId, userId) the expected printsUsed is the
+// units of the latest RESET plus every CONSUME minus every REFUND recorded after it.
+export const LEDGER_ENTRY_TYPES = ['CONSUME', 'REFUND', 'RESET'];
+
 const printConsumptionSchema = new mongoose.Schema(
   {
     documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true, index: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     requestId: { type: String, required: true },
+    type: { type: String, enum: LEDGER_ENTRY_TYPES, default: 'CONSUME' },
+    // CONSUME/REFUND: units moved; RESET: the value printsUsed was set to.
+    units: { type: Number, default: 1 },
+    poolId: { type: mongoose.Schema.Types.ObjectId, ref: 'VectorQuotaPool', default: null },
+    // 'redis' | 'db' for consumptions, 'admin' | 'reconcile' for resets.
+    source: { type: String, default: null },
+    reason: { type: String, default: null },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     remainingAfter: { type: Number, default: null },
     consumedAt: { type: Date, default: Date.now },
   },
   { timestamps: true, collection: 'vector_print_consumptions' }
 );
 
-printConsumptionSchema.index({ documentId: 1, userId: 1, requestId: 1 }, { unique: true });
+// One entry of each type per request: replays are rejected by the index, not by callers.
+printConsumptionSchema.index(
+  { documentId: 1, userId: 1, requestId: 1, type: 1 },
+  { unique: true, name: 'documentId_1_userId_1_requestId_1_type_1' }
+);
+printConsumptionSchema.index({ documentId: 1, userId: 1, consumedAt: 1 });
+
+const rejectMutation = function rejectMutation(next) {
+  next(new Error('vector_print_consumptions is append-only'));
+};
+printConsumptionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
 
 const VectorPrintConsumption =
   mongoose.models.VectorPrintConsumption || mongoose.model('VectorPrintConsumption', printConsumptionSchema);
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Render queue tiers, highest first (mapped to BullMQ priorities in vectorPdfWorker).
+export const JOB_PRIORITIES = ['urgent', 'normal', 'bulk'];
+
 const auditEntrySchema = new mongoose.Schema(
   {
     at: { type: Date, default: Date.now },
@@ -9,6 +12,23 @@ const auditEntrySchema = new mongoose.Schema(
   { _id: false }
 );
 
+// One rendered page range and where its partial PDF lives (see services/renderArtifacts).
+// Retries skip ranges that already have a checkpoint.
+const batchCheckpointSchema = new mongoose.Schema(
+  {
+    startPage: { type: Number, required: true },
+    endPage: { type: Number, required: true },
+    artifact: {
+      store: { type: String, enum: ['s3', 'disk'], required: true },
+      key: { type: String, required: true },
+      sha256: { type: String, required: true },
+      size: { type: Number, default: 0 },
+    },
+    renderedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const printJobSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -21,11 +41,19 @@ const printJobSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ['PENDING', 'RUNNING', 'DONE', 'FAILED', 'EXPIRED'],
+      // PAUSED and CANCELLED are set from the job control endpoints (see vectorJobRoutes).
+      enum: ['PENDING', 'RUNNING', 'PAUSED', 'DONE', 'FAILED', 'CANCELLED', 'EXPIRED'],
       default: 'PENDING',
       index: true,
     },
 
+    priority: { type: String, enum: JOB_PRIORITIES, default: 'normal' },
+
+    // BullMQ id of the flow's merge job; its children are the page batches.
+    flowJobId: { type: String, default: null },
+
+    batches: { type: [batchCheckpointSchema], default: [] },
+
     progress: { type: Number, default: 0 },
     totalPages: { type: Number, default: 1 },
 
@@ -45,6 +73,9 @@ const printJobSchema = new mongoose.Schema(
   { timestamps: true, collection: 'vector_printjobs' }
 );
 
+// Serial lookups for print verification.
+printJobSchema.index({ 'metadata.serial': 1 }, { sparse: true });
+
 const VectorPrintJob = mongoose.models.VectorPrintJob || mongoose.model('VectorPrintJob', printJobSchema);
 
 export default VectorPrintJob;
@@ -10,6 +10,14 @@ const printLogSchema = new mongoose.Schema(
   { timestamps: true, collection: 'vector_printlogs' }
 );
 
+printLogSchema.index({ 'meta.serial': 1 }, { sparse: true });
+printLogSchema.index({ 'meta.printId': 1 }, { sparse: true });
+// At most one reprint request per print.
+printLogSchema.index(
+  { 'meta.kind': 1, 'meta.printId': 1 },
+  { unique: true, partialFilterExpression: { 'meta.kind': 'REPRINT_REQUEST' } }
+);
+
 const VectorPrintLog = mongoose.models.VectorPrintLog || mongoose.model('VectorPrintLog', printLogSchema);
 
 export default VectorPrintLog;
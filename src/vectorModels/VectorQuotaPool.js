@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const poolMemberSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Most units this member may draw from the pool; null = only bounded by the pool.
+    cap: { type: Number, default: null },
+    used: { type: Number, default: 0 },
+    addedAt: { type: Date, default: Date.now },
+    // Removed members keep their row so pool.used still reconciles with member usage.
+    removedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Print quota for one document shared by several users. Accesses that point at a pool
+// (VectorDocumentAccess.poolId) draw from `totalQuota` instead of their own printQuota.
+// `version` is bumped on every write so the DB fallback can check-and-consume atomically.
+const quotaPoolSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true, index: true },
+    totalQuota: { type: Number, required: true },
+    used: { type: Number, default: 0 },
+    members: { type: [poolMemberSchema], default: [] },
+    active: { type: Boolean, default: true },
+    version: { type: Number, default: 0 },
+    lastReconciledAt: { type: Date, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true, collection: 'vector_quota_pools' }
+);
+
+quotaPoolSchema.index({ 'members.userId': 1 });
+
+const VectorQuotaPool = mongoose.models.VectorQuotaPool || mongoose.model('VectorQuotaPool', quotaPoolSchema);
+
+export default VectorQuotaPool;
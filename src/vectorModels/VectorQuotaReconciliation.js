@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const discrepancySchema = new mongoose.Schema(
+  {
+    accessId: { type: mongoose.Schema.Types.ObjectId, ref: 'VectorDocumentAccess', required: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // PRINTS_USED: Mongo counter differs from the ledger; REDIS_REMAINING: cached hash
+    // differs from quota - ledger usage; REDIS_STALE: cached hash for a revoked access.
+    kind: { type: String, enum: ['PRINTS_USED', 'REDIS_REMAINING', 'REDIS_STALE'], required: true },
+    expected: { type: Number, default: null },
+    actual: { type: Number, default: null },
+    repaired: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// One run of the quota reconciliation job (scheduled or admin-triggered).
+const quotaReconciliationSchema = new mongoose.Schema(
+  {
+    trigger: { type: String, enum: ['schedule', 'admin'], default: 'schedule' },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    dryRun: { type: Boolean, default: false },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, default: null },
+    checked: { type: Number, default: 0 },
+    skippedActive: { type: Number, default: 0 },
+    adopted: { type: Number, default: 0 },
+    repaired: { type: Number, default: 0 },
+    discrepancyCount: { type: Number, default: 0 },
+    discrepancies: { type: [discrepancySchema], default: [] },
+    error: { type: String, default: null },
+  },
+  { timestamps: true, collection: 'vector_quota_reconciliations' }
+);
+
+quotaReconciliationSchema.index({ startedAt: -1 });
+
+const VectorQuotaReconciliation =
+  mongoose.models.VectorQuotaReconciliation || mongoose.model('VectorQuotaReconciliation', quotaReconciliationSchema);
+
+export default VectorQuotaReconciliation;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One issued range of a series: start, start + step, ..., end.
+const seriesRangeSchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'VectorPrintJob', required: true },
+    documentId: { type: String, default: null },
+    seriesId: { type: String, required: true },
+    start: { type: Number, required: true },
+    end: { type: Number, required: true },
+    step: { type: Number, required: true },
+    count: { type: Number, required: true },
+    // RESERVED and VOID block reuse; RELEASED numbers may be issued again.
+    status: { type: String, enum: ['RESERVED', 'RELEASED', 'VOID'], default: 'RESERVED' },
+    reservedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reservedAt: { type: Date, default: Date.now },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    releasedAt: { type: Date, default: null },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    voidedAt: { type: Date, default: null },
+    reason: { type: String, default: null },
+  },
+  { _id: true }
+);
+
+// Ledger of issued ranges for one series prefix. `version` is bumped on every write so
+// reservations can check-and-append atomically without a transaction.
+const seriesLedgerSchema = new mongoose.Schema(
+  {
+    prefix: { type: String, default: '', unique: true },
+    version: { type: Number, default: 0 },
+    ranges: { type: [seriesRangeSchema], default: [] },
+  },
+  { timestamps: true, collection: 'vector_series_ledgers' }
+);
+
+seriesLedgerSchema.index({ 'ranges._id': 1 });
+seriesLedgerSchema.index({ 'ranges.jobId': 1 });
+
+const VectorSeriesLedger =
+  mongoose.models.VectorSeriesLedger || mongoose.model('VectorSeriesLedger', seriesLedgerSchema);
+
+export default VectorSeriesLedger;
@@ -1,11 +1,15 @@
-import { FlowProducer, Worker } from 'bullmq';
-import { connection, VECTOR_PDF_QUEUE_NAME } from '../../queues/vectorQueue.js';
+import { DelayedError, FlowProducer, Job, Worker } from 'bullmq';
+import { connection, getVectorPdfQueue, VECTOR_PDF_QUEUE_NAME } from '../../queues/vectorQueue.js';
+import mongoose from 'mongoose';
 import VectorPrintJob from '../vectorModels/VectorPrintJob.js';
 import { validateVectorMetadata } from '../vector/validation.js';
 import { vectorLayoutEngine } from '../vector/vectorLayoutEngine.js';
+import { DatasetReader, hasDataset } from '../vector/dataset.js';
 import { uploadToS3WithKey } from '../services/s3.js';
 import { verifyJobPayload } from '../services/hmac.js';
 import { getRedisClient } from '../services/redisClient.js';
+import { deleteJobArtifacts, readBatchArtifact, writeBatchArtifact } from '../services/renderArtifacts.js';
+import { publishJobEvent } from '../services/jobEvents.js';
 import PDFLib from 'pdf-lib';
 import crypto from 'crypto';
 
@@ -44,11 +48,13 @@ export const getVectorFlowProducer = () => {
 const lockKey = (documentId) => `vector:render:lock:${documentId}`;
 const activeKey = () => 'vector:render:active';
 const memberKey = (jobId) => `vector:render:active:${jobId}`;
+const userActiveKey = (userId) => `vector:render:user-active:${userId}`;
 
 const RELEASE_RENDER_LOCK_LUA = `
 -- KEYS[1] = lock key
 -- KEYS[2] = active counter key
 -- KEYS[3] = membership key
+-- KEYS[4] = per-user active counter key
 -- ARGV[1] = jobId
 
 local cur = redis.call('GET', KEYS[1])
@@ -62,12 +68,16 @@ if redis.call('EXISTS', KEYS[3]) == 1 then
   if active and active > 0 then
     redis.call('DECR', KEYS[2])
   end
+  local userActive = tonumber(redis.call('GET', KEYS[4]) or '0')
+  if userActive and userActive > 0 then
+    redis.call('DECR', KEYS[4])
+  end
 end
 
 return 1
 `;
 
-const releaseRenderLock = async ({ documentId, printJobId }) => {
+const releaseRenderLock = async ({ documentId, printJobId, userId }) => {
   const redis = getRedisClient();
   if (!redis) return;
   if (!documentId || !printJobId) return;
@@ -75,10 +85,11 @@ const releaseRenderLock = async ({ documentId, printJobId }) => {
   try {
     await redis.eval(
       RELEASE_RENDER_LOCK_LUA,
-      3,
+      4,
       lockKey(documentId),
       activeKey(),
       memberKey(printJobId),
+      userActiveKey(userId),
       String(printJobId)
     );
   } catch {
@@ -86,7 +97,153 @@ const releaseRenderLock = async ({ documentId, printJobId }) => {
   }
 };
 
-export const enqueueVectorJobFlow = async ({ printJobId, totalPages }) => {
+const renderDocumentId = (jobDoc) =>
+  String(jobDoc?.metadata?.documentId || jobDoc?.metadata?.sourcePdfKey || jobDoc?.sourcePdfKey || '').trim();
+
+// The control endpoints only write the job status; workers re-read it between pages.
+const readJobStatus = async (printJobId) => {
+  const doc = await VectorPrintJob.findById(printJobId).select('status').lean().exec();
+  return doc?.status || null;
+};
+
+// A paused job's batches park in the delayed set (no attempt is used up) until the
+// recheck delay passes or resume promotes them. The pause endpoint releases the job's
+// render lock and resume re-acquires it, so nothing needs refreshing while parked.
+const parkPausedJob = async (job, token) => {
+  const recheckMs = Math.max(1000, Number(process.env.VECTOR_PAUSE_RECHECK_MS || 30000));
+  await job.moveToDelayed(Date.now() + recheckMs, token);
+  throw new DelayedError();
+};
+
+const loadFlowJob = async (jobDoc) => {
+  const queue = getVectorPdfQueue();
+  if (!queue || !jobDoc?.flowJobId) return null;
+  return (await Job.fromId(queue, String(jobDoc.flowJobId))) || null;
+};
+
+/**
+ * Tear down the BullMQ flow of a job already marked CANCELLED: pending batches and the
+ * merge are removed, the render lock is released and batch artifacts are deleted. A batch
+ * that is mid-render cannot be removed; it stops before its next page and the merge then skips.
+ */
+export const cancelVectorJobFlow = async (jobDoc) => {
+  let flowRemoved = false;
+  try {
+    const merge = await loadFlowJob(jobDoc);
+    if (merge) {
+      await merge.removeUnprocessedChildren();
+      await merge.remove();
+      flowRemoved = true;
+    }
+  } catch (e) {
+    console.warn('[vectorPdfWorker] Flow not fully removed on cancel', String(jobDoc._id), e?.message || e);
+  }
+
+  await releaseRenderLock({ documentId: renderDocumentId(jobDoc), printJobId: String(jobDoc._id), userId: String(jobDoc.userId) });
+  await deleteJobArtifacts(jobDoc._id);
+  await VectorPrintJob.updateOne({ _id: jobDoc._id }, { $set: { batches: [] } }).exec();
+  return { flowRemoved };
+};
+
+/**
+ * Wake the parked batches (and merge) of a job that was just resumed instead of waiting
+ * out VECTOR_PAUSE_RECHECK_MS.
+ */
+export const resumeVectorJobFlow = async (jobDoc) => {
+  const merge = await loadFlowJob(jobDoc).catch(() => null);
+  if (!merge) return { promoted: 0 };
+
+  const candidates = [merge];
+  const deps = await merge.getDependencies({ unprocessed: { count: 1000 } }).catch(() => null);
+  for (const key of deps?.unprocessed || []) {
+    const child = await Job.fromId(getVectorPdfQueue(), String(key).split(':').pop()).catch(() => null);
+    if (child) candidates.push(child);
+  }
+
+  let promoted = 0;
+  for (const job of candidates) {
+    try {
+      if (await job.isDelayed()) {
+        await job.promote();
+        promoted += 1;
+      }
+    } catch {
+      // already picked up
+    }
+  }
+  return { promoted };
+};
+
+/**
+ * Start a new flow for a FAILED job. The old flow is removed; batches with a checkpoint
+ * return their stored artifact without rendering, so only missing ranges and the merge run.
+ */
+export const retryVectorJobFlow = async (jobDoc) => {
+  try {
+    const previous = await loadFlowJob(jobDoc);
+    if (previous) await previous.remove();
+  } catch (e) {
+    console.warn('[vectorPdfWorker] Previous flow not removed on retry', String(jobDoc._id), e?.message || e);
+  }
+
+  return enqueueVectorJobFlow({
+    printJobId: String(jobDoc._id),
+    totalPages: jobDoc.totalPages,
+    userId: jobDoc.userId,
+    priority: jobDoc.priority,
+  });
+};
+
+const findCheckpoint = (jobDoc, startPage, endPage) =>
+  (jobDoc.batches || []).find((b) => b.startPage === Number(startPage) && b.endPage === Number(endPage)) || null;
+
+// Replace any checkpoint for the same range (a batch size change between attempts leaves
+// differently sized ranges behind; those are simply not matched).
+const recordCheckpoint = async (printJobId, checkpoint) => {
+  await VectorPrintJob.updateOne(
+    { _id: printJobId },
+    { $pull: { batches: { startPage: checkpoint.startPage, endPage: checkpoint.endPage } } }
+  ).exec();
+  await VectorPrintJob.updateOne({ _id: printJobId }, { $push: { batches: checkpoint } }).exec();
+};
+
+const dropCheckpoint = (printJobId, startPage, endPage) =>
+  VectorPrintJob.updateOne({ _id: printJobId }, { $pull: { batches: { startPage, endPage } } }).exec();
+
+// BullMQ priority, lower runs first. Tiers are strict; inside a tier each batch sinks by the
+// number of batches its user already has queued ahead of it, so one user's large backlog
+// does not starve other users' small jobs, which interleave between its batches.
+const PRIORITY_TIER_BASE = { urgent: 1, normal: 100000, bulk: 1000000 };
+const PRIORITY_TIER_SPREAD = 99999;
+
+// Batches still to render for the user's other live render jobs (checkpointed ranges excluded).
+const userBacklogBatches = async (userId, printJobId, batchSize) => {
+  if (!userId || !mongoose.isValidObjectId(String(userId))) return 0;
+  const [row] = await VectorPrintJob.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        _id: { $ne: new mongoose.Types.ObjectId(String(printJobId)) },
+        status: { $in: ['PENDING', 'PAUSED', 'RUNNING'] },
+        'metadata.layout': { $exists: true },
+      },
+    },
+    {
+      $project: {
+        remaining: {
+          $subtract: [
+            '$totalPages',
+            { $sum: { $map: { input: { $ifNull: ['$batches', []] }, in: { $subtract: ['$$this.endPage', '$$this.startPage'] } } } },
+          ],
+        },
+      },
+    },
+    { $group: { _id: null, pages: { $sum: { $max: [0, '$remaining'] } } } },
+  ]);
+  return Math.ceil(Number(row?.pages || 0) / batchSize);
+};
+
+export const enqueueVectorJobFlow = async ({ printJobId, totalPages, userId = null, priority = 'normal' }) => {
   const producer = getVectorFlowProducer();
   if (!producer) {
     throw new Error('Redis unavailable: cannot enqueue vector jobs (BullMQ disabled)');
@@ -96,6 +253,9 @@ export const enqueueVectorJobFlow = async ({ printJobId, totalPages }) => {
   const total = Number(totalPages || 1);
   const batchCount = Math.ceil(total / batchSize);
 
+  const tierBase = PRIORITY_TIER_BASE[priority] || PRIORITY_TIER_BASE.normal;
+  const backlog = await userBacklogBatches(userId, printJobId, batchSize);
+
   const children = new Array(batchCount).fill(null).map((_, batchIndex) => {
     const startPage = batchIndex * batchSize;
     const endPage = Math.min(total, startPage + batchSize);
@@ -106,6 +266,7 @@ export const enqueueVectorJobFlow = async ({ printJobId, totalPages }) => {
       opts: {
         attempts: Number(process.env.VECTOR_BATCH_ATTEMPTS || 3),
         backoff: { type: 'exponential', delay: 2000 },
+        priority: tierBase + Math.min(PRIORITY_TIER_SPREAD, backlog + batchIndex),
       },
     };
   });
@@ -114,14 +275,29 @@ export const enqueueVectorJobFlow = async ({ printJobId, totalPages }) => {
     name: 'merge',
     queueName: VECTOR_PDF_QUEUE_NAME,
     data: { printJobId },
-    opts: { attempts: 1 },
+    // Batch artifacts survive a failed merge, so a merge retry does not re-render anything.
+    opts: {
+      attempts: Math.max(1, Number(process.env.VECTOR_MERGE_ATTEMPTS || 2)),
+      backoff: { type: 'exponential', delay: 5000 },
+      // Head of its tier: a job whose batches are done finishes and frees its lock promptly.
+      priority: tierBase,
+    },
     children,
   });
 };
 
-const updateProgress = async (jobDoc, progress, event, details = null) => {
+// Every call is published to the job's event stream. With throttle, the Mongo write is
+// skipped if the document was saved less than VECTOR_PROGRESS_SAVE_MS ago; the change rides
+// along with the next save.
+const updateProgress = async (jobDoc, progress, event, details = null, { throttle = false } = {}) => {
   jobDoc.progress = Math.max(0, Math.min(100, progress));
   jobDoc.audit.push({ event, details });
+  await publishJobEvent(jobDoc._id, { type: 'progress', progress: jobDoc.progress, event, details });
+
+  const now = Date.now();
+  const saveEveryMs = Math.max(0, Number(process.env.VECTOR_PROGRESS_SAVE_MS || 2000));
+  if (throttle && jobDoc.$locals.savedAt && now - jobDoc.$locals.savedAt < saveEveryMs) return;
+  jobDoc.$locals.savedAt = now;
   await jobDoc.save();
 };
 
@@ -164,7 +340,10 @@ const processPage = async (job) => {
    * - Render math changes
    * - Visual changes
    */
-  const onePageDoc = await vectorLayoutEngine.createSinglePage(jobDoc.metadata, pageIndex);
+  const onePageDoc = await vectorLayoutEngine.createSinglePage(jobDoc.metadata, pageIndex, {
+    jobId: String(printJobId),
+    createdAt: jobDoc.createdAt,
+  });
   const pageBytes = await onePageDoc.save();
   const ms = Date.now() - t0;
 
@@ -203,7 +382,7 @@ const processPage = async (job) => {
   return { pageIndex, pdfBase64: Buffer.from(pageBytes).toString('base64') };
 };
 
-const processBatch = async (job) => {
+const processBatch = async (job, token) => {
   const { printJobId, startPage, endPage, totalPages } = job.data || {};
 
   const jobDoc = await VectorPrintJob.findById(printJobId).exec();
@@ -211,9 +390,24 @@ const processBatch = async (job) => {
     throw new Error('PrintJob not found');
   }
 
-  if (jobDoc.status === 'EXPIRED') {
+  if (jobDoc.status === 'EXPIRED' || jobDoc.status === 'CANCELLED') {
     return { skipped: true };
   }
+  if (jobDoc.status === 'PAUSED') {
+    await parkPausedJob(job, token);
+  }
+
+  const documentId = renderDocumentId(jobDoc);
+  const batchStart = Date.now();
+
+  const checkpoint = findCheckpoint(jobDoc, startPage, endPage);
+  if (checkpoint) {
+    console.log(
+      JSON.stringify({ phase: 'render', event: 'VECTOR_BATCH_CHECKPOINTED', documentId, jobId: String(printJobId), startPage })
+    );
+    const { store, key, sha256, size } = checkpoint.artifact;
+    return { startPage: Number(startPage), endPage: Number(endPage), artifact: { store, key, sha256, size } };
+  }
 
   const validation = validateVectorMetadata(jobDoc.metadata);
   if (!validation.isValid) {
@@ -225,9 +419,33 @@ const processBatch = async (job) => {
     throw new Error('HMAC verification failed');
   }
 
-  const out = [];
+  // One reader per batch: dataset chunks are streamed and verified as the pages need them.
+  const dataset = hasDataset(jobDoc.metadata) ? new DatasetReader(jobDoc.metadata.dataset) : null;
+
+  await publishJobEvent(printJobId, { type: 'phase', phase: 'render', startPage: Number(startPage), endPage: Number(endPage) });
+
+  // The batch's pages are collected into one partial PDF that goes to the artifact store;
+  // only its reference travels through BullMQ to the merge.
+  const batchDoc = await PDFLib.PDFDocument.create();
   for (let pageIndex = Number(startPage); pageIndex < Number(endPage); pageIndex += 1) {
-    const onePageDoc = await vectorLayoutEngine.createSinglePage(jobDoc.metadata, pageIndex);
+    if (pageIndex > Number(startPage)) {
+      const status = await readJobStatus(printJobId);
+      if (status === 'CANCELLED') {
+        console.log(
+          JSON.stringify({ phase: 'render', event: 'VECTOR_BATCH_CANCELLED', documentId, jobId: String(printJobId), pageIndex })
+        );
+        return { skipped: true };
+      }
+      // Pages rendered so far are dropped; the batch restarts from startPage on resume.
+      if (status === 'PAUSED') await parkPausedJob(job, token);
+    }
+
+    const pageStart = Date.now();
+    const onePageDoc = await vectorLayoutEngine.createSinglePage(jobDoc.metadata, pageIndex, {
+      jobId: String(printJobId),
+      createdAt: jobDoc.createdAt,
+      dataset,
+    });
     const pageBytes = await onePageDoc.save();
 
     const header = Buffer.from(pageBytes.slice(0, 5)).toString();
@@ -235,13 +453,37 @@ const processBatch = async (job) => {
       throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
     }
 
-    out.push({ pageIndex, pdfBase64: Buffer.from(pageBytes).toString('base64') });
+    const src = await PDFLib.PDFDocument.load(pageBytes);
+    // Duplex sheets render as front + back; keep every page of the sheet in order.
+    const pages = await batchDoc.copyPages(src, src.getPageIndices());
+    for (const page of pages) batchDoc.addPage(page);
 
     // Rendering phase progress: 0–80%
     const rendered = Math.min(Math.max(0, pageIndex + 1), Number(totalPages || jobDoc.totalPages || 1));
     const pct = Math.floor((rendered / Math.max(1, Number(totalPages || jobDoc.totalPages || 1))) * 80);
-    await updateProgress(jobDoc, Math.max(jobDoc.progress, pct), 'PAGE_RENDERED', { pageIndex });
+    await updateProgress(
+      jobDoc,
+      Math.max(jobDoc.progress, pct),
+      'PAGE_RENDERED',
+      { pageIndex, ms: Date.now() - pageStart },
+      { throttle: true }
+    );
   }
+  if (jobDoc.isModified()) await jobDoc.save();
+
+  const batchBytes = await batchDoc.save();
+  const batchHeader = Buffer.from(batchBytes.slice(0, 5)).toString();
+  if (!batchHeader.startsWith('%PDF-')) {
+    throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
+  }
+
+  // A cancel may have cleaned up the job's artifacts while the last page rendered.
+  if ((await readJobStatus(printJobId)) === 'CANCELLED') {
+    return { skipped: true };
+  }
+
+  const artifact = await writeBatchArtifact({ printJobId: String(printJobId), startPage, endPage, bytes: batchBytes });
+  await recordCheckpoint(printJobId, { startPage: Number(startPage), endPage: Number(endPage), artifact, renderedAt: new Date() });
 
   console.log(
     JSON.stringify({
@@ -250,13 +492,14 @@ const processBatch = async (job) => {
       documentId,
       jobId: String(printJobId),
       ms: Date.now() - batchStart,
+      bytes: artifact.size,
     })
   );
 
-  return { pages: out };
+  return { startPage: Number(startPage), endPage: Number(endPage), artifact };
 };
 
-const processMerge = async (job) => {
+const processMerge = async (job, token) => {
   const { printJobId } = job.data || {};
 
   const jobDoc = await VectorPrintJob.findById(printJobId).exec();
@@ -264,9 +507,12 @@ const processMerge = async (job) => {
     throw new Error('PrintJob not found');
   }
 
-  if (jobDoc.status === 'EXPIRED') {
+  if (jobDoc.status === 'EXPIRED' || jobDoc.status === 'CANCELLED') {
     return { skipped: true };
   }
+  if (jobDoc.status === 'PAUSED') {
+    await parkPausedJob(job, token);
+  }
 
   const documentId = String(jobDoc?.metadata?.documentId || jobDoc?.metadata?.sourcePdfKey || jobDoc?.sourcePdfKey || '').trim();
   const mergeStart = Date.now();
@@ -282,108 +528,146 @@ const processMerge = async (job) => {
     })
   );
 
-  try {
-    jobDoc.status = 'RUNNING';
-    await updateProgress(jobDoc, Math.max(jobDoc.progress, 80), 'MERGE_JOB_STARTED', null);
-
-    const childrenValues = await job.getChildrenValues();
-    const pageBase64 = new Array(Number(jobDoc.totalPages || 1)).fill(null);
+  // Conditional so a cancel or pause landing since the read above is not overwritten.
+  const claimed = await VectorPrintJob.updateOne(
+    { _id: printJobId, status: { $nin: ['PAUSED', 'CANCELLED', 'EXPIRED'] } },
+    { $set: { status: 'RUNNING' } }
+  ).exec();
+  if (claimed.matchedCount !== 1) {
+    if ((await readJobStatus(printJobId)) === 'PAUSED') await parkPausedJob(job, token);
+    return { skipped: true };
+  }
 
-    for (const value of Object.values(childrenValues)) {
-      const v = typeof value === 'string' ? JSON.parse(value) : value;
-      if (v && v.pdfBase64 !== undefined && v.pageIndex !== undefined) {
-        const idx = Number(v.pageIndex);
-        if (Number.isFinite(idx) && idx >= 0 && idx < pageBase64.length) pageBase64[idx] = v.pdfBase64;
-      }
-      if (v && Array.isArray(v.pages)) {
-        for (const entry of v.pages) {
-          const idx = Number(entry?.pageIndex);
-          if (entry && entry.pdfBase64 !== undefined && Number.isFinite(idx) && idx >= 0 && idx < pageBase64.length) {
-            pageBase64[idx] = entry.pdfBase64;
-          }
-        }
-      }
-    }
+  await publishJobEvent(printJobId, { type: 'status', status: 'RUNNING' });
+  await publishJobEvent(printJobId, { type: 'phase', phase: 'merge' });
 
-    for (let i = 0; i < pageBase64.length; i += 1) {
-      if (!pageBase64[i]) throw new Error('Missing rendered pages for merge');
-    }
+  // On failure the lock and artifacts stay for the next attempt; the failed handler releases
+  // the lock once attempts run out, and artifacts are kept for POST /jobs/:jobId/retry.
+  await updateProgress(jobDoc, Math.max(jobDoc.progress, 80), 'MERGE_JOB_STARTED', null);
 
-    const merged = await PDFLib.PDFDocument.create();
+  const childrenValues = await job.getChildrenValues();
+  const totalPages = Number(jobDoc.totalPages || 1);
 
-    for (let i = 0; i < pageBase64.length; i += 1) {
-      if (maxMergeMs > 0 && Date.now() - mergeStart > maxMergeMs) {
-        throw new Error('Merge exceeded time budget');
+  // Each part covers [startPage, endPage): a batch artifact, or an inline base64 page
+  // from children enqueued before batches wrote artifacts.
+  const parts = [];
+  for (const value of Object.values(childrenValues)) {
+    const v = typeof value === 'string' ? JSON.parse(value) : value;
+    if (v && v.artifact) {
+      parts.push({ startPage: Number(v.startPage), endPage: Number(v.endPage), artifact: v.artifact });
+    }
+    if (v && v.pdfBase64 !== undefined && v.pageIndex !== undefined) {
+      const idx = Number(v.pageIndex);
+      parts.push({ startPage: idx, endPage: idx + 1, pdfBase64: v.pdfBase64 });
+    }
+    if (v && Array.isArray(v.pages)) {
+      for (const entry of v.pages) {
+        const idx = Number(entry?.pageIndex);
+        if (entry && entry.pdfBase64 !== undefined) parts.push({ startPage: idx, endPage: idx + 1, pdfBase64: entry.pdfBase64 });
       }
+    }
+  }
+
+  parts.sort((a, b) => a.startPage - b.startPage);
+  let covered = 0;
+  for (const part of parts) {
+    if (part.startPage !== covered) throw new Error('Missing rendered pages for merge');
+    covered = part.endPage;
+  }
+  if (covered !== totalPages) throw new Error('Missing rendered pages for merge');
 
-      const b64 = pageBase64[i];
-      pageBase64[i] = null;
+  const merged = await PDFLib.PDFDocument.create();
 
-      let bytes = Buffer.from(b64, 'base64');
-      let src = await PDFLib.PDFDocument.load(bytes);
-      const [page] = await merged.copyPages(src, [0]);
-      merged.addPage(page);
+  // Only one part is held in memory at a time.
+  for (let i = 0; i < parts.length; i += 1) {
+    if (maxMergeMs > 0 && Date.now() - mergeStart > maxMergeMs) {
+      throw new Error('Merge exceeded time budget');
+    }
 
-      // explicit releases for GC
-      src = null;
-      bytes = null;
+    const part = parts[i];
+    parts[i] = null;
 
-      // Merge progress: 80–95% (throttled updates)
-      if (i === 0 || i === pageBase64.length - 1 || i % 10 === 0) {
-        const pct = 80 + Math.floor(((i + 1) / Math.max(1, pageBase64.length)) * 15);
-        await updateProgress(jobDoc, Math.max(jobDoc.progress, pct), 'MERGE_PROGRESS', { mergedPages: i + 1 });
+    let bytes;
+    try {
+      bytes = part.artifact ? await readBatchArtifact(part.artifact) : Buffer.from(part.pdfBase64, 'base64');
+    } catch (e) {
+      // A lost or corrupt artifact: forget the checkpoint so a retry renders the range again.
+      await dropCheckpoint(printJobId, part.startPage, part.endPage);
+      throw e;
+    }
+    let src = await PDFLib.PDFDocument.load(bytes);
+    const pages = await merged.copyPages(src, src.getPageIndices());
+    for (const page of pages) merged.addPage(page);
+
+    // explicit releases for GC
+    src = null;
+    bytes = null;
+
+    // Merge progress: 80–95% (throttled updates, which also pick up a cancel)
+    if (part.artifact || i === 0 || i === parts.length - 1 || i % 10 === 0) {
+      if ((await readJobStatus(printJobId)) === 'CANCELLED') {
+        await releaseRenderLock({ documentId, printJobId: String(printJobId), userId: String(jobDoc.userId) });
+        return { skipped: true };
       }
+      const pct = 80 + Math.floor((part.endPage / Math.max(1, totalPages)) * 15);
+      await updateProgress(jobDoc, Math.max(jobDoc.progress, pct), 'MERGE_PROGRESS', { mergedPages: part.endPage });
     }
+  }
 
-    // Final merge + upload: 95–100%
-    await updateProgress(jobDoc, Math.max(jobDoc.progress, 95), 'FINAL_MERGE_DONE', null);
+  // Final merge + upload: 95–100%
+  await updateProgress(jobDoc, Math.max(jobDoc.progress, 95), 'FINAL_MERGE_DONE', null);
 
-    const pdfBytes = await merged.save();
+  const pdfBytes = await merged.save();
 
-    const header = Buffer.from(pdfBytes.slice(0, 5)).toString();
-    if (!header.startsWith('%PDF-')) {
-      throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
-    }
-
-    const mergeMs = Date.now() - mergeStart;
+  const header = Buffer.from(pdfBytes.slice(0, 5)).toString();
+  if (!header.startsWith('%PDF-')) {
+    throw new Error('SECURITY VIOLATION: Output is not a valid PDF. Vector pipeline broken.');
+  }
 
-    const finalKey = `documents/final/${printJobId}.pdf`;
-    console.log(
-      JSON.stringify({
-        phase: 'upload',
-        event: 'VECTOR_UPLOAD_STARTED',
-        documentId,
-        jobId: String(printJobId),
-      })
-    );
-    const { key, url } = await uploadToS3WithKey(Buffer.from(pdfBytes), 'application/pdf', finalKey);
+  const mergeMs = Date.now() - mergeStart;
 
-    const ttlHours = Number(process.env.FINAL_PDF_TTL_HOURS || 24);
-    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  if ((await readJobStatus(printJobId)) === 'CANCELLED') {
+    await releaseRenderLock({ documentId, printJobId: String(printJobId), userId: String(jobDoc.userId) });
+    return { skipped: true };
+  }
 
-    jobDoc.status = 'DONE';
-    jobDoc.progress = 100;
-    jobDoc.output = { key, url, expiresAt };
-    jobDoc.audit.push({ event: 'JOB_DONE', details: { key } });
-    jobDoc.audit.push({ event: 'MERGE_TIME', details: { ms: mergeMs } });
-    await jobDoc.save();
+  const finalKey = `documents/final/${printJobId}.pdf`;
+  console.log(
+    JSON.stringify({
+      phase: 'upload',
+      event: 'VECTOR_UPLOAD_STARTED',
+      documentId,
+      jobId: String(printJobId),
+    })
+  );
+  await publishJobEvent(printJobId, { type: 'phase', phase: 'upload' });
+  const { key, url } = await uploadToS3WithKey(Buffer.from(pdfBytes), 'application/pdf', finalKey);
+
+  const ttlHours = Number(process.env.FINAL_PDF_TTL_HOURS || 24);
+  const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  jobDoc.status = 'DONE';
+  jobDoc.progress = 100;
+  jobDoc.output = { key, url, expiresAt };
+  jobDoc.batches = [];
+  jobDoc.audit.push({ event: 'JOB_DONE', details: { key } });
+  jobDoc.audit.push({ event: 'MERGE_TIME', details: { ms: mergeMs } });
+  await jobDoc.save();
+  await publishJobEvent(printJobId, { type: 'status', status: 'DONE', progress: 100 });
 
-    console.log(
-      JSON.stringify({
-        phase: 'merge',
-        event: 'VECTOR_MERGE_DONE',
-        documentId,
-        jobId: String(printJobId),
-        ms: Date.now() - mergeStart,
-      })
-    );
+  console.log(
+    JSON.stringify({
+      phase: 'merge',
+      event: 'VECTOR_MERGE_DONE',
+      documentId,
+      jobId: String(printJobId),
+      ms: Date.now() - mergeStart,
+    })
+  );
 
-    await releaseRenderLock({ documentId, printJobId: String(printJobId) });
-    return { ok: true, key };
-  } catch (e) {
-    await releaseRenderLock({ documentId, printJobId: String(printJobId) });
-    throw e;
-  }
+  await releaseRenderLock({ documentId, printJobId: String(printJobId), userId: String(jobDoc.userId) });
+  await deleteJobArtifacts(printJobId);
+  return { ok: true, key };
 };
 
 export const startVectorPdfWorkers = () => {
@@ -397,10 +681,10 @@ export const startVectorPdfWorkers = () => {
     try {
       worker = new Worker(
         VECTOR_PDF_QUEUE_NAME,
-        async (job) => {
+        async (job, token) => {
           if (job.name === 'page') return processPage(job);
-          if (job.name === 'batch') return processBatch(job);
-          if (job.name === 'merge') return processMerge(job);
+          if (job.name === 'batch') return processBatch(job, token);
+          if (job.name === 'merge') return processMerge(job, token);
           throw new Error(`Unknown job type: ${job.name}`);
         },
         { connection, concurrency: 1 }
@@ -422,28 +706,37 @@ export const startVectorPdfWorkers = () => {
       const isFinalFailure = attemptsMade >= attempts;
 
       const jobDoc = await VectorPrintJob.findById(printJobId).exec().catch(() => null);
-      if (!jobDoc) return;
+      if (!jobDoc || jobDoc.status === 'CANCELLED') return;
+
+      // BullMQ still retries this step: note it, but keep the job live.
+      if (!isFinalFailure) {
+        jobDoc.audit.push({
+          event: 'JOB_ATTEMPT_FAILED',
+          details: { bullmqJobId: job.id, name: job.name, attemptsMade, message: err?.message || null },
+        });
+        await jobDoc.save();
+        return;
+      }
 
       jobDoc.status = 'FAILED';
       jobDoc.error = { message: err?.message || 'Job failed', stack: err?.stack || null };
       jobDoc.audit.push({ event: 'JOB_FAILED', details: { bullmqJobId: job.id, name: job.name } });
       await jobDoc.save();
-
-      if (isFinalFailure) {
-        const documentId = String(
-          jobDoc?.metadata?.documentId || jobDoc?.metadata?.sourcePdfKey || jobDoc?.sourcePdfKey || ''
-        ).trim();
-        await releaseRenderLock({ documentId, printJobId: String(printJobId) });
-        console.log(
-          JSON.stringify({
-            phase: 'fail',
-            event: 'VECTOR_JOB_FAILED',
-            documentId,
-            jobId: String(printJobId),
-            jobName: job?.name,
-          })
-        );
-      }
+      await publishJobEvent(printJobId, { type: 'status', status: 'FAILED', error: jobDoc.error.message });
+
+      const documentId = String(
+        jobDoc?.metadata?.documentId || jobDoc?.metadata?.sourcePdfKey || jobDoc?.sourcePdfKey || ''
+      ).trim();
+      await releaseRenderLock({ documentId, printJobId: String(printJobId), userId: String(jobDoc.userId) });
+      console.log(
+        JSON.stringify({
+          phase: 'fail',
+          event: 'VECTOR_JOB_FAILED',
+          documentId,
+          jobId: String(printJobId),
+          jobName: job?.name,
+        })
+      );
     });
 
     worker.on('ready', () => {
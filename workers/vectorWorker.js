@@ -80,7 +80,7 @@ async function startVectorWorkers(role = 'vector') {
 
         try {
           // Generate vector PDF using pdf-lib ONLY
-          const pdfDoc = await vectorLayoutEngine.createPage(vectorMetadata);
+          const pdfDoc = await vectorLayoutEngine.createPage(vectorMetadata, { jobId });
           const pdfBytes = await pdfDoc.save();
 
           // Upload to S3